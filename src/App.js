@@ -1,54 +1,89 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { MapContainer, TileLayer, Marker, Popup, Circle } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
-import L from "leaflet";
-
-// ✅ Fix marker icon issue in React Leaflet
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: "https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png",
-  iconUrl: "https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png",
-  shadowUrl: "https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png",
-});
-
-// ✅ Moods (Removed Date, Added Tourist + Stay/Hotels)
-const moodConfig = {
-  work: {
-    label: "Work",
-    emoji: "💻",
-    type: "amenity",
-    tags: ["cafe", "library", "coworking_space"],
-    topMatch: "Quiet cafés & libraries are best for work focus.",
-  },
-  tourist: {
-    label: "Tourist",
-    emoji: "🗺️",
-    type: "tourism",
-    tags: ["attraction", "museum", "viewpoint", "zoo", "theme_park"],
-    topMatch: "Explore tourist attractions and famous places nearby!",
-  },
-  quick: {
-    label: "Quick Bite",
-    emoji: "🍔",
-    type: "amenity",
-    tags: ["fast_food", "restaurant", "food_court"],
-    topMatch: "Fast food & quick restaurants nearby!",
-  },
-  budget: {
-    label: "Budget",
-    emoji: "💸",
-    type: "amenity",
-    tags: ["fast_food", "cafe", "restaurant"],
-    topMatch: "Budget-friendly spots (best effort from OSM data).",
-  },
-  stay: {
-    label: "Stay",
-    emoji: "🏨",
-    type: "tourism",
-    tags: ["hotel", "hostel", "guest_house", "motel"],
-    topMatch: "Find hotels & stays based on your travel needs.",
-  },
-};
+import { placesProvider } from "./providers";
+import { isAbortError } from "./providers/abort";
+import { NotificationProvider, useNotifications } from "./notifications/NotificationContext";
+import ToastCenter from "./components/ToastCenter";
+import ErrorLogPanel from "./components/ErrorLogPanel";
+import { placesCache } from "./cache/placesCache";
+import { elementToPlace, formatAge, placeFromCenter } from "./utils/places";
+import { TILE_DOWNLOADS, TILE_URL } from "./offline/tiles";
+import { canCacheTiles, clearDownloadedAreas, downloadArea, prefetchSearchArea } from "./offline/tileDownloads";
+import { useOnlineStatus } from "./offline/useOnlineStatus";
+import { DEFAULT_MOODS, loadMoods, moodSignature, saveMoods } from "./moods";
+import { QueryError } from "./query/overpassQuery";
+import { openingStatus } from "./utils/openingHours";
+import { useNow } from "./hooks/useNow";
+import { timeSuggestion } from "./ranking/timeContext";
+import { loadWeights, rankPlaces, saveWeights, scorePlace } from "./ranking/score";
+import { reviewStatsFor } from "./utils/reviews";
+import RankingSettings from "./components/RankingSettings";
+import PreferencesPanel from "./components/PreferencesPanel";
+import PlaceDetails from "./components/PlaceDetails";
+import FacetFilters from "./components/FacetFilters";
+import PlaceMarkers from "./components/PlaceMarkers";
+import VirtualList from "./components/VirtualList";
+import MapLegend from "./components/MapLegend";
+import { centerIcon, stopIcon, userIcon } from "./map/icons";
+import MapController from "./components/MapController";
+import CenterPicker from "./components/CenterPicker";
+import LocationSearch from "./components/LocationSearch";
+import LocationPrompt from "./components/LocationPrompt";
+import { useFollowPosition } from "./hooks/useFollowPosition";
+import { GEO_OPTIONS, geoErrorInfo, needsRequery, toPosition } from "./utils/geolocation";
+import { router } from "./routing";
+import { formatTravelTime, MODES } from "./routing/routers";
+import { useRoutes } from "./routing/useRoutes";
+import { useTravelTimes } from "./routing/useTravelTimes";
+import RouteInfo from "./components/RouteInfo";
+import RouteLine from "./components/RouteLine";
+import ItineraryPlanner from "./components/ItineraryPlanner";
+import { decodeTrip } from "./itinerary/export";
+import CollectionsBar from "./components/CollectionsBar";
+import SavedPlaceEditor from "./components/SavedPlaceEditor";
+import BackupPanel from "./components/BackupPanel";
+import { KEYS, storage, StorageFullError } from "./storage";
+import {
+  ALL_LISTS,
+  createList,
+  DEFAULT_LIST,
+  deleteList,
+  filterSaved,
+  listCounts,
+  loadLists,
+  migrateFavorites,
+  renameList,
+  saveLists,
+  savedEntry,
+  tagCounts,
+  updateSaved,
+} from "./utils/collections";
+import {
+  forgetLocation,
+  loadLocations,
+  rememberLocation,
+  saveLocations,
+  togglePin,
+} from "./utils/savedLocations";
+import { applyFacets, deriveFacets } from "./utils/facets";
+import {
+  forYou,
+  learnProfile,
+  loadEvents,
+  makeEvent,
+  recordEvent,
+  saveEvents,
+  seedEvents,
+} from "./ranking/preferences";
+import OpenStatusBadge from "./components/OpenStatusBadge";
+import WeeklySchedule from "./components/WeeklySchedule";
+import MoodEditor from "./components/MoodEditor";
+
+const DISTANCE_RANGE = { min: 500, max: 20000, step: 250 };
+
+// ✅ one search area = mood + center coordinates (a label change is the same area)
+const areaKey = (mood, center) => (center ? `${mood}@${center.lat},${center.lng}` : null);
 
 const DISTANCE_OPTIONS = [
   { label: "1 km", value: 1000 },
@@ -63,131 +98,259 @@ const SORT_OPTIONS = [
   { label: "Distance (Near → Far)", value: "distance" },
   { label: "A → Z", value: "az" },
   { label: "Rating (High → Low)", value: "rating" },
+  // "time:<mode>" sorts by routed travel time (needs a router)
+  ...(router
+    ? Object.entries(MODES).map(([mode, m]) => ({
+        label: `${m.emoji} ${m.label} time (Fastest)`,
+        value: `time:${mode}`,
+      }))
+    : []),
 ];
 
-function haversineMeters(lat1, lon1, lat2, lon2) {
-  const R = 6371000;
-  const toRad = (x) => (x * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+// Saved tab only
+const SAVED_SORT_OPTIONS = [
+  { label: "Recently saved", value: "saved" },
+  { label: "List", value: "list" },
+];
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+// the travel-time matrix is only asked for the nearest places; farther ones sort last
+const MAX_TIMED_PLACES = 200;
 
-function timeSuggestion() {
-  const hour = new Date().getHours();
-  if (hour >= 5 && hour < 11) return "🌅 Morning: Try breakfast cafés!";
-  if (hour >= 11 && hour < 16) return "🍱 Afternoon: Lunch spots recommended!";
-  if (hour >= 16 && hour < 20) return "☕ Evening: Hangout cafés & snacks!";
-  return "🌙 Night: Find late dinner places!";
+export default function App() {
+  return (
+    <NotificationProvider>
+      <PlacesApp />
+      <ToastCenter />
+    </NotificationProvider>
+  );
 }
 
-async function fetchWithRetry(url, tries = 3, delayMs = 3000) {
-  for (let attempt = 1; attempt <= tries; attempt++) {
-    try {
-      const res = await fetch(url);
-      if (!res.ok) throw new Error("Network response not ok");
-      return await res.json();
-    } catch (err) {
-      if (attempt === tries) throw err;
-      alert(`⚠️ API busy. Retrying (${attempt}/${tries}) in ${delayMs / 1000} seconds...`);
-      await new Promise((r) => setTimeout(r, delayMs));
-    }
-  }
-}
+function PlacesApp() {
+  const { notify, logError, errorLog } = useNotifications();
+  const [showErrorLog, setShowErrorLog] = useState(false);
+  const online = useOnlineStatus();
+  const [downloading, setDownloading] = useState(false);
 
-export default function App() {
-  const [location, setLocation] = useState(null);
+  const [geoStatus, setGeoStatus] = useState({ state: "locating" }); // locating | ok | denied | timeout | ...
+  const [following, setFollowing] = useState(false); // "follow me" via watchPosition
+  const [live, setLive] = useState(null); // { lat, lng, accuracy } while following
 
   // ✅ Search other locations
-  const [customLocation, setCustomLocation] = useState("");
+  const [savedLocations, setSavedLocations] = useState(() => loadLocations(storage));
   const [searchCenter, setSearchCenter] = useState(null); // {lat, lng, label}
 
   const [places, setPlaces] = useState([]);
-  const [mood, setMood] = useState("work");
+  const loadedArea = useRef(null); // { center, radius } the current results cover
+  // ✅ user-editable moods (see src/moods)
+  const [moods, setMoods] = useState(() => loadMoods(storage));
+  const [editingMoods, setEditingMoods] = useState(false);
+  const [mood, setMood] = useState(() => moods[0].id);
+  const activeMood = moods.find((m) => m.id === mood) || moods[0];
+  const moodCacheKey = moodSignature(activeMood);
   const [loading, setLoading] = useState(false);
 
+  // ✅ in-flight requests (a new search cancels the previous one)
+  const placesAbort = useRef(null);
+  const searchingFor = useRef(null); // areaKey of the in-flight search
+  const shownArea = useRef(null);
+  const geocodeAbort = useRef(null);
+
   // ✅ filters
   const [distanceLimit, setDistanceLimit] = useState(10000);
   const [sortBy, setSortBy] = useState("relevance");
   const [searchText, setSearchText] = useState("");
+  const [openNowOnly, setOpenNowOnly] = useState(false);
+  const [facetFilter, setFacetFilter] = useState([]);
+  const [weights, setWeights] = useState(() => loadWeights(storage));
+  const [showWeights, setShowWeights] = useState(false);
+  const now = useNow();
+  const searchRadius = Math.max(distanceLimit, 3000);
+
+  // ✅ set when the shown results came from the search cache ({ savedAt })
+  const [cacheInfo, setCacheInfo] = useState(null);
+
+  // ✅ day plan from saved places; a "#trip=..." link opens someone else's plan
+  const [sharedTrip, setSharedTrip] = useState(() => decodeTrip(window.location.hash));
+  const [showPlanner, setShowPlanner] = useState(() => Boolean(sharedTrip));
+  const [trip, setTrip] = useState(null); // { stops, path, mode, start, end, ... }
 
   // ✅ tabs
-  const [tab, setTab] = useState("discover"); // discover | saved
+  const [tab, setTab] = useState(() => (sharedTrip ? "saved" : "discover")); // discover | saved
 
   // ✅ selected place (Details)
   const [selectedPlace, setSelectedPlace] = useState(null);
+  const [hoveredId, setHoveredId] = useState(null); // list <-> map hover sync
+  const [pannedTo, setPannedTo] = useState(null); // map dragged away -> "Search this area"
+  const [routeMode, setRouteMode] = useState(null); // travel mode whose route is drawn
 
-  // ✅ favorites localStorage
-  const [favorites, setFavorites] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem("favorites_places")) || [];
-    } catch {
-      return [];
-    }
-  });
+  // ✅ favorites localStorage, organized in named lists (src/utils/collections.js)
+  const [lists, setLists] = useState(() => loadLists(storage));
+  const [favorites, setFavorites] = useState(() => migrateFavorites(storage.read(KEYS.favorites), lists));
+  const [activeList, setActiveList] = useState(ALL_LISTS);
+  const [activeTag, setActiveTag] = useState(null);
+  const [showBackup, setShowBackup] = useState(false);
 
   // ✅ reviews localStorage
-  const [reviews, setReviews] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem("place_reviews")) || {};
-    } catch {
-      return {};
-    }
-  });
+  const [reviews, setReviews] = useState(() => storage.read(KEYS.reviews));
+
+  // ✅ on-device preference model (src/ranking/preferences.js)
+  const [prefEvents, setPrefEvents] = useState(() => loadEvents(storage) || seedEvents(favorites, reviews));
+  const [showLearned, setShowLearned] = useState(false);
+  const profile = useMemo(() => learnProfile(prefEvents), [prefEvents]);
 
   const [reviewStars, setReviewStars] = useState(5);
   const [reviewText, setReviewText] = useState("");
 
+  // ✅ saving goes through src/storage: when it's full, caches are evicted before user data
+  const persist = useCallback(
+    (save) => {
+      try {
+        save();
+      } catch (err) {
+        const full = err instanceof StorageFullError;
+        logError("Saving data", err, { detail: err.key });
+        notify({
+          severity: "error",
+          key: "storage",
+          message: full
+            ? `${err.message}. Export a backup from Saved → 💾 Backup.`
+            : `Saving failed: ${err.message}`,
+        });
+      }
+    },
+    [notify, logError]
+  );
+
+  // data that couldn't be read at startup (kept aside as "<key>.bak")
   useEffect(() => {
-    localStorage.setItem("favorites_places", JSON.stringify(favorites));
-  }, [favorites]);
+    storage.problems().forEach((p) => notify({ severity: "warning", key: `storage-${p.key}`, message: p.message }));
+  }, [notify]);
 
   useEffect(() => {
-    localStorage.setItem("place_reviews", JSON.stringify(reviews));
-  }, [reviews]);
+    persist(() => storage.write(KEYS.favorites, favorites));
+  }, [favorites, persist]);
 
-  // ✅ offline cache
   useEffect(() => {
-    try {
-      const cache = JSON.parse(localStorage.getItem("last_search_cache") || "{}");
-      if (cache?.places?.length) setPlaces(cache.places);
-      if (cache?.searchCenter) setSearchCenter(cache.searchCenter);
-    } catch {}
+    persist(() => saveLists(lists, storage));
+  }, [lists, persist]);
+
+  useEffect(() => {
+    persist(() => storage.write(KEYS.reviews, reviews));
+  }, [reviews, persist]);
+
+  // DEFAULT_MOODS itself is only the fallback (nothing stored, or nothing usable):
+  // it never replaces what is stored. Resetting in the editor saves a copy.
+  useEffect(() => {
+    if (moods !== DEFAULT_MOODS) persist(() => saveMoods(moods, storage));
+  }, [moods, persist]);
+
+  useEffect(() => {
+    persist(() => saveWeights(weights, storage));
+  }, [weights, persist]);
+
+  useEffect(() => {
+    persist(() => saveLocations(savedLocations, storage));
+  }, [savedLocations, persist]);
+
+  useEffect(() => {
+    persist(() => saveEvents(prefEvents, storage));
+  }, [prefEvents, persist]);
+
+  // ✅ offline cache: restore the most recent search until a fresher one is shown
+  useEffect(() => {
+    placesCache
+      .latest()
+      .then((entry) => {
+        if (!entry) return;
+        const restored = entry.places.map((p) => placeFromCenter(p, entry.center));
+        setPlaces((prev) => (prev.length ? prev : restored));
+        setCacheInfo((prev) => prev || { savedAt: entry.savedAt });
+      })
+      .catch((err) => console.error(err));
   }, []);
 
-  // ✅ detect location
+  // ✅ switching mood / area: show cached results without hitting Overpass
   useEffect(() => {
+    if (!searchCenter) return;
+    let active = true;
+    placesCache
+      .get({ mood: moodCacheKey, center: searchCenter, radius: searchRadius })
+      .then((hit) => {
+        if (!active || !hit) return;
+        loadedArea.current = { center: searchCenter, radius: searchRadius };
+        setPlaces(hit.places);
+        setCacheInfo({ savedAt: hit.savedAt });
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      active = false;
+    };
+  }, [moodCacheKey, searchCenter, searchRadius]);
+
+  // ✅ detect location (no silent fallback: failures show why and ask for a place)
+  const locate = useCallback(({ recenter = false } = {}) => {
+    if (!navigator.geolocation) {
+      setGeoStatus(geoErrorInfo("unsupported"));
+      return;
+    }
+    setGeoStatus({ state: "locating" });
     navigator.geolocation.getCurrentPosition(
       (pos) => {
-        const loc = { lat: pos.coords.latitude, lng: pos.coords.longitude };
-        setLocation(loc);
-        setSearchCenter({ ...loc, label: "Your Location" });
+        const loc = toPosition(pos);
+        setGeoStatus({ state: "ok" });
+        setSearchCenter((prev) => (prev && !recenter ? prev : { lat: loc.lat, lng: loc.lng, label: "Your Location" }));
       },
-      () => {
-        const fallback = { lat: 17.385, lng: 78.4867 };
-        setLocation(fallback);
-        setSearchCenter({ ...fallback, label: "Hyderabad (Fallback)" });
-      }
+      (err) => setGeoStatus(geoErrorInfo(err)),
+      GEO_OPTIONS
     );
   }, []);
 
-  const getReviewStats = (placeId) => {
-    const list = reviews[placeId] || [];
-    if (!list.length) return { avg: 0, count: 0 };
-    const sum = list.reduce((acc, r) => acc + (r.stars || 0), 0);
-    return { avg: sum / list.length, count: list.length };
+  useEffect(() => {
+    locate();
+  }, [locate]);
+
+  // ✅ mood / center changed mid-search -> old results no longer apply
+  useEffect(() => {
+    const area = areaKey(moodCacheKey, searchCenter);
+    if (area === shownArea.current) return; // only the label changed
+    shownArea.current = area;
+    // ...unless the running search was started for exactly this area
+    if (searchingFor.current === area) return;
+    placesAbort.current?.abort();
+    placesAbort.current = null;
+    setLoading(false);
+  }, [moodCacheKey, searchCenter]);
+
+  useEffect(
+    () => () => {
+      placesAbort.current?.abort();
+      geocodeAbort.current?.abort();
+    },
+    []
+  );
+
+  const cancelSearch = () => {
+    placesAbort.current?.abort();
+    geocodeAbort.current?.abort();
+    placesAbort.current = null;
+    geocodeAbort.current = null;
+    setLoading(false);
+    notify({ severity: "info", message: "Search cancelled." });
+  };
+
+  const getReviewStats = (placeId) => reviewStatsFor(reviews, placeId);
+
+  const track = (kind, place, extra) => setPrefEvents((prev) => recordEvent(prev, makeEvent(kind, place, extra)));
+
+  const openPlace = (place) => {
+    setSelectedPlace(place);
+    track("open", place);
   };
 
   const addReview = (placeId) => {
     const text = reviewText.trim();
     if (!text) {
-      alert("Please type a review comment.");
+      notify({ severity: "warning", message: "Please type a review comment." });
       return;
     }
 
@@ -201,142 +364,408 @@ export default function App() {
       const old = prev[placeId] || [];
       return { ...prev, [placeId]: [newReview, ...old] };
     });
+    if (selectedPlace?.id === placeId) track("review", selectedPlace, { stars: reviewStars });
 
     setReviewStars(5);
     setReviewText("");
-    alert("✅ Review added!");
+    notify({ severity: "success", message: "Review added!" });
   };
 
-  // ✅ search other location using nominatim
-  const findOtherLocation = async () => {
-    const q = customLocation.trim();
-    if (!q) return;
+  // ✅ search other location: autocomplete candidates (nominatim), recent & pinned places
+  const geocodeLocation = (q, { signal }) =>
+    placesProvider.geocode(q, {
+      signal,
+      onRetry: ({ attempt, maxAttempts }) =>
+        notify({
+          severity: "warning",
+          key: "geocode-retry",
+          message: `Location service busy. Retrying (${attempt}/${maxAttempts - 1})...`,
+        }),
+    });
 
-    try {
-      const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(q)}`;
-      const data = await fetchWithRetry(url, 2, 2000);
+  const onGeocodeError = (err, q) => {
+    console.error(err);
+    logError("Location search", err, { detail: `"${q}" via ${placesProvider.name}` });
+    notify({ severity: "error", key: "geocode-failed", message: "Failed to search location." });
+  };
 
-      if (!data || data.length === 0) {
-        alert("Location not found. Try another name.");
-        return;
+  const pickLocation = (loc) => {
+    setSearchCenter({ lat: loc.lat, lng: loc.lng, label: loc.label });
+    setSavedLocations((prev) => rememberLocation(prev, loc));
+    notify({ severity: "success", message: "Location set! Now click 'Find Places'" });
+  };
+
+  // force: skip the cache (explicit refresh); center: search somewhere new right away
+  const fetchPlaces = async ({ force = false, center = searchCenter } = {}) => {
+    if (!center) return;
+
+    placesAbort.current?.abort();
+    geocodeAbort.current?.abort();
+    const controller = new AbortController();
+    placesAbort.current = controller;
+    searchingFor.current = areaKey(moodCacheKey, center);
+
+    setLoading(true);
+    setPlaces([]);
+    setCacheInfo(null);
+    setSelectedPlace(null);
+
+    const config = activeMood;
+    const radius = searchRadius;
+
+    try {
+      if (!force) {
+        const hit = await placesCache.get({ mood: moodCacheKey, center, radius }).catch(() => null);
+        if (placesAbort.current !== controller) return;
+        if (hit) {
+          loadedArea.current = { center, radius };
+          setPlaces(hit.places);
+          setCacheInfo({ savedAt: hit.savedAt });
+          return;
+        }
       }
 
-      const newCenter = {
-        lat: parseFloat(data[0].lat),
-        lng: parseFloat(data[0].lon),
-        label: data[0].display_name,
-      };
+      const elements = await placesProvider.searchPlaces({
+        mood: config,
+        center,
+        radius,
+        signal: controller.signal,
+        onRetry: ({ attempt, maxAttempts, url, delayMs }) =>
+          notify({
+            severity: "warning",
+            key: "places-retry",
+            message:
+              `API busy. Retrying on ${new URL(url).host} (${attempt}/${maxAttempts - 1})` +
+              (delayMs ? ` in ${Math.ceil(delayMs / 1000)} seconds...` : "..."),
+          }),
+      });
+
+      // a newer search (or cancel) superseded this one
+      if (placesAbort.current !== controller) return;
+
+      const results = elements
+        .map((el) => elementToPlace(el, config))
+        .filter(Boolean)
+        .map((p) => placeFromCenter(p, center));
+
+      loadedArea.current = { center, radius };
+      setPlaces(results);
+      setCacheInfo(null);
 
-      setSearchCenter(newCenter);
-      alert("✅ Location set! Now click 'Find Places'");
-      localStorage.setItem("last_search_cache", JSON.stringify({ time: Date.now(), places, searchCenter: newCenter }));
+      placesCache
+        .put({ mood: moodCacheKey, center, radius, places: results })
+        .catch((err) => console.error(err));
+      prefetchSearchArea(center, radius).catch((err) => console.error(err));
     } catch (err) {
+      if (isAbortError(err) || placesAbort.current !== controller) return;
       console.error(err);
-      alert("Failed to search location.");
+      logError("Places search", err, {
+        detail: `${config.label} within ${radius / 1000} km of ${center.label || "selected location"}`,
+      });
+      if (err instanceof QueryError) {
+        notify({ severity: "error", key: "places-failed", message: `Mood "${config.label}": ${err.message}` });
+        return;
+      }
+      notify({
+        severity: "error",
+        key: "places-failed",
+        message: "Places API busy for too long.",
+        action: { label: "Retry", onClick: () => fetchPlaces({ force, center }) },
+      });
+    } finally {
+      if (placesAbort.current === controller) {
+        placesAbort.current = null;
+        searchingFor.current = null;
+        setLoading(false);
+      }
     }
   };
 
-  const fetchPlaces = async () => {
-    if (!searchCenter) return;
+  useEffect(() => {
+    setPannedTo(null);
+  }, [searchCenter]);
 
-    setLoading(true);
-    setPlaces([]);
-    setSelectedPlace(null);
+  // ✅ dropped pin / dragged center: move now, fill in the name when reverse geocoding answers
+  const setCenterAt = async ({ lat, lng }) => {
+    const center = { lat, lng, label: `📍 ${lat.toFixed(4)}, ${lng.toFixed(4)}` };
+    setSearchCenter(center);
+
+    geocodeAbort.current?.abort();
+    const controller = new AbortController();
+    geocodeAbort.current = controller;
+    try {
+      const label = await placesProvider.reverseGeocode(center, { signal: controller.signal });
+      if (label && geocodeAbort.current === controller) {
+        setSearchCenter((prev) => (prev === center ? { ...center, label } : prev));
+      }
+    } catch (err) {
+      if (!isAbortError(err)) console.error(err); // keeping the coordinates as label is fine
+    } finally {
+      if (geocodeAbort.current === controller) geocodeAbort.current = null;
+    }
+  };
+
+  const searchThisArea = () => {
+    const center = { ...pannedTo, label: "Map area" };
+    setSearchCenter(center);
+    fetchPlaces({ center });
+  };
 
-    const config = moodConfig[mood];
-    const tags = config?.tags || ["restaurant"];
-    const radius = Math.max(distanceLimit, 3000);
+  useFollowPosition(following, {
+    onPosition: (pos) => {
+      setLive(pos);
+      setGeoStatus({ state: "ok" });
+    },
+    onError: (err) => {
+      const info = geoErrorInfo(err);
+      setGeoStatus(info);
+      // a timeout mid-walk is temporary; a denied permission isn't
+      if (info.state === "denied" || info.state === "unsupported") {
+        setFollowing(false);
+        setLive(null);
+      }
+      notify({ severity: info.state === "timeout" ? "warning" : "error", key: "geo", message: info.message });
+    },
+  });
 
-    // ✅ Overpass: tourism/amenity based query
-    const key = config.type; // amenity OR tourism
-    const query = `
-      [out:json][timeout:25];
-      (
-        node["${key}"~"${tags.join("|")}"](around:${radius},${searchCenter.lat},${searchCenter.lng});
-        way["${key}"~"${tags.join("|")}"](around:${radius},${searchCenter.lat},${searchCenter.lng});
-        relation["${key}"~"${tags.join("|")}"](around:${radius},${searchCenter.lat},${searchCenter.lng});
-      );
-      out center;
-    `;
+  // ✅ left the loaded area -> search again around the new position
+  const requeryIfMoved = useRef(null);
+  requeryIfMoved.current = (pos) => {
+    if (loading || !needsRequery(pos, loadedArea.current, distanceLimit)) return;
+    const center = { lat: pos.lat, lng: pos.lng, label: "📡 Your live location" };
+    setSearchCenter(center);
+    fetchPlaces({ center });
+  };
 
-    const url = "https://overpass.kumi.systems/api/interpreter?data=" + encodeURIComponent(query);
+  useEffect(() => {
+    if (following && live) requeryIfMoved.current(live);
+  }, [following, live]);
 
-    try {
-      const data = await fetchWithRetry(url, 3, 3000);
-
-      const results = (data.elements || [])
-        .map((el) => {
-          const lat = el.lat || el.center?.lat;
-          const lon = el.lon || el.center?.lon;
-          const name = el.tags?.name || "Unnamed Place";
-          const type = el.tags?.amenity || el.tags?.tourism || "place";
-          if (!lat || !lon) return null;
-
-          const dist = haversineMeters(searchCenter.lat, searchCenter.lng, lat, lon);
-          const relevance = (1 / (dist + 1)) * 1000000;
-
-          return {
-            id: el.id,
-            name,
-            type,
-            lat,
-            lon,
-            distance: dist,
-            relevance,
-            tags: el.tags || {},
-          };
-        })
-        .filter(Boolean);
+  const toggleFollow = () => {
+    setFollowing((v) => !v);
+    setLive(null);
+  };
 
-      setPlaces(results);
+  // ✅ trip download: map tiles for the search circle (results are already in placesCache)
+  const downloadHint = !TILE_DOWNLOADS
+    ? "Needs a tile server that allows bulk downloads (REACT_APP_TILE_URL); the OSM tile policy forbids them"
+    : canCacheTiles()
+    ? "Save map tiles of this search area for offline use"
+    : "Available in the installed app";
 
-      localStorage.setItem(
-        "last_search_cache",
-        JSON.stringify({ time: Date.now(), places: results, searchCenter })
-      );
+  const downloadThisArea = async () => {
+    setDownloading(true);
+    try {
+      const res = await downloadArea(searchCenter, searchRadius, {
+        onProgress: ({ done, failed, total }) =>
+          notify({
+            severity: "info",
+            key: "area-download",
+            message: `Downloading map tiles… ${done + failed}/${total}`,
+            timeoutMs: 0,
+          }),
+      });
+      notify({
+        severity: res.failed ? "warning" : "success",
+        key: "area-download",
+        message: `Area saved for offline use (${res.done} tiles${res.failed ? `, ${res.failed} failed` : ""}).`,
+      });
     } catch (err) {
-      console.error(err);
-      alert("❌ Places API busy for too long. Try again later.");
+      logError("Offline area download", err, { detail: searchCenter.label });
+      notify({ severity: "error", key: "area-download", message: err.message });
     } finally {
-      setLoading(false);
+      setDownloading(false);
+    }
+  };
+
+  const removeDownloadedAreas = async () => {
+    if (!window.confirm("Remove all downloaded map areas? Viewed tiles stay cached.")) return;
+    try {
+      await clearDownloadedAreas();
+      notify({ severity: "success", key: "area-download", message: "Downloaded areas removed." });
+    } catch (err) {
+      logError("Remove downloaded areas", err);
+      notify({ severity: "error", key: "area-download", message: err.message });
     }
   };
 
   const isFav = (id) => favorites.some((x) => x.id === id);
+  const favoriteIds = useMemo(() => new Set(favorites.map((f) => f.id)), [favorites]);
+
+  // new saves go to the list open on the Saved tab
+  const saveTo = activeList === ALL_LISTS ? DEFAULT_LIST.id : activeList;
+
+  const saveSharedTrip = () => {
+    const fresh = sharedTrip.places.filter((p) => !favorites.some((f) => f.id === p.id));
+    fresh.forEach((p) => track("save", p));
+    setFavorites((prev) => [...fresh.map((p) => savedEntry(placeFromCenter(p, searchCenter), { listId: saveTo })), ...prev]);
+    notify({ severity: "success", message: `${fresh.length} place(s) added to Saved.` });
+  };
+
+  const closeSharedTrip = () => {
+    setSharedTrip(null);
+    setTrip(null);
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  };
 
   const toggleFav = (place) => {
+    if (!favorites.some((x) => x.id === place.id)) track("save", place);
     setFavorites((prev) => {
       if (prev.some((x) => x.id === place.id)) return prev.filter((x) => x.id !== place.id);
-      return [{ ...place, savedAt: Date.now() }, ...prev];
+      return [savedEntry(place, { listId: saveTo }), ...prev];
     });
   };
 
+  const editSaved = (placeId, patch) => setFavorites((prev) => updateSaved(prev, placeId, patch));
+
+  const addList = (name) => {
+    const { lists: next, list } = createList(lists, name);
+    setLists(next);
+    setActiveList(list.id);
+  };
+
+  const removeList = (id) => {
+    const next = deleteList(lists, favorites, id);
+    setLists(next.lists);
+    setFavorites(next.favorites);
+    setActiveList(ALL_LISTS);
+  };
+
+  const importBackup = (next, { added, updated, removed }) => {
+    setFavorites(next.favorites);
+    setReviews(next.reviews);
+    setLists(next.lists);
+    setActiveTag(null);
+    notify({
+      severity: "success",
+      message: `Import done: ${added} added, ${updated} updated, ${removed} removed.`,
+    });
+  };
+
+  const savedPlaces = useMemo(
+    () => filterSaved(favorites, { listId: activeList, tag: activeTag }),
+    [favorites, activeList, activeTag]
+  );
+  const listNames = useMemo(() => Object.fromEntries(lists.map((l) => [l.id, l.name])), [lists]);
+  const savedTags = useMemo(() => tagCounts(favorites), [favorites]);
+
+  // ✅ follow me: distances are measured from where the user is now
+  const livePlaces = useMemo(
+    () => (following && live ? places.map((p) => placeFromCenter(p, live)) : places),
+    [places, following, live]
+  );
+
+  // ✅ routing: from the live position while following, else from the search center
+  const routeOrigin = following && live ? live : searchCenter;
+  const sortChoices = tab === "saved" ? [...SORT_OPTIONS, ...SAVED_SORT_OPTIONS] : SORT_OPTIONS;
+  const sort = sortChoices.some((o) => o.value === sortBy) ? sortBy : "relevance";
+  const travelMode = sort.startsWith("time:") ? sort.slice(5) : null;
+
+  const timedPlaces = useMemo(() => {
+    if (!travelMode) return [];
+    const base = tab === "saved" ? savedPlaces : livePlaces.filter((p) => p.distance <= distanceLimit);
+    return [...base].sort((a, b) => a.distance - b.distance).slice(0, MAX_TIMED_PLACES);
+  }, [travelMode, tab, savedPlaces, livePlaces, distanceLimit]);
+
+  const { times: travelTimes, loading: timingPlaces } = useTravelTimes(router, {
+    origin: routeOrigin,
+    places: timedPlaces,
+    mode: travelMode,
+    onError: (err) => {
+      logError("Travel times", err, { detail: `${travelMode} via ${router.name}` });
+      notify({
+        severity: "warning",
+        key: "travel-times",
+        message: "Travel times are unavailable right now — showing straight-line order.",
+      });
+    },
+  });
+
+  const routes = useRoutes(router, routeOrigin, selectedPlace);
+  const shownRoute = routeMode && routes[routeMode]?.result;
+
   const visiblePlaces = useMemo(() => {
     const q = searchText.trim().toLowerCase();
-    const base = tab === "saved" ? favorites : places;
+    const base = tab === "saved" ? savedPlaces : livePlaces;
     let arr = base;
 
     if (tab === "discover") arr = arr.filter((p) => p.distance <= distanceLimit);
 
-    if (q) arr = arr.filter((p) => (p.name || "").toLowerCase().includes(q));
-
-    if (sortBy === "distance") arr = [...arr].sort((a, b) => a.distance - b.distance);
-    else if (sortBy === "az") arr = [...arr].sort((a, b) => (a.name || "").localeCompare(b.name || ""));
-    else if (sortBy === "rating") {
-      arr = [...arr].sort((a, b) => getReviewStats(b.id).avg - getReviewStats(a.id).avg);
+    // saved places are also found by their note and tags
+    const text = (p) => (tab === "saved" ? [p.name, p.note, ...(p.userTags || [])].join(" ") : p.name || "");
+    if (q) arr = arr.filter((p) => text(p).toLowerCase().includes(q));
+
+    // unknown hours can't be confirmed open, so they are hidden too
+    if (openNowOnly) arr = arr.filter((p) => openingStatus(p.tags?.opening_hours, now).open);
+
+    arr = applyFacets(arr, facetFilter);
+
+    // ✅ multi-factor relevance (src/ranking/score.js)
+    const reviewStats = (id) => reviewStatsFor(reviews, id);
+    const ctx = { mood: activeMood, radius: distanceLimit, now, reviewStats, favorites, profile };
+    arr = arr.map((p) => ({ ...p, ...scorePlace(p, ctx, weights) }));
+
+    if (sort === "distance") arr = [...arr].sort((a, b) => a.distance - b.distance);
+    else if (sort === "az") arr = [...arr].sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+    else if (sort === "rating") {
+      arr = [...arr].sort((a, b) => reviewStats(b.id).avg - reviewStats(a.id).avg);
+    } else if (sort === "saved") {
+      arr = [...arr].sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+    } else if (sort === "list") {
+      const order = (p) => lists.findIndex((l) => l.id === p.listId);
+      arr = [...arr].sort((a, b) => order(a) - order(b) || (b.savedAt || 0) - (a.savedAt || 0));
+    } else if (travelMode) {
+      // untimed places (still loading, unreachable, beyond MAX_TIMED_PLACES) go last by distance
+      const t = (p) => travelTimes.get(p.id)?.duration ?? Infinity;
+      arr = [...arr].sort((a, b) => t(a) - t(b) || a.distance - b.distance);
     } else {
-      arr = [...arr].sort((a, b) => (b.relevance || 0) - (a.relevance || 0));
+      arr = [...arr].sort((a, b) => b.score - a.score);
     }
 
     return arr;
-  }, [places, favorites, searchText, tab, sortBy, distanceLimit, reviews]);
+  }, [livePlaces, favorites, savedPlaces, lists, searchText, tab, sort, distanceLimit, reviews, openNowOnly, now, activeMood, weights, profile, facetFilter, travelMode, travelTimes]);
+
+  // ✅ "Top match for your mood": best scoring loaded place, whatever the list shows
+  const topPlace = useMemo(() => {
+    const reviewStats = (id) => reviewStatsFor(reviews, id);
+    const ctx = { mood: activeMood, radius: distanceLimit, now, reviewStats, favorites, profile };
+    return rankPlaces(livePlaces.filter((p) => p.distance <= distanceLimit), ctx, weights)[0] || null;
+  }, [livePlaces, favorites, distanceLimit, reviews, now, activeMood, weights, profile]);
+
+  // facet counts are taken from what the list would show without the facets themselves
+  const facets = useMemo(() => {
+    let base = tab === "saved" ? savedPlaces : livePlaces.filter((p) => p.distance <= distanceLimit);
+    if (openNowOnly) base = base.filter((p) => openingStatus(p.tags?.opening_hours, now).open);
+    return deriveFacets(base, facetFilter);
+  }, [tab, savedPlaces, livePlaces, distanceLimit, openNowOnly, now, facetFilter]);
+
+  const legendTypes = useMemo(() => [...new Set(visiblePlaces.map((p) => p.type))], [visiblePlaces]);
+
+  const forYouPicks = useMemo(
+    () => forYou(livePlaces.filter((p) => p.distance <= distanceLimit), profile, favorites),
+    [livePlaces, distanceLimit, profile, favorites]
+  );
 
   const sharePlace = (p) => {
     const msg = `📍 ${p.name}\nType: ${p.type}\nLocation: https://www.google.com/maps?q=${p.lat},${p.lon}`;
     window.open(`https://wa.me/?text=${encodeURIComponent(msg)}`, "_blank");
   };
 
-  if (!location || !searchCenter) return <h2 style={{ padding: 20 }}>Getting location...</h2>;
+  if (!searchCenter) {
+    return (
+      <LocationPrompt status={geoStatus} onRetry={() => locate()}>
+        <LocationSearch
+          geocode={geocodeLocation}
+          autocomplete={placesProvider.autocomplete}
+          saved={savedLocations}
+          onPick={pickLocation}
+          onTogglePin={(loc) => setSavedLocations((prev) => togglePin(prev, loc))}
+          onForget={(loc) => setSavedLocations((prev) => forgetLocation(prev, loc))}
+          onError={onGeocodeError}
+        />
+      </LocationPrompt>
+    );
+  }
 
   return (
     <div style={styles.page}>
@@ -345,14 +774,54 @@ export default function App() {
         <div>
           <h1 style={styles.title}>Smart Nearby Places Recommender</h1>
           <p style={styles.subtitle}>
-            {timeSuggestion()} &nbsp;|&nbsp; {moodConfig[mood].topMatch}
+            {timeSuggestion(now)} &nbsp;|&nbsp;{" "}
+            {topPlace ? (
+              <>
+                🎯 Top match for {activeMood.label}:{" "}
+                <b style={{ cursor: "pointer" }} onClick={() => openPlace(topPlace)}>
+                  {topPlace.name}
+                </b>{" "}
+                ({(topPlace.distance / 1000).toFixed(2)} km)
+              </>
+            ) : (
+              activeMood.topMatch || `${activeMood.emoji} ${activeMood.label} places nearby`
+            )}
           </p>
           <p style={{ margin: "6px 0 0", color: "#555", fontSize: 12 }}>
             📍 Searching near: <b>{searchCenter.label || "Selected location"}</b>
+            <button
+              style={{ ...styles.followBtn, ...(following ? styles.followBtnOn : {}) }}
+              onClick={toggleFollow}
+              title="Keep distances and results updated as you move"
+            >
+              {following ? "📡 Following" : "📡 Follow me"}
+            </button>
+            {following && (
+              <span style={styles.livePill}>
+                {live ? `Live · ±${live.accuracy} m` : geoStatus.state === "ok" ? "Waiting for GPS…" : geoStatus.message}
+              </span>
+            )}
+            {!following && geoStatus.state !== "ok" && geoStatus.state !== "locating" && (
+              <button style={styles.followBtn} onClick={() => locate({ recenter: true })} title={geoStatus.message}>
+                ⚠️ Location off — retry
+              </button>
+            )}
+            {!online && (
+              <span style={styles.offlinePill} title="Showing cached results and downloaded map areas">
+                📴 Offline
+              </span>
+            )}
           </p>
         </div>
 
         <div style={styles.tabs}>
+          <button
+            onClick={() => setShowErrorLog((v) => !v)}
+            style={{ ...styles.tabBtn, ...(showErrorLog ? styles.tabActive : {}) }}
+            title="Show failed requests"
+          >
+            🧾 Errors ({errorLog.length})
+          </button>
           <button
             onClick={() => setTab("discover")}
             style={{ ...styles.tabBtn, ...(tab === "discover" ? styles.tabActive : {}) }}
@@ -368,73 +837,94 @@ export default function App() {
         </div>
       </header>
 
+      {showErrorLog && <ErrorLogPanel onClose={() => setShowErrorLog(false)} />}
+
       {/* MAIN GRID */}
       <div style={styles.grid}>
         {/* LEFT PANEL */}
         <aside style={styles.panel}>
+          {editingMoods && (
+            <MoodEditor moods={moods} onChange={setMoods} onClose={() => setEditingMoods(false)} />
+          )}
+
           <div style={styles.card}>
             <h3 style={styles.cardTitle}>Mood</h3>
 
             <div style={styles.moodRow}>
-              {Object.keys(moodConfig).map((key) => {
-                const active = key === mood;
+              {moods.map((m) => {
+                const active = m.id === activeMood.id;
                 return (
                   <button
-                    key={key}
-                    onClick={() => setMood(key)}
+                    key={m.id}
+                    onClick={() => setMood(m.id)}
                     style={{ ...styles.moodBtn, ...(active ? styles.moodBtnActive : {}) }}
                   >
-                    {moodConfig[key].emoji} {moodConfig[key].label}
+                    {m.emoji} {m.label}
                   </button>
                 );
               })}
+              <button
+                onClick={() => setEditingMoods((v) => !v)}
+                style={styles.moodBtn}
+                title="Create, edit, reorder and import moods"
+              >
+                ✏️
+              </button>
             </div>
 
             {/* Search other location */}
             <label style={styles.label}>Search other location</label>
-            <div style={{ display: "flex", gap: 8 }}>
-              <input
-                placeholder="Example: Bangalore / Hyderabad"
-                value={customLocation}
-                onChange={(e) => setCustomLocation(e.target.value)}
-                style={{ ...styles.search, marginTop: 0 }}
-              />
-              <button style={styles.smallBtn} onClick={findOtherLocation}>
-                Search
-              </button>
-            </div>
+            <LocationSearch
+              geocode={geocodeLocation}
+              autocomplete={placesProvider.autocomplete}
+              saved={savedLocations}
+              onPick={pickLocation}
+              onTogglePin={(loc) => setSavedLocations((prev) => togglePin(prev, loc))}
+              onForget={(loc) => setSavedLocations((prev) => forgetLocation(prev, loc))}
+              onError={onGeocodeError}
+            />
 
             <div style={styles.controlsRow}>
               <div style={{ flex: 1 }}>
                 <label style={styles.label}>Distance</label>
-                <select
-                  value={distanceLimit}
-                  onChange={(e) => setDistanceLimit(Number(e.target.value))}
-                  style={styles.select}
-                  disabled={tab === "saved"}
-                >
+                <div style={styles.rangeRow}>
+                  <input
+                    type="range"
+                    min={DISTANCE_RANGE.min}
+                    max={DISTANCE_RANGE.max}
+                    step={DISTANCE_RANGE.step}
+                    list="distance-presets"
+                    value={distanceLimit}
+                    onChange={(e) => setDistanceLimit(Number(e.target.value))}
+                    disabled={tab === "saved"}
+                    style={{ flex: 1 }}
+                  />
+                  <b style={{ fontSize: 13, minWidth: 52, textAlign: "right" }}>
+                    {(distanceLimit / 1000).toFixed(distanceLimit % 1000 ? 2 : 0)} km
+                  </b>
+                </div>
+                <datalist id="distance-presets">
                   {DISTANCE_OPTIONS.map((d) => (
-                    <option key={d.value} value={d.value}>
-                      Within {d.label}
-                    </option>
+                    <option key={d.value} value={d.value} label={d.label} />
                   ))}
-                </select>
+                </datalist>
               </div>
 
               <div style={{ flex: 1 }}>
                 <label style={styles.label}>Sort</label>
-                <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} style={styles.select}>
-                  {SORT_OPTIONS.map((s) => (
+                <select value={sort} onChange={(e) => setSortBy(e.target.value)} style={styles.select}>
+                  {sortChoices.map((s) => (
                     <option key={s.value} value={s.value}>
                       {s.label}
                     </option>
                   ))}
                 </select>
+                {timingPlaces && <div style={styles.sortNote}>Getting travel times…</div>}
               </div>
             </div>
 
             <button
-              onClick={fetchPlaces}
+              onClick={() => fetchPlaces()}
               style={styles.primaryBtn}
               disabled={tab === "saved"}
               title={tab === "saved" ? "Switch to Discover to search places" : ""}
@@ -442,6 +932,31 @@ export default function App() {
               {loading ? "Searching..." : "Find Places"}
             </button>
 
+            {loading && (
+              <button onClick={cancelSearch} style={styles.cancelBtn}>
+                ✕ Cancel search
+              </button>
+            )}
+
+            <button
+              onClick={downloadThisArea}
+              style={styles.areaBtn}
+              disabled={downloading || !online || !canCacheTiles()}
+              title={downloadHint}
+            >
+              {downloading ? "Downloading area..." : "⬇️ Download this area"}
+            </button>
+            {canCacheTiles() && (
+              <button
+                onClick={removeDownloadedAreas}
+                style={styles.areaBtn}
+                disabled={downloading}
+                title="Free the space used by downloaded areas"
+              >
+                🗑️ Remove downloaded areas
+              </button>
+            )}
+
             <p style={styles.smallNote}>
               ✅ Includes Tourist Places + Hotels + Reviews + API Retry.
             </p>
@@ -453,9 +968,133 @@ export default function App() {
               <h3 style={styles.cardTitle}>
                 {tab === "saved" ? "Saved Places" : "Recommendations"}
               </h3>
-              <span style={styles.countPill}>{visiblePlaces.length}</span>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {tab === "saved" && (
+                  <button
+                    style={{ ...styles.smallBtn, ...(showPlanner ? styles.smallBtnOn : {}) }}
+                    onClick={() => setShowPlanner((v) => !v)}
+                    title="Order saved places into a day plan"
+                  >
+                    🗺️ Plan
+                  </button>
+                )}
+                {tab === "saved" && (
+                  <button
+                    style={{ ...styles.smallBtn, ...(showBackup ? styles.smallBtnOn : {}) }}
+                    onClick={() => setShowBackup((v) => !v)}
+                    title="Export or import saved places and reviews"
+                  >
+                    💾 Backup
+                  </button>
+                )}
+                <button
+                  style={styles.smallBtn}
+                  onClick={() => setShowWeights((v) => !v)}
+                  title="Tune how Relevance is computed"
+                >
+                  ⚙️ Weights
+                </button>
+                <button
+                  style={styles.smallBtn}
+                  onClick={() => setShowLearned((v) => !v)}
+                  title="See or reset what was learned from your activity"
+                >
+                  🧠 Learned
+                </button>
+                <span style={styles.countPill}>{visiblePlaces.length}</span>
+              </div>
             </div>
 
+            {showWeights && (
+              <div style={{ marginTop: 10 }}>
+                <RankingSettings weights={weights} onChange={setWeights} onClose={() => setShowWeights(false)} />
+              </div>
+            )}
+
+            {showLearned && (
+              <div style={{ marginTop: 10 }}>
+                <PreferencesPanel
+                  profile={profile}
+                  onReset={() => {
+                    setPrefEvents([]);
+                    notify({ severity: "info", message: "Learned preferences cleared." });
+                  }}
+                  onClose={() => setShowLearned(false)}
+                />
+              </div>
+            )}
+
+            {tab === "saved" && (
+              <CollectionsBar
+                lists={lists}
+                counts={listCounts(favorites)}
+                total={favorites.length}
+                active={activeList}
+                onSelect={setActiveList}
+                onCreate={addList}
+                onRename={(id, name) => setLists((prev) => renameList(prev, id, name))}
+                onDelete={removeList}
+                tags={savedTags}
+                activeTag={activeTag}
+                onTag={setActiveTag}
+              />
+            )}
+
+            {tab === "saved" && showBackup && (
+              <BackupPanel
+                data={{ favorites, reviews, lists }}
+                onImport={importBackup}
+                onClose={() => setShowBackup(false)}
+              />
+            )}
+
+            {tab === "saved" && showPlanner && (
+              <ItineraryPlanner
+                key={sharedTrip ? "shared" : activeList}
+                places={sharedTrip ? sharedTrip.places : savedPlaces}
+                origin={routeOrigin}
+                router={router}
+                trip={trip}
+                onTrip={setTrip}
+                onOpen={(p) => openPlace(placeFromCenter(p, routeOrigin))}
+                onError={(err, message) => {
+                  logError("Day plan", err, { detail: router?.name });
+                  notify({ severity: "warning", key: "day-plan", message });
+                }}
+                onInfo={(message) => notify({ severity: "success", message })}
+                shared={sharedTrip}
+                onSaveShared={saveSharedTrip}
+                onCloseShared={closeSharedTrip}
+              />
+            )}
+
+            {tab === "discover" && forYouPicks.length > 0 && (
+              <div style={styles.forYou}>
+                <b>✨ For you</b>
+                <div style={styles.forYouRow}>
+                  {forYouPicks.map(({ place, reasons }) => (
+                    <button
+                      key={place.id}
+                      style={styles.forYouChip}
+                      onClick={() => openPlace(place)}
+                      title={reasons.join(", ")}
+                    >
+                      {place.name} · {(place.distance / 1000).toFixed(1)} km
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {tab === "discover" && cacheInfo && !loading && (
+              <div style={styles.cacheNote}>
+                <span>🗂️ Cached results from {formatAge(Date.now() - cacheInfo.savedAt)}</span>
+                <button style={styles.smallBtn} onClick={() => fetchPlaces({ force: true })}>
+                  Refresh
+                </button>
+              </div>
+            )}
+
             <input
               placeholder="Search places..."
               value={searchText}
@@ -463,63 +1102,118 @@ export default function App() {
               style={styles.search}
             />
 
-            <div style={styles.list}>
-              {loading && tab === "discover" && <p style={styles.loadingText}>Loading places...</p>}
+            <label style={styles.checkRow}>
+              <input type="checkbox" checked={openNowOnly} onChange={(e) => setOpenNowOnly(e.target.checked)} />
+              🕒 Open now
+              <span style={{ color: "#999" }}>(places with known opening hours)</span>
+            </label>
 
-              {!loading && visiblePlaces.length === 0 && (
-                <p style={styles.emptyText}>
-                  {tab === "saved"
-                    ? "No saved places yet. Save some ⭐"
-                    : "No places yet. Click “Find Places”."}
-                </p>
-              )}
+            <FacetFilters facets={facets} selected={facetFilter} onChange={setFacetFilter} />
 
-              {visiblePlaces.slice(0, 60).map((p) => {
-                const stat = getReviewStats(p.id);
-                const active = selectedPlace?.id === p.id;
+            {loading && tab === "discover" && <p style={styles.loadingText}>Loading places...</p>}
 
-                return (
-                  <div
-                    key={p.id}
-                    style={{
-                      ...styles.placeCard,
-                      ...(active ? styles.placeCardActive : {}),
-                    }}
-                  >
-                    <div style={styles.placeTop}>
-                      <div>
-                        <div style={styles.placeName}>{p.name}</div>
+            {!loading && visiblePlaces.length === 0 && (
+              <p style={styles.emptyText}>
+                {tab === "saved"
+                  ? "No saved places yet. Save some ⭐"
+                  : "No places yet. Click “Find Places”."}
+              </p>
+            )}
 
-                        <div style={styles.placeMeta}>
-                          {p.type} • {(p.distance / 1000).toFixed(2)} km
+            {/* ✅ every result, but only the rows in view are mounted */}
+            {visiblePlaces.length > 0 && (
+              <VirtualList
+                items={visiblePlaces}
+                itemKey={(p) => p.id}
+                style={styles.list}
+                scrollToKey={selectedPlace?.id}
+                renderItem={(p) => {
+                  const stat = getReviewStats(p.id);
+                  const active = selectedPlace?.id === p.id;
+
+                  return (
+                    <div
+                      style={{
+                        ...styles.placeCard,
+                        ...(hoveredId === p.id ? styles.placeCardHover : {}),
+                        ...(active ? styles.placeCardActive : {}),
+                      }}
+                      onMouseEnter={() => setHoveredId(p.id)}
+                      onMouseLeave={() => setHoveredId(null)}
+                    >
+                      <div style={styles.placeTop}>
+                        <div>
+                          <div style={styles.placeName}>{p.name}</div>
+
+                          <div style={styles.placeMeta}>
+                            {p.type} • {(p.distance / 1000).toFixed(2)} km
+                            {travelTimes.has(p.id) &&
+                              ` • ${MODES[travelMode].emoji} ${formatTravelTime(travelTimes.get(p.id).duration)}`}
+                          </div>
+
+                          {p.tags?.opening_hours && (
+                            <div style={{ marginTop: 4 }}>
+                              <OpenStatusBadge hours={p.tags.opening_hours} now={now} />
+                            </div>
+                          )}
+
+                          {tab === "saved" && (
+                            <div style={styles.savedMeta}>
+                              <span style={styles.listBadge}>📂 {listNames[p.listId] || DEFAULT_LIST.name}</span>
+                              {p.userTags?.map((t) => (
+                                <span key={t} style={styles.tagBadge}>
+                                  #{t}
+                                </span>
+                              ))}
+                              {p.note && <div style={styles.notePreview}>📝 {p.note}</div>}
+                            </div>
+                          )}
+
+                          <div style={{ marginTop: 4, fontSize: 12, color: "#444" }}>
+                            ⭐{" "}
+                            {stat.avg
+                              ? `${stat.avg.toFixed(1)} (${stat.count} reviews)`
+                              : "No rating yet"}
+                          </div>
                         </div>
 
-                        <div style={{ marginTop: 4, fontSize: 12, color: "#444" }}>
-                          ⭐{" "}
-                          {stat.avg
-                            ? `${stat.avg.toFixed(1)} (${stat.count} reviews)`
-                            : "No rating yet"}
-                        </div>
+                        <button onClick={() => toggleFav(p)} style={styles.favBtn} title="Save">
+                          {isFav(p.id) ? "⭐" : "☆"}
+                        </button>
                       </div>
 
-                      <button onClick={() => toggleFav(p)} style={styles.favBtn} title="Save">
-                        {isFav(p.id) ? "⭐" : "☆"}
-                      </button>
-                    </div>
-
-                    <div style={styles.placeActions}>
-                      <button style={styles.smallBtn} onClick={() => setSelectedPlace(p)}>
-                        Open
-                      </button>
-
-                      <button style={styles.smallBtn} onClick={() => sharePlace(p)}>
-                        WhatsApp
-                      </button>
+                      {sort === "relevance" && p.breakdown && (
+                        <details style={styles.why}>
+                          <summary style={{ cursor: "pointer" }}>
+                            Why this ranking? <b>{Math.round(p.score * 100)}</b>/100
+                          </summary>
+                          <ul style={styles.whyList}>
+                            {p.breakdown
+                              .filter((b) => b.weight > 0)
+                              .map((b) => (
+                                <li key={b.key}>
+                                  {b.label}: {Math.round(b.value * 100)}% × {b.weight.toFixed(1)}
+                                  {b.note && <span style={{ color: "#888" }}> — {b.note}</span>}
+                                </li>
+                              ))}
+                          </ul>
+                        </details>
+                      )}
+
+                      <div style={styles.placeActions}>
+                        <button style={styles.smallBtn} onClick={() => openPlace(p)}>
+                          Open
+                        </button>
+
+                        <button style={styles.smallBtn} onClick={() => sharePlace(p)}>
+                          WhatsApp
+                        </button>
+                      </div>
                     </div>
-                  </div>
-                );
-              })}
-            </div>
+                  );
+                }}
+              />
+            )}
           </div>
         </aside>
 
@@ -534,32 +1228,91 @@ export default function App() {
             >
               <TileLayer
                 attribution='&copy; <a href="https://www.openstreetmap.org/">OpenStreetMap</a>'
-                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                url={TILE_URL}
               />
 
-              <Marker position={[searchCenter.lat, searchCenter.lng]}>
+              {tab === "discover" && (
+                <Circle
+                  center={[searchCenter.lat, searchCenter.lng]}
+                  radius={distanceLimit}
+                  pathOptions={{ color: "#4f46e5", weight: 1.5, fillOpacity: 0.05, dashArray: "6 6" }}
+                  interactive={false}
+                />
+              )}
+
+              <Marker
+                position={[searchCenter.lat, searchCenter.lng]}
+                icon={centerIcon}
+                zIndexOffset={1000}
+                draggable
+                eventHandlers={{ dragend: (e) => setCenterAt(e.target.getLatLng()) }}
+              >
                 <Popup>
                   <b>Search Center</b> <br />
                   {searchCenter.label || "Selected location"}
+                  <br />
+                  <span style={{ color: "#777" }}>Drag me, or long-press the map to move</span>
                 </Popup>
               </Marker>
 
-              {visiblePlaces.map((p) => (
-                <Marker
-                  key={p.id}
-                  position={[p.lat, p.lon]}
-                  eventHandlers={{
-                    click: () => setSelectedPlace(p),
-                  }}
-                >
-                  <Popup>
-                    <b>{p.name}</b> <br />
-                    {p.type} <br />
-                    {(p.distance / 1000).toFixed(2)} km away
-                  </Popup>
-                </Marker>
-              ))}
+              <CenterPicker onPick={setCenterAt} />
+
+              <PlaceMarkers
+                places={visiblePlaces}
+                selected={selectedPlace}
+                hoveredId={hoveredId}
+                favoriteIds={favoriteIds}
+                onSelect={openPlace}
+                onHover={setHoveredId}
+              />
+
+              {shownRoute && <RouteLine path={shownRoute.path} mode={routeMode} />}
+
+              {tab === "saved" && trip && (
+                <>
+                  <RouteLine path={trip.path} mode={trip.mode} />
+                  {trip.stops.map((s, i) => (
+                    <Marker
+                      key={s.place.id}
+                      position={[s.place.lat, s.place.lon]}
+                      icon={stopIcon(i + 1, { closed: s.status === "closed" })}
+                      zIndexOffset={900}
+                      eventHandlers={{ click: () => openPlace(placeFromCenter(s.place, routeOrigin)) }}
+                    />
+                  ))}
+                </>
+              )}
+
+              {following && live && (
+                <>
+                  <Circle
+                    center={[live.lat, live.lng]}
+                    radius={live.accuracy}
+                    pathOptions={{ color: "#16a34a", weight: 1, fillOpacity: 0.12 }}
+                    interactive={false}
+                  />
+                  <Marker position={[live.lat, live.lng]} icon={userIcon} zIndexOffset={1100}>
+                    <Popup>
+                      <b>You are here</b> <br />
+                      Accuracy ±{live.accuracy} m
+                    </Popup>
+                  </Marker>
+                </>
+              )}
+
+              <MapController
+                center={searchCenter}
+                radius={searchRadius}
+                follow={following ? live : null}
+                onPannedAway={setPannedTo}
+              />
             </MapContainer>
+            <MapLegend types={legendTypes} following={following} />
+            {pannedTo && (
+              <button style={styles.searchAreaBtn} onClick={searchThisArea} disabled={loading}>
+                🔎 Search this area
+              </button>
+            )}
           </div>
 
           {/* DETAILS AREA */}
@@ -582,6 +1335,11 @@ export default function App() {
                         ? `${getReviewStats(selectedPlace.id).avg.toFixed(1)} (${getReviewStats(selectedPlace.id).count} reviews)`
                         : "No rating yet"}
                     </div>
+                    {selectedPlace.tags?.opening_hours && (
+                      <div style={{ marginTop: 6 }}>
+                        <OpenStatusBadge hours={selectedPlace.tags.opening_hours} now={now} />
+                      </div>
+                    )}
                   </div>
 
                   <button
@@ -596,31 +1354,35 @@ export default function App() {
                   <button style={styles.secondaryBtn} onClick={() => sharePlace(selectedPlace)}>
                     WhatsApp
                   </button>
+                </div>
 
-                  <button
-                    style={styles.secondaryBtn}
-                    onClick={() =>
-                      window.open(
-                        `https://www.google.com/maps/dir/?api=1&origin=${searchCenter.lat},${searchCenter.lng}&destination=${selectedPlace.lat},${selectedPlace.lon}&travelmode=walking`,
-                        "_blank"
-                      )
-                    }
-                  >
-                    🚶 Walk
-                  </button>
+                {isFav(selectedPlace.id) && (
+                  <SavedPlaceEditor
+                    key={selectedPlace.id}
+                    entry={favorites.find((f) => f.id === selectedPlace.id)}
+                    lists={lists}
+                    onChange={(patch) => editSaved(selectedPlace.id, patch)}
+                  />
+                )}
+
+                <RouteInfo
+                  routes={routes}
+                  origin={routeOrigin}
+                  place={selectedPlace}
+                  shownMode={routeMode}
+                  onShow={setRouteMode}
+                  enabled={Boolean(router)}
+                />
 
-                  <button
-                    style={styles.secondaryBtn}
-                    onClick={() =>
-                      window.open(
-                        `https://www.google.com/maps/dir/?api=1&origin=${searchCenter.lat},${searchCenter.lng}&destination=${selectedPlace.lat},${selectedPlace.lon}&travelmode=driving`,
-                        "_blank"
-                      )
-                    }
-                  >
-                    🚗 Drive
-                  </button>
-                </div>
+                {/* DETAILS FROM OSM TAGS */}
+                <hr style={{ border: "none", borderTop: "1px solid #eee", margin: "16px 0" }} />
+                <h3 style={{ margin: "0 0 10px" }}>Details</h3>
+                <PlaceDetails place={selectedPlace} moodId={activeMood.id} />
+
+                {/* OPENING HOURS */}
+                <hr style={{ border: "none", borderTop: "1px solid #eee", margin: "16px 0" }} />
+                <h3 style={{ margin: "0 0 10px" }}>Opening hours</h3>
+                <WeeklySchedule hours={selectedPlace.tags?.opening_hours} now={now} />
 
                 {/* REVIEWS */}
                 <hr style={{ border: "none", borderTop: "1px solid #eee", margin: "16px 0" }} />
@@ -700,6 +1462,14 @@ const styles = {
     gap: 12,
   },
   title: { margin: 0, fontSize: 22 },
+  offlinePill: {
+    marginLeft: 8,
+    padding: "2px 8px",
+    borderRadius: 999,
+    background: "#fef3c7",
+    color: "#92400e",
+    fontWeight: 800,
+  },
   subtitle: { margin: "6px 0 0", color: "#666", fontSize: 13, lineHeight: 1.4 },
   tabs: { display: "flex", gap: 8 },
   tabBtn: {
@@ -746,6 +1516,8 @@ const styles = {
   controlsRow: { display: "flex", gap: 10, marginTop: 14 },
   label: { display: "block", marginBottom: 6, color: "#444", fontSize: 13 },
 
+  rangeRow: { display: "flex", alignItems: "center", gap: 8, minHeight: 40 },
+
   select: {
     width: "100%",
     padding: "10px 12px",
@@ -753,6 +1525,7 @@ const styles = {
     border: "1px solid #ddd",
     outline: "none",
   },
+  sortNote: { marginTop: 4, fontSize: 11, color: "#777" },
 
   primaryBtn: {
     width: "100%",
@@ -766,6 +1539,29 @@ const styles = {
     fontWeight: 900,
   },
 
+  cancelBtn: {
+    width: "100%",
+    marginTop: 8,
+    padding: "8px 12px",
+    borderRadius: 14,
+    border: "1px solid #ddd",
+    cursor: "pointer",
+    background: "#fff",
+    color: "#b91c1c",
+    fontWeight: 800,
+  },
+
+  areaBtn: {
+    width: "100%",
+    marginTop: 8,
+    padding: "8px 12px",
+    borderRadius: 14,
+    border: "1px solid #ddd",
+    cursor: "pointer",
+    background: "#fff",
+    fontWeight: 800,
+  },
+
   smallNote: { margin: "10px 0 0", color: "#777", fontSize: 12 },
 
   rowBetween: { display: "flex", justifyContent: "space-between", alignItems: "center" },
@@ -778,6 +1574,19 @@ const styles = {
     fontSize: 13,
   },
 
+  cacheNote: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 10,
+    padding: "6px 10px",
+    borderRadius: 12,
+    background: "#f8fafc",
+    color: "#555",
+    fontSize: 12,
+  },
+
   search: {
     marginTop: 10,
     width: "100%",
@@ -787,6 +1596,16 @@ const styles = {
     outline: "none",
   },
 
+  checkRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+    color: "#444",
+    fontSize: 13,
+    cursor: "pointer",
+  },
+
   list: {
     marginTop: 12,
     maxHeight: "46vh",
@@ -803,6 +1622,10 @@ const styles = {
     cursor: "pointer",
   },
 
+  placeCardHover: {
+    background: "#f5f3ff",
+  },
+
   placeCardActive: {
     border: "2px solid #4f46e5",
     boxShadow: "0 10px 25px rgba(79,70,229,0.2)",
@@ -824,6 +1647,25 @@ const styles = {
 
   placeActions: { display: "flex", gap: 8, marginTop: 10 },
 
+  why: { marginTop: 6, fontSize: 12, color: "#555" },
+  whyList: { margin: "6px 0 0", paddingLeft: 18 },
+
+  forYou: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 12,
+    background: "#f5f3ff",
+    fontSize: 13,
+  },
+  forYouRow: { display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 },
+  forYouChip: {
+    border: "1px solid #ddd6fe",
+    background: "white",
+    borderRadius: 999,
+    padding: "4px 10px",
+    fontSize: 12,
+    cursor: "pointer",
+  },
   smallBtn: {
     border: "1px solid #ddd",
     background: "#fff",
@@ -834,11 +1676,53 @@ const styles = {
     fontWeight: 800,
     whiteSpace: "nowrap",
   },
+  smallBtnOn: { borderColor: "#4f46e5", background: "#eef2ff" },
+
+  savedMeta: { display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6, fontSize: 11 },
+  listBadge: { padding: "2px 8px", borderRadius: 999, background: "#eef2ff", color: "#3730a3", fontWeight: 700 },
+  tagBadge: { padding: "2px 6px", borderRadius: 999, background: "#f0fdfa", color: "#0f766e" },
+  notePreview: {
+    width: "100%",
+    color: "#555",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
 
   loadingText: { color: "#555" },
   emptyText: { color: "#777" },
 
+  followBtn: {
+    marginLeft: 8,
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 999,
+    padding: "2px 8px",
+    fontSize: 11,
+    fontWeight: 800,
+    cursor: "pointer",
+  },
+  followBtnOn: { background: "#16a34a", borderColor: "#16a34a", color: "white" },
+  livePill: { marginLeft: 6, color: "#166534", fontSize: 11, fontWeight: 700 },
+
+  searchAreaBtn: {
+    position: "absolute",
+    top: 20,
+    left: "50%",
+    transform: "translateX(-50%)",
+    zIndex: 1000,
+    border: "none",
+    borderRadius: 999,
+    padding: "8px 16px",
+    background: "#4f46e5",
+    color: "white",
+    fontWeight: 800,
+    cursor: "pointer",
+    boxShadow: "0 4px 14px rgba(0,0,0,0.2)",
+  },
+
   mapCard: {
+    position: "relative",
     height: "45vh",
     background: "white",
     borderRadius: 16,
@@ -0,0 +1,324 @@
+import { DEFAULT_LIST, parseTags } from "../utils/collections";
+import { escapeXml as esc } from "../utils/files";
+import { restoreId } from "../utils/places";
+
+// ✅ Backups of saved places + reviews.
+//   json    -> full fidelity: every saved field, lists, and reviews of any place
+//   geojson -> Point features (QGIS, geojson.io, uMap); reviews ride along in properties
+//   gpx     -> waypoints for GPS apps; our fields in <extensions>
+//   kml     -> Google Earth / My Maps, one <Folder> per list
+// Geo formats only carry reviews of saved places (other reviewed places have no position).
+
+export const BACKUP_VERSION = 1;
+const APP = "smart-nearby-places";
+const GPX_NS = "urn:smart-nearby-places:gpx:1";
+
+export const FORMATS = {
+  json: { label: "JSON (full backup)", ext: "json", mime: "application/json" },
+  geojson: { label: "GeoJSON", ext: "geojson", mime: "application/geo+json" },
+  gpx: { label: "GPX waypoints", ext: "gpx", mime: "application/gpx+xml" },
+  kml: { label: "KML", ext: "kml", mime: "application/vnd.google-earth.kml+xml" },
+};
+
+const listNameOf = (lists, id) => lists.find((l) => l.id === id)?.name || DEFAULT_LIST.name;
+
+const ratingText = (list = []) =>
+  list.length ? `★ ${(list.reduce((s, r) => s + r.stars, 0) / list.length).toFixed(1)} (${list.length})` : "";
+
+const description = (f, reviews) =>
+  [f.note, ratingText(reviews[f.id]), ...(reviews[f.id] || []).map((r) => `${"★".repeat(r.stars)} ${r.text}`)]
+    .filter(Boolean)
+    .join("\n");
+
+// ---------- export ----------
+
+// data: { favorites, reviews, lists }
+export function exportBackup(format, { favorites, reviews, lists }, now = new Date()) {
+  if (format === "json") {
+    return JSON.stringify(
+      { app: APP, version: BACKUP_VERSION, exportedAt: now.toISOString(), lists, favorites, reviews },
+      null,
+      2
+    );
+  }
+
+  if (format === "geojson") {
+    return JSON.stringify(
+      {
+        type: "FeatureCollection",
+        features: favorites.map((f) => ({
+          type: "Feature",
+          id: f.id,
+          geometry: { type: "Point", coordinates: [f.lon, f.lat] },
+          properties: {
+            id: f.id,
+            name: f.name,
+            type: f.type,
+            list: listNameOf(lists, f.listId),
+            note: f.note || "",
+            userTags: f.userTags || [],
+            savedAt: f.savedAt,
+            osmType: f.osmType,
+            tags: f.tags || {},
+            reviews: reviews[f.id] || [],
+          },
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  if (format === "gpx") {
+    const wpts = favorites.map(
+      (f) =>
+        `<wpt lat="${f.lat}" lon="${f.lon}">` +
+        (f.savedAt ? `<time>${new Date(f.savedAt).toISOString()}</time>` : "") +
+        `<name>${esc(f.name)}</name>` +
+        `<desc>${esc(description(f, reviews))}</desc>` +
+        (f.type ? `<type>${esc(f.type)}</type>` : "") +
+        `<extensions><snp:id>${esc(f.id)}</snp:id><snp:list>${esc(listNameOf(lists, f.listId))}</snp:list>` +
+        `<snp:note>${esc(f.note)}</snp:note><snp:tags>${esc((f.userTags || []).join(","))}</snp:tags>` +
+        `<snp:reviews>${esc(JSON.stringify(reviews[f.id] || []))}</snp:reviews></extensions>` +
+        `</wpt>`
+    );
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<gpx version="1.1" creator="Smart Nearby Places" xmlns="http://www.topografix.com/GPX/1/1" xmlns:snp="${GPX_NS}">`,
+      `<metadata><name>Saved places</name><time>${now.toISOString()}</time></metadata>`,
+      ...wpts,
+      `</gpx>`,
+    ].join("\n");
+  }
+
+  if (format === "kml") {
+    const data = (name, value) => `<Data name="${name}"><value>${esc(value)}</value></Data>`;
+    const folders = lists
+      .map((l) => ({ list: l, items: favorites.filter((f) => f.listId === l.id) }))
+      .filter((g) => g.items.length)
+      .map(
+        ({ list, items }) =>
+          `<Folder><name>${esc(list.name)}</name>` +
+          items
+            .map(
+              (f) =>
+                `<Placemark><name>${esc(f.name)}</name>` +
+                `<description>${esc(description(f, reviews))}</description>` +
+                `<ExtendedData>${data("id", f.id)}${data("type", f.type)}${data("note", f.note)}` +
+                `${data("userTags", (f.userTags || []).join(","))}${data("savedAt", f.savedAt)}` +
+                `${data("reviews", JSON.stringify(reviews[f.id] || []))}</ExtendedData>` +
+                `<Point><coordinates>${f.lon},${f.lat}</coordinates></Point></Placemark>`
+            )
+            .join("") +
+          `</Folder>`
+      );
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Saved places</name>`,
+      ...folders,
+      `</Document></kml>`,
+    ].join("\n");
+  }
+
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+// ---------- import ----------
+
+function toReviews(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((r) => Number.isInteger(r?.stars) && r.stars >= 1 && r.stars <= 5 && typeof r.text === "string")
+    .map((r) => ({ stars: r.stars, text: r.text, time: Number.isFinite(r.time) ? r.time : 0 }));
+}
+
+// raw -> saved entry (+ listName) or null with a reason in `errors`
+function toEntry(raw, i, errors, now) {
+  const label = `Place ${i + 1}${raw?.name ? ` (${raw.name})` : ""}`;
+  if (!raw || typeof raw !== "object") {
+    errors.push(`${label}: not an object`);
+    return null;
+  }
+  const lat = Number(raw.lat);
+  const lon = Number(raw.lon ?? raw.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    errors.push(`${label}: missing or invalid coordinates`);
+    return null;
+  }
+
+  // places from other apps have no id: derive a stable one from the position
+  const id = raw.id != null && raw.id !== "" ? restoreId(raw.id) : `import:${lat.toFixed(5)},${lon.toFixed(5)}`;
+  const savedAt = Number(raw.savedAt);
+  return {
+    ...raw,
+    id,
+    name: String(raw.name || "Unnamed Place"),
+    type: String(raw.type || "place"),
+    lat,
+    lon,
+    tags: raw.tags && typeof raw.tags === "object" && !Array.isArray(raw.tags) ? raw.tags : {},
+    savedAt: Number.isFinite(savedAt) && savedAt > 0 ? savedAt : now,
+    note: typeof raw.note === "string" ? raw.note : "",
+    userTags: parseTags(Array.isArray(raw.userTags) ? raw.userTags.join(",") : raw.userTags),
+    listName: typeof raw.listName === "string" ? raw.listName.trim() : "",
+  };
+}
+
+const jsonFrom = (text) => {
+  try {
+    return JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch (err) {
+    err.notJson = true;
+    throw err;
+  }
+};
+
+const parseJsonReviews = (value) => {
+  try {
+    return toReviews(JSON.parse(value));
+  } catch {
+    return [];
+  }
+};
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("File is not valid XML");
+  return doc;
+}
+
+const childText = (el, name) => el.getElementsByTagName(name)[0]?.textContent?.trim() ?? "";
+
+function fromJson(data) {
+  // GeoJSON
+  if (data?.type === "FeatureCollection" || data?.type === "Feature") {
+    const features = data.type === "Feature" ? [data] : data.features || [];
+    let hasReviews = false;
+    const rows = features.map((f) => {
+      const { list, reviews, ...p } = f?.properties || {};
+      const [lon, lat] = f?.geometry?.type === "Point" ? f.geometry.coordinates : [];
+      if (Array.isArray(reviews)) hasReviews = true;
+      return { ...p, id: p.id ?? f?.id, lat, lon, listName: list, _reviews: reviews };
+    });
+    return { format: "geojson", rows, hasReviews, lists: null };
+  }
+
+  // our backup, or a bare favorites_places dump
+  const favorites = Array.isArray(data) ? data : data?.favorites;
+  if (!Array.isArray(favorites) && !data?.reviews) return null;
+  const lists = Array.isArray(data?.lists)
+    ? data.lists.filter((l) => typeof l?.id === "string" && typeof l.name === "string")
+    : null;
+  const rows = (favorites || []).map((f) =>
+    f && typeof f === "object"
+      ? { ...f, listName: f.listName || (lists && f.listId ? lists.find((l) => l.id === f.listId)?.name : "") }
+      : f
+  );
+  return { format: "json", rows, reviews: data?.reviews, hasReviews: Boolean(data?.reviews), lists };
+}
+
+function fromGpx(doc) {
+  let hasReviews = false;
+  const rows = [...doc.getElementsByTagName("wpt")].map((w) => {
+    const reviews = childText(w, "snp:reviews");
+    if (reviews) hasReviews = true;
+    return {
+      id: childText(w, "snp:id") || undefined,
+      name: childText(w, "name"),
+      type: childText(w, "type"),
+      lat: w.getAttribute("lat"),
+      lon: w.getAttribute("lon"),
+      // foreign GPX: the description is the best note we have
+      note: childText(w, "snp:note") || (w.getElementsByTagName("snp:id").length ? "" : childText(w, "desc")),
+      userTags: childText(w, "snp:tags"),
+      listName: childText(w, "snp:list"),
+      savedAt: Date.parse(childText(w, "time")) || undefined,
+      _reviews: reviews ? parseJsonReviews(reviews) : undefined,
+    };
+  });
+  return { format: "gpx", rows, hasReviews, lists: null };
+}
+
+function fromKml(doc) {
+  let hasReviews = false;
+  const rows = [...doc.getElementsByTagName("Placemark")].map((pm) => {
+    const data = {};
+    [...pm.getElementsByTagName("Data")].forEach((d) => (data[d.getAttribute("name")] = childText(d, "value")));
+    const [lon, lat] = childText(pm, "coordinates").split(",").map(Number);
+    const folder = pm.parentNode?.nodeName === "Folder" ? childText(pm.parentNode, "name") : "";
+    if (data.reviews) hasReviews = true;
+    return {
+      id: data.id || undefined,
+      name: childText(pm, "name"),
+      type: data.type,
+      lat,
+      lon,
+      note: "note" in data ? data.note : childText(pm, "description"),
+      userTags: data.userTags,
+      savedAt: data.savedAt,
+      listName: folder,
+      _reviews: data.reviews ? parseJsonReviews(data.reviews) : undefined,
+    };
+  });
+  return { format: "kml", rows, hasReviews, lists: null };
+}
+
+// a file that can't be used at all (also for files that couldn't even be read)
+export const backupError = (error) => ({ format: null, favorites: [], reviews: null, lists: null, errors: [error] });
+
+// ✅ text -> { format, favorites, reviews (null when the file has none), lists (json only), errors }
+// Invalid places are skipped and reported; a file with nothing usable only has errors.
+export function parseBackup(text, now = Date.now()) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return backupError("File is empty");
+
+  let parsed;
+  try {
+    if (trimmed.startsWith("<")) {
+      const doc = parseXml(trimmed);
+      const root = doc.documentElement.nodeName;
+      if (root === "gpx") parsed = fromGpx(doc);
+      else if (root === "kml") parsed = fromKml(doc);
+      else return backupError(`Unsupported XML file (<${root}>)`);
+    } else {
+      parsed = fromJson(jsonFrom(trimmed));
+      if (!parsed) return backupError("No saved places or reviews found in file");
+    }
+  } catch (err) {
+    return backupError(err.notJson ? "File is not valid JSON, GeoJSON, GPX or KML" : err.message);
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const favorites = [];
+  const fromPlaces = {};
+  parsed.rows.forEach((row, i) => {
+    const entry = toEntry(row, i, errors, now);
+    if (!entry) return;
+    const { _reviews, ...clean } = entry;
+    if (seen.has(clean.id)) {
+      errors.push(`Place ${i + 1} (${clean.name}): duplicate id ${clean.id}, skipped`);
+      return;
+    }
+    seen.add(clean.id);
+    favorites.push(clean);
+    if (_reviews?.length) fromPlaces[clean.id] = toReviews(_reviews);
+  });
+
+  let reviews = null;
+  if (parsed.format === "json" && parsed.reviews && typeof parsed.reviews === "object") {
+    reviews = {};
+    Object.entries(parsed.reviews).forEach(([id, list]) => {
+      const valid = toReviews(list);
+      if (Array.isArray(list) && valid.length < list.length) {
+        errors.push(`Reviews of ${id}: ${list.length - valid.length} invalid review(s) skipped`);
+      }
+      if (valid.length) reviews[restoreId(id)] = valid;
+    });
+  } else if (parsed.hasReviews) {
+    reviews = fromPlaces;
+  }
+
+  if (!favorites.length && !reviews) errors.push("No valid saved places in file");
+  return { format: parsed.format, favorites, reviews, lists: parsed.lists, errors };
+}
@@ -0,0 +1,125 @@
+import { DEFAULT_LIST } from "../utils/collections";
+import { exportBackup, parseBackup } from "./formats";
+
+const lists = [DEFAULT_LIST, { id: "list-1", name: "Goa trip", createdAt: 1 }];
+const favorites = [
+  {
+    id: 101,
+    osmType: "node",
+    name: "Café <Mondegar> & Co",
+    type: "cafe",
+    lat: 18.9246,
+    lon: 72.8316,
+    tags: { amenity: "cafe", opening_hours: "Mo-Su 08:00-23:00" },
+    savedAt: 1700000000000,
+    listId: "list-1",
+    note: "Ask for the\njukebox",
+    userTags: ["music", "old"],
+    distance: 1200,
+  },
+  {
+    id: "way/7",
+    name: "Beach",
+    type: "park",
+    lat: 15.5,
+    lon: 73.76,
+    tags: {},
+    savedAt: 1700000001000,
+    listId: "default",
+    note: "",
+    userTags: [],
+  },
+];
+const reviews = {
+  101: [{ stars: 5, text: "Great coffee", time: 1700000002000 }],
+  999: [{ stars: 2, text: "Not saved", time: 1 }],
+};
+const data = { favorites, reviews, lists };
+
+test("JSON round-trips every field", () => {
+  const parsed = parseBackup(exportBackup("json", data, new Date(0)));
+
+  expect(parsed.format).toBe("json");
+  expect(parsed.errors).toEqual([]);
+  expect(parsed.favorites[0]).toEqual({ ...favorites[0], listName: "Goa trip" });
+  expect(parsed.favorites[1].listName).toBe("Saved");
+  expect(parsed.reviews).toEqual(reviews);
+  expect(parsed.lists).toEqual(lists);
+});
+
+test.each(["geojson", "gpx", "kml"])("%s keeps places, lists, notes, tags and their reviews", (format) => {
+  const parsed = parseBackup(exportBackup(format, data, new Date(0)), 5);
+
+  expect(parsed.format).toBe(format);
+  expect(parsed.errors).toEqual([]);
+  expect(parsed.favorites).toHaveLength(2);
+  // KML groups by list, so compare by id rather than position
+  const byId = (id) => parsed.favorites.find((f) => f.id === id);
+  expect(byId(101)).toMatchObject({
+    id: 101,
+    name: "Café <Mondegar> & Co",
+    type: "cafe",
+    lat: 18.9246,
+    lon: 72.8316,
+    note: "Ask for the\njukebox",
+    userTags: ["music", "old"],
+    listName: "Goa trip",
+    savedAt: 1700000000000,
+  });
+  expect(byId("way/7")).toMatchObject({ listName: "Saved" });
+  // only reviews of saved places travel in geo formats
+  expect(parsed.reviews).toEqual({ 101: reviews[101] });
+});
+
+test("foreign GPX and KML get position-based ids and no reviews", () => {
+  const gpx =
+    `<?xml version="1.0"?><gpx version="1.1">` +
+    `<wpt lat="12.5" lon="77.25"><name>Lake</name><desc>Sunset spot</desc></wpt></gpx>`;
+  const fromGpx = parseBackup(gpx, 5);
+  expect(fromGpx.favorites[0]).toMatchObject({
+    id: "import:12.50000,77.25000",
+    name: "Lake",
+    note: "Sunset spot",
+    savedAt: 5,
+  });
+  expect(fromGpx.reviews).toBeNull();
+
+  const kml =
+    `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><Folder><name>Hikes</name>` +
+    `<Placemark><name>Peak</name><Point><coordinates>77.1,12.2,0</coordinates></Point></Placemark>` +
+    `</Folder></Document></kml>`;
+  expect(parseBackup(kml).favorites[0]).toMatchObject({ name: "Peak", lat: 12.2, lon: 77.1, listName: "Hikes" });
+});
+
+test("a bare favorites_places dump is accepted", () => {
+  const parsed = parseBackup(JSON.stringify([{ id: 5, name: "Old", lat: 1, lon: 2 }]), 9);
+  expect(parsed.favorites[0]).toMatchObject({ id: 5, savedAt: 9, note: "", userTags: [], listName: "" });
+  expect(parsed.reviews).toBeNull();
+});
+
+test("invalid entries are skipped with reasons", () => {
+  const parsed = parseBackup(
+    JSON.stringify({
+      favorites: [{ id: 1, name: "No position" }, { id: 2, lat: 1, lon: 2 }, { id: 2, lat: 3, lon: 4 }, "x"],
+      reviews: { 2: [{ stars: 9, text: "?" }, { stars: 4, text: "ok", time: 3 }] },
+    })
+  );
+
+  expect(parsed.favorites.map((f) => f.id)).toEqual([2]);
+  expect(parsed.reviews).toEqual({ 2: [{ stars: 4, text: "ok", time: 3 }] });
+  expect(parsed.errors).toEqual([
+    "Place 1 (No position): missing or invalid coordinates",
+    "Place 3 (Unnamed Place): duplicate id 2, skipped",
+    "Place 4: not an object",
+    "Reviews of 2: 1 invalid review(s) skipped",
+  ]);
+});
+
+test("unreadable files only report an error", () => {
+  expect(parseBackup("").errors).toEqual(["File is empty"]);
+  expect(parseBackup("{oops").errors).toEqual(["File is not valid JSON, GeoJSON, GPX or KML"]);
+  expect(parseBackup("<svg></svg>").errors).toEqual(["Unsupported XML file (<svg>)"]);
+  expect(parseBackup("<gpx><wpt>").errors).toEqual(["File is not valid XML"]);
+  expect(parseBackup('{"hello": 1}').errors).toEqual(["No saved places or reviews found in file"]);
+  expect(() => exportBackup("csv", data)).toThrow(/Unknown export format/);
+});
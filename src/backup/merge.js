@@ -0,0 +1,129 @@
+import { createList, DEFAULT_LIST, migrateFavorites } from "../utils/collections";
+
+// ✅ Applying a parsed backup (parseBackup) to what's stored.
+//   merge   -> new places are added, same-id places are conflicts resolved by `keep`,
+//              reviews are unioned (duplicates dropped)
+//   replace -> saved places become the file's; reviews too, when the file has any
+// Lists are matched by name (the default list by id), missing ones are created;
+// existing lists are never deleted by an import.
+
+export const CONFLICT_POLICIES = {
+  mine: "Keep mine",
+  theirs: "Use imported",
+};
+
+const reviewKey = (r) => `${r.time}|${r.stars}|${r.text}`;
+
+// what the user would notice changing
+const fingerprint = (f, listName) =>
+  JSON.stringify([
+    f.name,
+    +f.lat.toFixed(6),
+    +f.lon.toFixed(6),
+    f.note || "",
+    (f.userTags || []).join(","),
+    listName.toLowerCase(),
+  ]);
+
+const listNameOf = (lists, f) => lists.find((l) => l.id === f.listId)?.name || DEFAULT_LIST.name;
+
+// incoming entries carry listName; the default list may be renamed on either side
+const incomingListName = (f, lists) =>
+  f.listId === DEFAULT_LIST.id || !f.listName ? lists[0]?.name || DEFAULT_LIST.name : f.listName;
+
+function countNewReviews(current, incoming) {
+  let count = 0;
+  Object.entries(incoming || {}).forEach(([id, list]) => {
+    const have = new Set((current[id] || []).map(reviewKey));
+    count += list.filter((r) => !have.has(reviewKey(r))).length;
+  });
+  return count;
+}
+
+// current: { favorites, reviews, lists }; incoming: parseBackup() result
+// -> { added, conflicts: [{ mine, theirs }], unchanged, removed, newReviews, newLists }
+export function previewImport(current, incoming, mode = "merge") {
+  const byId = new Map(current.favorites.map((f) => [f.id, f]));
+  const incomingIds = new Set(incoming.favorites.map((f) => f.id));
+  const known = new Set(current.lists.map((l) => l.name.toLowerCase()));
+  const added = [];
+  const conflicts = [];
+  const unchanged = [];
+
+  incoming.favorites.forEach((theirs) => {
+    const mine = byId.get(theirs.id);
+    if (!mine) added.push(theirs);
+    else if (
+      fingerprint(mine, listNameOf(current.lists, mine)) ===
+      fingerprint(theirs, incomingListName(theirs, current.lists))
+    ) {
+      unchanged.push(theirs);
+    } else conflicts.push({ mine, theirs });
+  });
+
+  const newLists = [...new Set(incoming.favorites.map((f) => incomingListName(f, current.lists)))].filter(
+    (name) => !known.has(name.toLowerCase())
+  );
+
+  const replacingReviews = mode === "replace" && incoming.reviews;
+  return {
+    added,
+    conflicts,
+    unchanged,
+    removed: mode === "replace" ? current.favorites.filter((f) => !incomingIds.has(f.id)) : [],
+    newReviews: replacingReviews
+      ? Object.values(incoming.reviews).reduce((n, list) => n + list.length, 0)
+      : countNewReviews(current.reviews, incoming.reviews),
+    removedReviews: replacingReviews
+      ? Object.values(current.reviews).reduce((n, list) => n + list.length, 0)
+      : 0,
+    newLists,
+  };
+}
+
+// list name -> id, creating lists that don't exist yet
+function resolveLists(lists, entries, now) {
+  let next = lists;
+  const ids = entries.map((f) => {
+    const name = incomingListName(f, next);
+    const found = next.find((l) => l.name.toLowerCase() === name.toLowerCase());
+    if (found) return found.id;
+    const created = createList(next, name, now);
+    next = created.lists;
+    return created.list.id;
+  });
+  return { lists: next, ids };
+}
+
+const strip = ({ listName, ...entry }) => entry;
+
+// -> { favorites, reviews, lists } ready to store
+export function applyImport(current, incoming, { mode = "merge", keep = "mine", now = Date.now() } = {}) {
+  const { lists, ids } = resolveLists(current.lists, incoming.favorites, now);
+
+  if (mode === "replace") {
+    const favorites = incoming.favorites.map((f, i) => ({ ...strip(f), listId: ids[i] }));
+    return {
+      favorites: migrateFavorites(favorites, lists),
+      reviews: incoming.reviews || current.reviews,
+      lists,
+    };
+  }
+
+  const byId = new Map(current.favorites.map((f) => [f.id, f]));
+  const theirs = new Map(incoming.favorites.map((f, i) => [f.id, { ...strip(f), listId: ids[i] }]));
+
+  const favorites = [
+    ...[...theirs.values()].filter((f) => !byId.has(f.id)),
+    ...current.favorites.map((f) => (keep === "theirs" && theirs.has(f.id) ? theirs.get(f.id) : f)),
+  ];
+
+  const reviews = { ...current.reviews };
+  Object.entries(incoming.reviews || {}).forEach(([id, list]) => {
+    const have = new Set((reviews[id] || []).map(reviewKey));
+    const fresh = list.filter((r) => !have.has(reviewKey(r)));
+    if (fresh.length) reviews[id] = [...(reviews[id] || []), ...fresh].sort((a, b) => b.time - a.time);
+  });
+
+  return { favorites: migrateFavorites(favorites, lists), reviews, lists };
+}
@@ -0,0 +1,81 @@
+import { DEFAULT_LIST } from "../utils/collections";
+import { applyImport, previewImport } from "./merge";
+
+const entry = (id, extra = {}) => ({
+  id,
+  name: `Place ${id}`,
+  type: "cafe",
+  lat: 1,
+  lon: 2,
+  tags: {},
+  savedAt: 1,
+  listId: "default",
+  note: "",
+  userTags: [],
+  ...extra,
+});
+
+const current = {
+  lists: [DEFAULT_LIST, { id: "list-w", name: "Work spots" }],
+  favorites: [entry(1), entry(2, { listId: "list-w" }), entry(3)],
+  reviews: { 1: [{ stars: 4, text: "ok", time: 10 }] },
+};
+
+// as parsed from a file: lists by name (JSON backups also keep the default list's id)
+const parsed = (id, listName, extra) => ({ ...entry(id, extra), listId: undefined, listName });
+
+const incoming = {
+  favorites: [
+    { ...entry(1), listName: "Saved" }, // same as mine
+    parsed(2, "work SPOTS", { note: "Fast wifi" }), // conflict (note)
+    parsed(4, "Goa trip"), // new, in a new list
+  ],
+  reviews: {
+    1: [
+      { stars: 4, text: "ok", time: 10 },
+      { stars: 5, text: "better", time: 20 },
+    ],
+  },
+  lists: null,
+};
+
+test("previewImport sorts incoming places into added / conflicts / unchanged", () => {
+  const merge = previewImport(current, incoming, "merge");
+  expect(merge.added.map((f) => f.id)).toEqual([4]);
+  expect(merge.conflicts.map((c) => [c.mine.note, c.theirs.note])).toEqual([["", "Fast wifi"]]);
+  expect(merge.unchanged.map((f) => f.id)).toEqual([1]);
+  expect(merge.removed).toEqual([]);
+  expect(merge.newReviews).toBe(1);
+  expect(merge.newLists).toEqual(["Goa trip"]);
+
+  const replace = previewImport(current, incoming, "replace");
+  expect(replace.removed.map((f) => f.id)).toEqual([3]);
+  expect(replace.newReviews).toBe(2);
+  expect(replace.removedReviews).toBe(1);
+});
+
+test("merge keeps mine on conflict, adds new places and unions reviews", () => {
+  const next = applyImport(current, incoming, { mode: "merge", keep: "mine", now: 36 });
+
+  expect(next.lists.map((l) => l.name)).toEqual(["Saved", "Work spots", "Goa trip"]);
+  expect(next.favorites.map((f) => f.id)).toEqual([4, 1, 2, 3]);
+  expect(next.favorites[0]).toMatchObject({ listId: "list-10" });
+  expect(next.favorites[0]).not.toHaveProperty("listName");
+  expect(next.favorites[2].note).toBe("");
+  expect(next.reviews[1].map((r) => r.text)).toEqual(["better", "ok"]);
+});
+
+test("merge can prefer the imported version", () => {
+  const next = applyImport(current, incoming, { mode: "merge", keep: "theirs" });
+  expect(next.favorites.find((f) => f.id === 2)).toMatchObject({ note: "Fast wifi", listId: "list-w" });
+});
+
+test("replace swaps saved places but keeps lists and, without reviews in the file, reviews", () => {
+  const next = applyImport(current, incoming, { mode: "replace", now: 36 });
+  expect(next.favorites.map((f) => f.id)).toEqual([1, 2, 4]);
+  expect(next.reviews).toBe(incoming.reviews);
+  expect(next.lists.map((l) => l.id)).toEqual(["default", "list-w", "list-10"]);
+
+  const noReviews = applyImport(current, { ...incoming, reviews: null }, { mode: "replace" });
+  expect(noReviews.reviews).toBe(current.reviews);
+});
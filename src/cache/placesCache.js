@@ -0,0 +1,95 @@
+import { haversineMeters } from "../utils/geo";
+import { encodeGeohash } from "../utils/geohash";
+import { placeFromCenter } from "../utils/places";
+import { createDefaultStore } from "./stores";
+
+// ✅ Multi-entry spatial cache of search results.
+// Entries are keyed by mood + center geohash + radius; a lookup is also served by
+// any fresh entry of the same mood whose circle fully contains the requested one.
+
+export const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+export function cacheKey(mood, center, radius) {
+  return `${mood}:${encodeGeohash(center.lat, center.lng)}:${radius}`;
+}
+
+function contains(entry, center, radius) {
+  const d = haversineMeters(entry.center.lat, entry.center.lng, center.lat, center.lng);
+  return d + radius <= entry.radius;
+}
+
+export function createPlacesCache({
+  store = createDefaultStore(),
+  ttlMs = DEFAULT_TTL_MS,
+  maxEntries = 30,
+  maxPlaces = 20000,
+  now = Date.now,
+} = {}) {
+  const isFresh = (entry) => now() - entry.savedAt < ttlMs;
+
+  // drop expired entries, then least recently used ones until within limits
+  async function prune() {
+    const all = await store.getAll();
+    const expired = all.filter((e) => !isFresh(e));
+    await Promise.all(expired.map((e) => store.delete(e.key)));
+
+    const live = all.filter(isFresh).sort((a, b) => b.lastAccess - a.lastAccess);
+    let total = 0;
+    const evict = live.filter((e, i) => {
+      total += e.places.length;
+      return i >= maxEntries || (i > 0 && total > maxPlaces);
+    });
+    await Promise.all(evict.map((e) => store.delete(e.key)));
+  }
+
+  return {
+    // -> { places (with distance from `center`), savedAt, exact } or null
+    async get({ mood, center, radius }) {
+      const key = cacheKey(mood, center, radius);
+      let entry = await store.get(key);
+
+      if (!entry || !isFresh(entry)) {
+        const candidates = (await store.getAll())
+          .filter((e) => e.mood === mood && isFresh(e) && contains(e, center, radius))
+          .sort((a, b) => b.savedAt - a.savedAt);
+        entry = candidates[0];
+      }
+      if (!entry) return null;
+
+      await store.put({ ...entry, lastAccess: now() });
+
+      const places = entry.places
+        .map((p) => placeFromCenter(p, center))
+        .filter((p) => p.distance <= radius);
+
+      return { places, savedAt: entry.savedAt, exact: entry.key === key, center: entry.center };
+    },
+
+    async put({ mood, center, radius, places }) {
+      const time = now();
+      const record = {
+        key: cacheKey(mood, center, radius),
+        mood,
+        center: { lat: center.lat, lng: center.lng, label: center.label },
+        radius,
+        places: places.map(({ distance, relevance, ...p }) => p),
+        savedAt: time,
+        lastAccess: time,
+      };
+      await store.put(record);
+      await prune();
+      return record;
+    },
+
+    // most recently saved fresh entry (restores the last search on startup)
+    async latest() {
+      const all = (await store.getAll()).filter(isFresh);
+      return all.sort((a, b) => b.savedAt - a.savedAt)[0] || null;
+    },
+
+    prune,
+    clear: () => store.clear(),
+  };
+}
+
+export const placesCache = createPlacesCache();
@@ -0,0 +1,81 @@
+import { cacheKey, createPlacesCache } from "./placesCache";
+import { createMemoryStore } from "./stores";
+import { encodeGeohash } from "../utils/geohash";
+
+const center = { lat: 17.385, lng: 78.4867, label: "Hyderabad" };
+const near = { id: 1, name: "Near", type: "cafe", lat: 17.386, lon: 78.4867, tags: {} }; // ~110 m
+const far = { id: 2, name: "Far", type: "cafe", lat: 17.41, lon: 78.4867, tags: {} }; // ~2.8 km
+
+function makeCache(opts = {}) {
+  let time = 1000;
+  const clock = {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+  const cache = createPlacesCache({ store: createMemoryStore(), now: clock.now, ...opts });
+  return { cache, clock };
+}
+
+test("geohash matches the reference encoding", () => {
+  expect(encodeGeohash(57.64911, 10.40744, 11)).toBe("u4pruydqqvj");
+  expect(cacheKey("work", center, 3000)).toMatch(/^work:tepf\w{3}:3000$/);
+});
+
+test("serves an exact hit with distances from the center", async () => {
+  const { cache } = makeCache();
+  await cache.put({ mood: "work", center, radius: 3000, places: [near, far] });
+
+  const hit = await cache.get({ mood: "work", center, radius: 3000 });
+  expect(hit.exact).toBe(true);
+  expect(hit.places.map((p) => p.id)).toEqual([1, 2]);
+  expect(hit.places[0].distance).toBeGreaterThan(100);
+});
+
+test("serves a smaller radius nearby from a containing entry", async () => {
+  const { cache } = makeCache();
+  await cache.put({ mood: "work", center, radius: 5000, places: [near, far] });
+
+  const moved = { lat: 17.39, lng: 78.4867 }; // ~550 m north
+  const hit = await cache.get({ mood: "work", center: moved, radius: 1000 });
+
+  expect(hit.exact).toBe(false);
+  expect(hit.places.map((p) => p.id)).toEqual([1]);
+  expect(await cache.get({ mood: "work", center: moved, radius: 5000 })).toBeNull();
+  expect(await cache.get({ mood: "quick", center, radius: 1000 })).toBeNull();
+});
+
+test("expires entries after the TTL", async () => {
+  const { cache, clock } = makeCache({ ttlMs: 60000 });
+  await cache.put({ mood: "work", center, radius: 3000, places: [near] });
+
+  clock.advance(61000);
+  expect(await cache.get({ mood: "work", center, radius: 3000 })).toBeNull();
+  expect(await cache.latest()).toBeNull();
+});
+
+test("evicts the least recently used entries beyond the limits", async () => {
+  const { cache, clock } = makeCache({ maxEntries: 2 });
+  await cache.put({ mood: "work", center, radius: 3000, places: [near] });
+  clock.advance(1);
+  await cache.put({ mood: "quick", center, radius: 3000, places: [near] });
+  clock.advance(1);
+  await cache.get({ mood: "work", center, radius: 3000 }); // touch work
+  clock.advance(1);
+  await cache.put({ mood: "stay", center, radius: 3000, places: [near] });
+
+  expect(await cache.get({ mood: "quick", center, radius: 3000 })).toBeNull();
+  expect(await cache.get({ mood: "work", center, radius: 3000 })).not.toBeNull();
+  expect((await cache.latest()).mood).toBe("stay");
+});
+
+test("keeps the total number of cached places bounded", async () => {
+  const { cache, clock } = makeCache({ maxPlaces: 2 });
+  await cache.put({ mood: "work", center, radius: 3000, places: [near, far] });
+  clock.advance(1);
+  await cache.put({ mood: "quick", center, radius: 3000, places: [near] });
+
+  expect(await cache.get({ mood: "work", center, radius: 3000 })).toBeNull();
+  expect(await cache.get({ mood: "quick", center, radius: 3000 })).not.toBeNull();
+});
@@ -0,0 +1,62 @@
+// ✅ Key/value record stores for the search cache (records keyed by `key`)
+
+const DB_NAME = "smart_nearby_places";
+const DB_VERSION = 1;
+const STORE = "search_cache";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: "key" });
+        store.createIndex("mood", "mood");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function createIdbStore() {
+  const dbPromise = openDb();
+
+  const run = async (mode, fn) => {
+    const db = await dbPromise;
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  return {
+    get: (key) => run("readonly", (s) => s.get(key)),
+    getAll: () => run("readonly", (s) => s.getAll()),
+    put: (record) => run("readwrite", (s) => s.put(record)),
+    delete: (key) => run("readwrite", (s) => s.delete(key)),
+    clear: () => run("readwrite", (s) => s.clear()),
+  };
+}
+
+export function createMemoryStore() {
+  const map = new Map();
+  return {
+    get: async (key) => map.get(key),
+    getAll: async () => [...map.values()],
+    put: async (record) => {
+      map.set(record.key, record);
+    },
+    delete: async (key) => {
+      map.delete(key);
+    },
+    clear: async () => map.clear(),
+  };
+}
+
+export function createDefaultStore() {
+  return typeof indexedDB !== "undefined" ? createIdbStore() : createMemoryStore();
+}
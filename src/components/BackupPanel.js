@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from "react";
+import { backupError, exportBackup, FORMATS, parseBackup } from "../backup/formats";
+import { applyImport, CONFLICT_POLICIES, previewImport } from "../backup/merge";
+import { downloadFile } from "../utils/files";
+
+const MAX_LISTED = 5;
+
+const names = (places) =>
+  places.slice(0, MAX_LISTED).map((p) => p.name).join(", ") + (places.length > MAX_LISTED ? ", …" : "");
+
+// ✅ Saved tab: back up / move saved places, lists and reviews between devices.
+// Import: validate -> preview (added / conflicts / removed) -> merge or replace.
+// data: { favorites, reviews, lists }; onImport(next data, summary)
+export default function BackupPanel({ data, onImport, onClose }) {
+  const [format, setFormat] = useState("json");
+  const [file, setFile] = useState(null); // { name, parsed }
+  const [mode, setMode] = useState("merge");
+  const [keep, setKeep] = useState("mine");
+
+  const usable = file && (file.parsed.favorites.length > 0 || Boolean(file.parsed.reviews));
+  const preview = useMemo(
+    () => (usable ? previewImport(data, file.parsed, mode) : null),
+    [usable, data, file, mode]
+  );
+
+  const exportFile = () => {
+    const { ext, mime } = FORMATS[format];
+    downloadFile(exportBackup(format, data), `saved-places-${new Date().toISOString().slice(0, 10)}.${ext}`, mime);
+  };
+
+  const pickFile = async (e) => {
+    const picked = e.target.files?.[0];
+    e.target.value = "";
+    if (!picked) return;
+    try {
+      setFile({ name: picked.name, parsed: parseBackup(await picked.text()) });
+    } catch (err) {
+      // moved / locked file, revoked permission
+      setFile({ name: picked.name, parsed: backupError(`File could not be read: ${err.message}`) });
+    }
+  };
+
+  const apply = () => {
+    if (mode === "replace" && preview.removed.length) {
+      const removed = preview.removed.length;
+      if (!window.confirm(`Replace saved places? ${removed} place(s) not in the file will be removed.`)) return;
+    }
+    onImport(applyImport(data, file.parsed, { mode, keep }), {
+      added: preview.added.length,
+      updated: keep === "theirs" ? preview.conflicts.length : 0,
+      removed: preview.removed.length,
+    });
+    setFile(null);
+  };
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.rowBetween}>
+        <b>💾 Backup & move</b>
+        <button style={styles.iconBtn} onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div style={styles.row}>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} style={styles.select}>
+          {Object.entries(FORMATS).map(([id, f]) => (
+            <option key={id} value={id}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <button style={styles.smallBtn} onClick={exportFile} disabled={!data.favorites.length && format !== "json"}>
+          ⬇️ Export
+        </button>
+        <label style={styles.smallBtn}>
+          ⬆️ Import…
+          <input
+            type="file"
+            accept=".json,.geojson,.gpx,.kml,application/json,application/geo+json,application/gpx+xml"
+            onChange={pickFile}
+            hidden
+          />
+        </label>
+      </div>
+      {format !== "json" && (
+        <div style={styles.hint}>Only JSON keeps reviews of places you haven't saved.</div>
+      )}
+
+      {file && (
+        <div style={styles.preview}>
+          <div style={{ fontWeight: 800 }}>
+            {file.name} {file.parsed.format && <span style={styles.hint}>({file.parsed.format.toUpperCase()})</span>}
+          </div>
+
+          {file.parsed.errors.length > 0 && (
+            <details style={styles.errors} open={!preview}>
+              <summary>
+                ⚠️ {file.parsed.errors.length} problem(s){preview ? " — these entries are skipped" : ""}
+              </summary>
+              <ul style={styles.list}>
+                {file.parsed.errors.slice(0, 20).map((err, i) => (
+                  <li key={i}>{err}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          {preview && (
+            <>
+              <div style={styles.row}>
+                <label style={styles.radio}>
+                  <input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} /> Merge
+                </label>
+                <label style={styles.radio}>
+                  <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} /> Replace
+                </label>
+              </div>
+
+              <ul style={styles.list}>
+                <li>
+                  ➕ {preview.added.length} new place(s){preview.added.length > 0 && `: ${names(preview.added)}`}
+                </li>
+                <li>= {preview.unchanged.length} already saved</li>
+                {preview.conflicts.length > 0 && (
+                  <li>
+                    ⚡ {preview.conflicts.length} saved with different details:{" "}
+                    {names(preview.conflicts.map((c) => c.mine))}
+                  </li>
+                )}
+                {preview.removed.length > 0 && (
+                  <li style={{ color: "#b91c1c" }}>
+                    ➖ {preview.removed.length} removed: {names(preview.removed)}
+                  </li>
+                )}
+                {preview.newLists.length > 0 && <li>📂 New lists: {preview.newLists.join(", ")}</li>}
+                <li>
+                  📝 {preview.newReviews} review(s){mode === "replace" && file.parsed.reviews ? " replace" : " added"}
+                  {preview.removedReviews > 0 && ` the current ${preview.removedReviews}`}
+                </li>
+              </ul>
+
+              {mode === "merge" && preview.conflicts.length > 0 && (
+                <label style={styles.radio}>
+                  On conflict
+                  <select value={keep} onChange={(e) => setKeep(e.target.value)} style={styles.select}>
+                    {Object.entries(CONFLICT_POLICIES).map(([id, label]) => (
+                      <option key={id} value={id}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div style={styles.row}>
+                <button style={styles.primaryBtn} onClick={apply}>
+                  {mode === "merge" ? "Merge" : "Replace"}
+                </button>
+                <button style={styles.smallBtn} onClick={() => setFile(null)}>
+                  Cancel
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { marginTop: 10, padding: 12, borderRadius: 14, border: "1px solid #eee", background: "#fafafa", fontSize: 13 },
+  rowBetween: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  row: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8, marginTop: 8 },
+  select: { padding: "6px 8px", borderRadius: 10, border: "1px solid #ddd", outline: "none" },
+  hint: { marginTop: 4, fontSize: 12, color: "#777", fontWeight: 400 },
+  preview: { marginTop: 10, paddingTop: 10, borderTop: "1px solid #eee" },
+  errors: { marginTop: 6, color: "#b45309", fontSize: 12 },
+  list: { margin: "6px 0 0", paddingLeft: 18, display: "grid", gap: 2 },
+  radio: { display: "flex", alignItems: "center", gap: 6, fontSize: 13 },
+  iconBtn: { border: "none", background: "none", cursor: "pointer", fontSize: 14 },
+  smallBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+  },
+  primaryBtn: {
+    padding: "6px 14px",
+    borderRadius: 12,
+    border: "none",
+    cursor: "pointer",
+    background: "#4f46e5",
+    color: "white",
+    fontWeight: 800,
+  },
+};
@@ -0,0 +1,58 @@
+import { useEffect, useRef } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+
+const HOLD_MS = 600;
+const MOVE_TOLERANCE_PX = 8;
+
+function cancelHold(hold) {
+  if (hold.current) clearTimeout(hold.current.timer);
+  hold.current = null;
+}
+
+// ✅ long-press (touch: Leaflet's contextmenu; mouse: press and hold, or right
+// click) anywhere on the map -> onPick({ lat, lng })
+export default function CenterPicker({ onPick }) {
+  const map = useMap();
+  const hold = useRef(null);
+
+  const cancel = () => cancelHold(hold);
+
+  useMapEvents({
+    contextmenu: (e) => {
+      cancel();
+      onPick({ lat: e.latlng.lat, lng: e.latlng.lng });
+    },
+    mousedown: (e) => {
+      if (e.originalEvent.button !== 0) return;
+      cancel();
+      const start = e.containerPoint;
+      const { latlng } = e;
+      hold.current = {
+        start,
+        timer: setTimeout(() => {
+          hold.current = null;
+          onPick({ lat: latlng.lat, lng: latlng.lng });
+        }, HOLD_MS),
+      };
+    },
+    mousemove: (e) => {
+      if (hold.current && e.containerPoint.distanceTo(hold.current.start) > MOVE_TOLERANCE_PX) cancel();
+    },
+    mouseup: cancel,
+    dragstart: cancel,
+    zoomstart: cancel,
+  });
+
+  // leaving the map swallows mouseup; unmount drops a pending hold
+  useEffect(() => {
+    const el = map.getContainer();
+    const leave = () => cancelHold(hold);
+    el.addEventListener("mouseleave", leave);
+    return () => {
+      el.removeEventListener("mouseleave", leave);
+      cancelHold(hold);
+    };
+  }, [map]);
+
+  return null;
+}
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { ALL_LISTS, DEFAULT_LIST, listNameError } from "../utils/collections";
+
+// ✅ Saved tab: pick a list (or all), create / rename / delete lists, filter by tag
+export default function CollectionsBar({
+  lists,
+  counts,
+  total,
+  active,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  tags,
+  activeTag,
+  onTag,
+}) {
+  const [draft, setDraft] = useState(null); // { id: null (new) | list id, name }
+  const error = draft ? listNameError(lists, draft.name, draft.id) : null;
+  const activeList = lists.find((l) => l.id === active);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (error) return;
+    if (draft.id) onRename(draft.id, draft.name);
+    else onCreate(draft.name);
+    setDraft(null);
+  };
+
+  const chip = (id, label, count) => (
+    <button
+      key={id}
+      style={{ ...styles.chip, ...(active === id ? styles.chipOn : null) }}
+      onClick={() => onSelect(id)}
+    >
+      {label} <span style={styles.count}>{count}</span>
+    </button>
+  );
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.row}>
+        {chip(ALL_LISTS, "All", total)}
+        {lists.map((l) => chip(l.id, l.name, counts[l.id] || 0))}
+        <button style={styles.addBtn} onClick={() => setDraft({ id: null, name: "" })} title="New list">
+          + List
+        </button>
+      </div>
+
+      {activeList && !draft && (
+        <div style={styles.actions}>
+          <button style={styles.linkBtn} onClick={() => setDraft({ id: activeList.id, name: activeList.name })}>
+            ✏️ Rename
+          </button>
+          {activeList.id !== DEFAULT_LIST.id && (
+            <button
+              style={styles.linkBtn}
+              onClick={() => {
+                if (window.confirm(`Delete “${activeList.name}”? Its places move to “${lists[0].name}”.`)) {
+                  onDelete(activeList.id);
+                }
+              }}
+            >
+              🗑 Delete list
+            </button>
+          )}
+        </div>
+      )}
+
+      {draft && (
+        <form onSubmit={submit} style={styles.form}>
+          <input
+            autoFocus
+            placeholder="e.g. Work spots, Goa trip, Date night"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            onKeyDown={(e) => e.key === "Escape" && setDraft(null)}
+            style={styles.input}
+          />
+          <button type="submit" style={styles.saveBtn} disabled={Boolean(error)}>
+            {draft.id ? "Rename" : "Create"}
+          </button>
+          <button type="button" style={styles.linkBtn} onClick={() => setDraft(null)}>
+            Cancel
+          </button>
+          {error && draft.name && <div style={styles.error}>{error}</div>}
+        </form>
+      )}
+
+      {tags.length > 0 && (
+        <div style={{ ...styles.row, marginTop: 8 }}>
+          {tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              style={{ ...styles.tag, ...(activeTag === tag ? styles.tagOn : null) }}
+              onClick={() => onTag(activeTag === tag ? null : tag)}
+            >
+              #{tag} <span style={styles.count}>{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { marginTop: 10 },
+  row: { display: "flex", flexWrap: "wrap", gap: 6 },
+  chip: {
+    padding: "5px 10px",
+    borderRadius: 999,
+    border: "1px solid #ddd",
+    background: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  },
+  chipOn: { border: "1px solid #4f46e5", background: "#eef2ff", color: "#3730a3" },
+  count: { color: "#888", fontWeight: 600 },
+  addBtn: {
+    padding: "5px 10px",
+    borderRadius: 999,
+    border: "1px dashed #bbb",
+    background: "transparent",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  },
+  actions: { display: "flex", gap: 12, marginTop: 6 },
+  linkBtn: { border: "none", background: "none", color: "#4f46e5", cursor: "pointer", fontSize: 12, padding: 0 },
+  form: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, marginTop: 8 },
+  input: { flex: 1, padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd", outline: "none" },
+  saveBtn: {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "none",
+    background: "#4f46e5",
+    color: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 800,
+  },
+  error: { width: "100%", fontSize: 12, color: "#b91c1c" },
+  tag: {
+    padding: "3px 8px",
+    borderRadius: 999,
+    border: "1px solid #e5e7eb",
+    background: "#f9fafb",
+    cursor: "pointer",
+    fontSize: 11,
+  },
+  tagOn: { border: "1px solid #0f766e", background: "#ccfbf1" },
+};
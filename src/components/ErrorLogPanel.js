@@ -0,0 +1,72 @@
+import React from "react";
+import { useNotifications } from "../notifications/NotificationContext";
+
+export default function ErrorLogPanel({ onClose }) {
+  const { errorLog, clearErrorLog } = useNotifications();
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.rowBetween}>
+        <h3 style={{ margin: 0, fontSize: 16 }}>🧾 Error log</h3>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button style={styles.smallBtn} onClick={clearErrorLog} disabled={!errorLog.length}>
+            Clear
+          </button>
+          <button style={styles.smallBtn} onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {errorLog.length === 0 ? (
+        <p style={{ color: "#777", margin: "10px 0 0" }}>No errors recorded.</p>
+      ) : (
+        <div style={styles.list}>
+          {errorLog.map((e) => (
+            <div key={e.id} style={styles.item}>
+              <div style={{ fontWeight: 900, fontSize: 13 }}>
+                {e.request}
+                <span style={{ color: "#777", fontWeight: 600, marginLeft: 6 }}>
+                  {new Date(e.time).toLocaleString()}
+                </span>
+              </div>
+              <div style={{ fontSize: 13, marginTop: 4, color: "#b91c1c" }}>
+                {e.message}
+                {e.status ? ` (HTTP ${e.status})` : ""}
+              </div>
+              {(e.url || e.detail) && (
+                <div style={{ fontSize: 12, marginTop: 4, color: "#666", wordBreak: "break-all" }}>
+                  {e.detail}
+                  {e.detail && e.url ? " • " : ""}
+                  {e.url}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    background: "white",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 16,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.06)",
+  },
+  rowBetween: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  list: { marginTop: 12, maxHeight: 240, overflow: "auto", paddingRight: 6 },
+  item: { border: "1px solid #eee", borderRadius: 12, padding: 10, marginBottom: 8 },
+  smallBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+  },
+};
@@ -0,0 +1,49 @@
+import React from "react";
+
+// ✅ combinable attribute chips with live counts (facets: src/utils/facets.js)
+export default function FacetFilters({ facets, selected, onChange }) {
+  if (!facets.length) return null;
+
+  const toggle = (key) =>
+    onChange(selected.includes(key) ? selected.filter((k) => k !== key) : [...selected, key]);
+
+  return (
+    <div style={styles.wrap}>
+      {facets.map((f) => (
+        <button
+          key={f.key}
+          onClick={() => toggle(f.key)}
+          disabled={!f.selected && f.count === 0}
+          style={{
+            ...styles.chip,
+            ...(f.selected ? styles.active : null),
+            ...(!f.selected && f.count === 0 ? styles.empty : null),
+          }}
+        >
+          {f.label} <span style={styles.count}>{f.count}</span>
+        </button>
+      ))}
+      {selected.length > 0 && (
+        <button style={{ ...styles.chip, ...styles.clear }} onClick={() => onChange([])}>
+          ✕ Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { display: "flex", flexWrap: "wrap", gap: 6, marginTop: 10 },
+  chip: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 999,
+    padding: "4px 10px",
+    fontSize: 12,
+    cursor: "pointer",
+  },
+  active: { background: "#4f46e5", borderColor: "#4f46e5", color: "white" },
+  empty: { opacity: 0.45, cursor: "default" },
+  clear: { borderColor: "#fca5a5", color: "#b91c1c" },
+  count: { fontWeight: 800, marginLeft: 4 },
+};
@@ -0,0 +1,323 @@
+import React, { useEffect, useRef, useState } from "react";
+import { isAbortError } from "../providers/abort";
+import { MAX_STOPS, planItinerary, routeLegs, travelMatrix } from "../itinerary/plan";
+import { shareUrl, toGpx } from "../itinerary/export";
+import { formatTravelTime, MODES } from "../routing/routers";
+import { downloadFile } from "../utils/files";
+
+const pad = (n) => String(n).padStart(2, "0");
+const hhmm = (d) => `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (d) =>
+  `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${hhmm(d)}`;
+
+// next quarter hour, so a fresh plan starts "now"
+function nextQuarter(now = new Date()) {
+  const d = new Date(now);
+  d.setSeconds(0, 0);
+  d.setMinutes(Math.ceil((d.getMinutes() + 1) / 15) * 15);
+  return d;
+}
+
+const STATUS_NOTES = {
+  closed: "⚠️ Closed on arrival",
+  closing: "⚠️ Closes during the visit",
+};
+
+// ✅ day plan from saved places: pick stops, order them (nearest neighbour + 2-opt,
+// opening hours aware), route them, export GPX or a share link.
+// `shared` is a plan decoded from a link; it is planned right away.
+export default function ItineraryPlanner({
+  places,
+  origin,
+  router,
+  trip,
+  onTrip,
+  onOpen,
+  onError,
+  onInfo,
+  shared,
+  onSaveShared,
+  onCloseShared,
+}) {
+  const [picked, setPicked] = useState(() => new Set(places.slice(0, MAX_STOPS).map((p) => p.id)));
+  const [mode, setMode] = useState("walking");
+  const [startText, setStartText] = useState(() => toLocalInput(nextQuarter()));
+  const [dwellMin, setDwellMin] = useState(45);
+  const [fromOrigin, setFromOrigin] = useState(true);
+  const [planning, setPlanning] = useState(false);
+  const request = useRef(null);
+
+  const run = async ({ stops, mode, start, dwellMin, origin }) => {
+    request.current?.abort();
+    const controller = new AbortController();
+    request.current = controller;
+    setPlanning(true);
+    try {
+      const points = origin ? [origin, ...stops] : stops;
+      const { matrix, error } = await travelMatrix(points, mode, router, { signal: controller.signal });
+      if (error) onError(error, "Routing is unavailable — travel times are estimated from straight-line distance.");
+
+      const plan = planItinerary(stops, matrix, { origin, start, dwellMin });
+      const ordered = [...(origin ? [origin] : []), ...plan.stops.map((s) => s.place)];
+      const path = await routeLegs(ordered, mode, router, { signal: controller.signal });
+      if (request.current !== controller) return;
+      onTrip({ ...plan, path, mode, start, dwellMin, origin, estimated: !router || Boolean(error) });
+    } catch (err) {
+      if (!isAbortError(err)) onError(err, "Could not plan the day.");
+    } finally {
+      if (request.current === controller) {
+        request.current = null;
+        setPlanning(false);
+      }
+    }
+  };
+
+  const latestRun = useRef(run);
+  latestRun.current = run;
+  const latestError = useRef(onError);
+  latestError.current = onError;
+
+  useEffect(() => {
+    if (!shared) return;
+    setPicked(new Set(shared.places.map((p) => p.id)));
+    setMode(shared.mode);
+    setStartText(toLocalInput(shared.start));
+    setDwellMin(shared.dwellMin);
+    setFromOrigin(Boolean(shared.origin));
+    if (shared.skipped) {
+      latestError.current(
+        new Error(`Shared plan: ${shared.skipped} stop(s) over the limit of ${MAX_STOPS}`),
+        `Only the first ${MAX_STOPS} stops of the shared plan were loaded.`
+      );
+    }
+    latestRun.current({ ...shared, stops: shared.places });
+  }, [shared]);
+
+  useEffect(() => () => request.current?.abort(), []);
+
+  const stops = places.filter((p) => picked.has(p.id));
+  const tooMany = stops.length > MAX_STOPS;
+
+  const plan = () => {
+    const start = new Date(startText);
+    run({
+      stops,
+      mode,
+      start: Number.isNaN(start.getTime()) ? new Date() : start,
+      dwellMin,
+      origin: fromOrigin ? origin : null,
+    });
+  };
+
+  const toggle = (id) =>
+    setPicked((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const exportGpx = () =>
+    downloadFile(
+      toGpx({ ...trip, name: `Day plan ${trip.start.toDateString()}` }),
+      `day-plan-${toLocalInput(trip.start).slice(0, 10)}.gpx`,
+      "application/gpx+xml"
+    );
+
+  const copyLink = async () => {
+    const url = shareUrl({ ...trip, places: trip.stops.map((s) => s.place) });
+    try {
+      await navigator.clipboard.writeText(url);
+      onInfo("Plan link copied — anyone opening it sees the same stops.");
+    } catch {
+      window.prompt("Copy this link", url);
+    }
+  };
+
+  return (
+    <div style={styles.wrap}>
+      {shared && (
+        <div style={styles.shared}>
+          <span>🔗 Shared plan · {shared.places.length} stops</span>
+          <span style={{ display: "flex", gap: 6 }}>
+            <button style={styles.smallBtn} onClick={onSaveShared}>
+              ⭐ Save all
+            </button>
+            <button style={styles.smallBtn} onClick={onCloseShared}>
+              ✕
+            </button>
+          </span>
+        </div>
+      )}
+
+      <details open={!trip}>
+        <summary style={styles.summary}>
+          Stops ({stops.length} of {places.length})
+        </summary>
+        <div style={styles.pickActions}>
+          <button style={styles.linkBtn} onClick={() => setPicked(new Set(places.map((p) => p.id)))}>
+            All
+          </button>
+          <button style={styles.linkBtn} onClick={() => setPicked(new Set())}>
+            None
+          </button>
+        </div>
+        <div style={styles.pickList}>
+          {places.map((p) => (
+            <label key={p.id} style={styles.pickRow}>
+              <input type="checkbox" checked={picked.has(p.id)} onChange={() => toggle(p.id)} />
+              <span style={{ flex: 1 }}>{p.name}</span>
+              <span style={{ color: "#888" }}>{p.type}</span>
+            </label>
+          ))}
+        </div>
+      </details>
+
+      <div style={styles.grid}>
+        <label style={styles.field}>
+          Start
+          <input
+            type="datetime-local"
+            value={startText}
+            onChange={(e) => setStartText(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <label style={styles.field}>
+          Minutes per stop
+          <input
+            type="number"
+            min={0}
+            max={480}
+            step={15}
+            value={dwellMin}
+            onChange={(e) => setDwellMin(Math.max(0, Number(e.target.value) || 0))}
+            style={styles.input}
+          />
+        </label>
+        <label style={styles.field}>
+          Travel by
+          <select value={mode} onChange={(e) => setMode(e.target.value)} style={styles.input}>
+            {Object.entries(MODES).map(([id, m]) => (
+              <option key={id} value={id}>
+                {m.emoji} {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...styles.field, flexDirection: "row", alignItems: "center", gap: 6 }}>
+          <input type="checkbox" checked={fromOrigin} onChange={(e) => setFromOrigin(e.target.checked)} />
+          Start from {origin?.label || "the search center"}
+        </label>
+      </div>
+
+      {tooMany && <div style={styles.warn}>Pick at most {MAX_STOPS} stops for one day.</div>}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+        <button style={styles.primaryBtn} onClick={plan} disabled={planning || !stops.length || tooMany}>
+          {planning ? "Planning…" : trip ? "Re-plan" : "Plan my day"}
+        </button>
+        {trip && (
+          <>
+            <button style={styles.smallBtn} onClick={exportGpx} title="For GPS apps (OsmAnd, Komoot, Garmin…)">
+              ⬇️ GPX
+            </button>
+            <button style={styles.smallBtn} onClick={copyLink}>
+              🔗 Link
+            </button>
+            <button style={styles.smallBtn} onClick={() => onTrip(null)} title="Clear the plan">
+              ✕
+            </button>
+          </>
+        )}
+      </div>
+
+      {trip && (
+        <>
+          <div style={styles.total}>
+            {MODES[trip.mode].emoji} {formatTravelTime(trip.travelSec)} on the way · done by <b>{hhmm(trip.end)}</b>
+            {trip.estimated && <span style={{ color: "#888" }}> (estimated)</span>}
+          </div>
+          <ol style={styles.stops}>
+            {trip.stops.map((s) => (
+              <li key={s.place.id} style={styles.stop}>
+                <div style={styles.time}>
+                  {hhmm(new Date(s.arrive.getTime() + s.waitMin * 60000))}–{hhmm(s.leave)}
+                </div>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <button style={styles.stopName} onClick={() => onOpen(s.place)}>
+                    {s.place.name}
+                  </button>
+                  <div style={styles.stopMeta}>
+                    {s.travelSec > 0 && `${MODES[trip.mode].emoji} ${formatTravelTime(s.travelSec)}`}
+                    {s.status === "wait" && ` · waits ${s.waitMin} min for opening`}
+                  </div>
+                  {STATUS_NOTES[s.status] && <div style={styles.warn}>{STATUS_NOTES[s.status]}</div>}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { marginTop: 10, padding: 12, borderRadius: 14, border: "1px solid #eee", background: "#fafafa" },
+  shared: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 10,
+    padding: "6px 10px",
+    borderRadius: 12,
+    background: "#eef2ff",
+    fontSize: 13,
+    fontWeight: 800,
+  },
+  summary: { cursor: "pointer", fontWeight: 800, fontSize: 13 },
+  pickActions: { display: "flex", gap: 10, margin: "6px 0" },
+  linkBtn: { border: "none", background: "none", color: "#4f46e5", cursor: "pointer", fontSize: 12, padding: 0 },
+  pickList: { maxHeight: 160, overflow: "auto", display: "grid", gap: 4 },
+  pickRow: { display: "flex", alignItems: "center", gap: 6, fontSize: 13, cursor: "pointer" },
+  grid: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginTop: 10 },
+  field: { display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: "#444" },
+  input: { padding: "6px 8px", borderRadius: 10, border: "1px solid #ddd", outline: "none" },
+  warn: { marginTop: 4, fontSize: 12, color: "#b91c1c", fontWeight: 700 },
+  primaryBtn: {
+    flex: 1,
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: "none",
+    cursor: "pointer",
+    background: "#4f46e5",
+    color: "white",
+    fontWeight: 800,
+  },
+  smallBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+  },
+  total: { marginTop: 12, fontSize: 13 },
+  stops: { margin: "8px 0 0", paddingLeft: 22, display: "grid", gap: 8 },
+  stop: { fontSize: 13 },
+  time: { fontWeight: 800, color: "#111827" },
+  stopName: {
+    border: "none",
+    background: "none",
+    padding: 0,
+    cursor: "pointer",
+    fontWeight: 800,
+    color: "#4f46e5",
+    textAlign: "left",
+  },
+  stopMeta: { fontSize: 12, color: "#666" },
+};
@@ -0,0 +1,53 @@
+import React from "react";
+
+// ✅ shown until we have a place to search near: either locating, or an explicit
+// reason why we couldn't (no silent fallback city) plus manual search
+export default function LocationPrompt({ status, onRetry, children }) {
+  const locating = status.state === "locating";
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.card}>
+        <h2 style={{ margin: 0 }}>{locating ? "📡 Finding your location…" : "📍 Where should we search?"}</h2>
+        {!locating && <p style={styles.reason}>{status.message}</p>}
+        <p style={styles.note}>You can also type a city, area or landmark:</p>
+        {children}
+        {!locating && status.state !== "unsupported" && (
+          <button style={styles.retryBtn} onClick={onRetry}>
+            Try my location again
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  page: {
+    fontFamily: "system-ui, Arial",
+    minHeight: "100vh",
+    display: "grid",
+    placeItems: "center",
+    background: "#f6f7fb",
+    padding: 20,
+  },
+  card: {
+    width: "min(480px, 100%)",
+    background: "white",
+    borderRadius: 16,
+    padding: 20,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.06)",
+  },
+  reason: { margin: "10px 0 0", padding: 10, borderRadius: 10, background: "#fef2f2", color: "#991b1b", fontSize: 13 },
+  note: { margin: "14px 0 6px", color: "#555", fontSize: 13 },
+  retryBtn: {
+    marginTop: 14,
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 13,
+    padding: "8px 12px",
+    fontWeight: 800,
+  },
+};
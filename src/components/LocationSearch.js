@@ -0,0 +1,203 @@
+import React, { useEffect, useRef, useState } from "react";
+import { isAbortError } from "../providers/abort";
+
+const DEBOUNCE_MS = 500;
+const MIN_CHARS = 3;
+
+// ✅ debounced geocoding autocomplete. Empty input shows pinned + recent locations.
+// geocode(q, { signal }) -> [candidate]; onError(err, q) reports failed lookups.
+// autocomplete=false (public Nominatim forbids it): look up on Enter / Search only.
+export default function LocationSearch({ geocode, autocomplete = true, saved, onPick, onTogglePin, onForget, onError }) {
+  const [query, setQuery] = useState("");
+  const [candidates, setCandidates] = useState([]);
+  const [resultsFor, setResultsFor] = useState(""); // query the candidates belong to
+  const [searching, setSearching] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const request = useRef(null);
+
+  const q = query.trim();
+  const items = q ? candidates : saved;
+  const noMatches = q && resultsFor === q && !candidates.length;
+
+  const lookup = async (text) => {
+    request.current?.abort();
+    const controller = new AbortController();
+    request.current = controller;
+    setSearching(true);
+    try {
+      const found = await geocode(text, { signal: controller.signal });
+      if (request.current !== controller) return;
+      setCandidates(found);
+      setResultsFor(text);
+      setActive(0);
+      setOpen(true);
+    } catch (err) {
+      if (!isAbortError(err)) onError?.(err, text);
+    } finally {
+      if (request.current === controller) {
+        request.current = null;
+        setSearching(false);
+      }
+    }
+  };
+
+  const latestLookup = useRef(lookup);
+  latestLookup.current = lookup;
+
+  useEffect(() => {
+    if (autocomplete && q.length >= MIN_CHARS) {
+      const timer = setTimeout(() => latestLookup.current(q), DEBOUNCE_MS);
+      return () => clearTimeout(timer);
+    }
+    request.current?.abort();
+    setCandidates([]);
+    setSearching(false);
+    return undefined;
+  }, [q, autocomplete]);
+
+  useEffect(() => () => request.current?.abort(), []);
+
+  const choose = (item) => {
+    if (!item) return;
+    onPick(item);
+    setQuery("");
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setActive((i) => Math.min(items.length - 1, i + 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => Math.max(0, i - 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      const fresh = !q || resultsFor === q;
+      if (open && fresh && items[active]) choose(items[active]);
+      else if (q) lookup(q); // don't wait for the debounce (or search at all, without autocomplete)
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={styles.wrap}>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input
+          placeholder={`Example: Bangalore / Secunderabad station${autocomplete ? "" : " (Enter to search)"}`}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+            setActive(0);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={onKeyDown}
+          style={styles.input}
+          role="combobox"
+          aria-expanded={open && items.length > 0}
+          aria-controls="location-options"
+          aria-autocomplete="list"
+        />
+        <button style={styles.smallBtn} onClick={() => q && lookup(q)} disabled={!q}>
+          {searching ? "…" : "Search"}
+        </button>
+      </div>
+
+      {open && (items.length > 0 || noMatches) && (
+        // mousedown + preventDefault keeps the input focused while picking
+        <ul id="location-options" role="listbox" style={styles.menu} onMouseDown={(e) => e.preventDefault()}>
+          {!q && <li style={styles.heading}>Pinned & recent</li>}
+          {noMatches && <li style={styles.empty}>No matches for “{q}”</li>}
+          {items.map((item, i) => (
+            <li
+              key={`${item.lat},${item.lng}`}
+              role="option"
+              aria-selected={i === active}
+              style={{ ...styles.option, ...(i === active ? styles.optionActive : null) }}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => choose(item)}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={styles.name}>{item.name || item.label}</div>
+                <div style={styles.meta}>
+                  {[item.type, item.country].filter(Boolean).join(" · ") || item.label}
+                </div>
+              </div>
+              {!q && (
+                <>
+                  <button
+                    style={styles.iconBtn}
+                    title={item.pinned ? "Unpin" : "Pin"}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onTogglePin(item);
+                    }}
+                  >
+                    {item.pinned ? "📌" : "📍"}
+                  </button>
+                  <button
+                    style={styles.iconBtn}
+                    title="Remove"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onForget(item);
+                    }}
+                  >
+                    ✕
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { position: "relative" },
+  input: {
+    flex: 1,
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid #ddd",
+    outline: "none",
+  },
+  menu: {
+    position: "absolute",
+    top: "100%",
+    left: 0,
+    right: 0,
+    zIndex: 2000,
+    margin: "4px 0 0",
+    padding: 4,
+    listStyle: "none",
+    background: "white",
+    borderRadius: 12,
+    boxShadow: "0 10px 30px rgba(0,0,0,0.15)",
+    maxHeight: 300,
+    overflow: "auto",
+  },
+  heading: { padding: "6px 10px", fontSize: 11, color: "#888", fontWeight: 800, textTransform: "uppercase" },
+  empty: { padding: "8px 10px", fontSize: 13, color: "#777" },
+  option: { display: "flex", alignItems: "center", gap: 6, padding: "8px 10px", borderRadius: 8, cursor: "pointer" },
+  optionActive: { background: "#eef2ff" },
+  name: { fontWeight: 800, fontSize: 13, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" },
+  meta: { fontSize: 12, color: "#777", textTransform: "capitalize" },
+  iconBtn: { border: "none", background: "none", cursor: "pointer", fontSize: 13, padding: 2 },
+  smallBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+  },
+};
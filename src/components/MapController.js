@@ -0,0 +1,32 @@
+import { useEffect } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+import { haversineMeters } from "../utils/geo";
+
+// ✅ keeps the map in step with the app: re-centers when the search center
+// changes (or on each live position while following) and reports when the
+// user has panned away from the searched area
+export default function MapController({ center, radius, follow, onPannedAway }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!center) return;
+    const current = map.getCenter();
+    if (haversineMeters(current.lat, current.lng, center.lat, center.lng) < 5) return;
+    map.flyTo([center.lat, center.lng], map.getZoom(), { duration: 0.8 });
+  }, [center, map]);
+
+  useEffect(() => {
+    if (follow) map.panTo([follow.lat, follow.lng]);
+  }, [follow, map]);
+
+  // only user drags count; fly-to from list selection shouldn't offer a new search
+  useMapEvents({
+    dragend: () => {
+      const c = map.getCenter();
+      const moved = haversineMeters(c.lat, c.lng, center.lat, center.lng);
+      onPannedAway(moved > Math.max(300, radius / 4) ? { lat: c.lat, lng: c.lng } : null);
+    },
+  });
+
+  return null;
+}
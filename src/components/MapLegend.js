@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { FALLBACK_STYLE, HOVERED_RING, SAVED_BADGE, SELECTED_RING, TYPE_STYLES } from "../map/icons";
+
+// ✅ legend for the types currently on the map
+export default function MapLegend({ types, following }) {
+  const [open, setOpen] = useState(true);
+  const shown = [...new Set(types.map((t) => (TYPE_STYLES[t] ? t : "__other")))]
+    .map((t) => (t === "__other" ? FALLBACK_STYLE : TYPE_STYLES[t]))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  return (
+    <div style={styles.box}>
+      <button style={styles.toggle} onClick={() => setOpen((v) => !v)}>
+        {open ? "▾" : "▸"} Legend
+      </button>
+      {open && (
+        <div style={styles.rows}>
+          <div style={styles.row}>
+            <span style={{ ...styles.dot, background: "#2563eb" }} /> Search center
+          </div>
+          {following && (
+            <div style={styles.row}>
+              <span style={{ ...styles.dot, background: "#16a34a" }} /> You (live)
+            </div>
+          )}
+          <div style={styles.row}>
+            <span style={{ ...styles.dot, background: "#fff", border: `3px solid ${SELECTED_RING}` }} /> Selected
+          </div>
+          <div style={styles.row}>
+            <span style={{ ...styles.dot, background: "#fff", border: `3px solid ${HOVERED_RING}` }} /> Highlighted in list
+          </div>
+          <div style={styles.row}>
+            <span style={{ ...styles.dot, ...styles.badge }}>★</span> Saved
+          </div>
+          <div style={styles.row}>
+            <span style={{ ...styles.dot, background: "rgba(79,70,229,0.85)" }} /> Group (click to zoom)
+          </div>
+          {shown.map((s) => (
+            <div key={s.label} style={styles.row}>
+              <span style={styles.emoji}>{s.emoji}</span> {s.label}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  box: {
+    position: "absolute",
+    left: 20,
+    bottom: 20,
+    zIndex: 1000,
+    background: "rgba(255,255,255,0.95)",
+    borderRadius: 12,
+    padding: "6px 10px",
+    boxShadow: "0 4px 14px rgba(0,0,0,0.15)",
+    fontSize: 12,
+    maxHeight: "60%",
+    overflow: "auto",
+  },
+  toggle: { border: "none", background: "none", fontWeight: 800, cursor: "pointer", padding: 0, fontSize: 12 },
+  rows: { marginTop: 4 },
+  row: { display: "flex", alignItems: "center", gap: 6, marginTop: 3 },
+  dot: { width: 12, height: 12, borderRadius: "50%", display: "inline-block", boxSizing: "border-box" },
+  emoji: { width: 14, textAlign: "center" },
+  badge: { background: SAVED_BADGE, color: "#fff", fontSize: 8, lineHeight: "12px", textAlign: "center", fontWeight: 800 },
+};
@@ -0,0 +1,318 @@
+import React, { useRef, useState } from "react";
+import { DEFAULT_MOODS, exportMoods, newMoodId, parseMoodsFile, validateMood } from "../moods";
+import { useNotifications } from "../notifications/NotificationContext";
+import { downloadFile } from "../utils/files";
+
+// rules are edited as "key" + comma separated values text
+const toDraft = (mood) => ({
+  ...mood,
+  include: mood.include.map((r) => ({ key: r.key, valuesText: r.values.join(", ") })),
+  exclude: (mood.exclude || []).map((r) => ({ key: r.key, valuesText: r.values.join(", ") })),
+  filterText: mood.filter ? JSON.stringify(mood.filter, null, 2) : "",
+});
+
+const fromDraftRules = (rules) =>
+  rules
+    .filter((r) => r.key.trim())
+    .map((r) => ({
+      key: r.key.trim(),
+      values: r.valuesText
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean),
+    }));
+
+const EMPTY_MOOD = {
+  id: "",
+  label: "",
+  emoji: "✨",
+  topMatch: "",
+  include: [{ key: "amenity", values: [] }],
+  exclude: [],
+};
+
+export default function MoodEditor({ moods, onChange, onClose }) {
+  const { notify } = useNotifications();
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const fileInput = useRef(null);
+
+  const move = (index, delta) => {
+    const next = [...moods];
+    const [m] = next.splice(index, 1);
+    next.splice(index + delta, 0, m);
+    onChange(next);
+  };
+
+  const remove = (mood) => {
+    if (moods.length === 1) {
+      notify({ severity: "warning", message: "Keep at least one mood." });
+      return;
+    }
+    onChange(moods.filter((m) => m.id !== mood.id));
+  };
+
+  const saveDraft = () => {
+    const mood = {
+      id: draft.id || newMoodId(draft.label, moods),
+      label: draft.label.trim(),
+      emoji: draft.emoji.trim() || "✨",
+      topMatch: draft.topMatch.trim(),
+      include: fromDraftRules(draft.include),
+      exclude: fromDraftRules(draft.exclude),
+      ...(draft.prefer?.length ? { prefer: draft.prefer } : null),
+    };
+    if (draft.filterText.trim()) {
+      try {
+        mood.filter = JSON.parse(draft.filterText);
+      } catch {
+        setErrors(["Advanced filter: not valid JSON"]);
+        return;
+      }
+    }
+    const errs = validateMood(mood);
+    setErrors(errs);
+    if (errs.length) return;
+
+    const exists = moods.some((m) => m.id === mood.id);
+    onChange(exists ? moods.map((m) => (m.id === mood.id ? mood : m)) : [...moods, mood]);
+    setDraft(null);
+  };
+
+  const exportFile = () => downloadFile(exportMoods(moods), "moods.json", "application/json");
+
+  // imported moods replace same-id moods, others are appended
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const { moods: imported, errors: errs } = parseMoodsFile(await file.text());
+    if (imported.length) {
+      const ids = new Set(imported.map((m) => m.id));
+      onChange([...moods.map((m) => imported.find((i) => i.id === m.id) || m), ...imported.filter((m) => !moods.some((x) => x.id === m.id))]);
+      notify({ severity: "success", message: `Imported ${ids.size} mood(s).` });
+    }
+    if (errs.length) notify({ severity: "warning", message: `Skipped invalid moods: ${errs.join("; ")}` });
+  };
+
+  const updateRule = (list, index, patch) =>
+    setDraft((d) => ({ ...d, [list]: d[list].map((r, i) => (i === index ? { ...r, ...patch } : r)) }));
+
+  const renderRules = (list, title, hint) => (
+    <div style={{ marginTop: 10 }}>
+      <label style={styles.label}>
+        {title} <span style={{ color: "#999" }}>{hint}</span>
+      </label>
+      {draft[list].map((r, i) => (
+        <div key={i} style={styles.ruleRow}>
+          <input
+            placeholder="key (e.g. amenity)"
+            value={r.key}
+            onChange={(e) => updateRule(list, i, { key: e.target.value })}
+            style={{ ...styles.input, flex: 1 }}
+          />
+          <input
+            placeholder="values, comma separated (empty = any)"
+            value={r.valuesText}
+            onChange={(e) => updateRule(list, i, { valuesText: e.target.value })}
+            style={{ ...styles.input, flex: 2 }}
+          />
+          <button
+            style={styles.iconBtn}
+            onClick={() => setDraft((d) => ({ ...d, [list]: d[list].filter((_, j) => j !== i) }))}
+            title="Remove filter"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        style={styles.smallBtn}
+        onClick={() => setDraft((d) => ({ ...d, [list]: [...d[list], { key: "", valuesText: "" }] }))}
+      >
+        + Add filter
+      </button>
+    </div>
+  );
+
+  if (draft) {
+    return (
+      <div style={styles.card}>
+        <h3 style={styles.cardTitle}>{draft.id ? `Edit ${draft.label}` : "New mood"}</h3>
+
+        <div style={styles.ruleRow}>
+          <input
+            value={draft.emoji}
+            onChange={(e) => setDraft({ ...draft, emoji: e.target.value })}
+            style={{ ...styles.input, width: 56 }}
+            aria-label="Emoji"
+          />
+          <input
+            placeholder="Label (e.g. EV charging)"
+            value={draft.label}
+            onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+            style={{ ...styles.input, flex: 1 }}
+          />
+        </div>
+        <input
+          placeholder="Banner hint (optional)"
+          value={draft.topMatch}
+          onChange={(e) => setDraft({ ...draft, topMatch: e.target.value })}
+          style={{ ...styles.input, width: "100%", marginTop: 8 }}
+        />
+
+        {renderRules("include", "Match any of", "(e.g. leisure = park, amenity = cafe)")}
+        {renderRules("exclude", "But not", "(e.g. access = private)")}
+
+        <label style={{ ...styles.label, marginTop: 10 }}>
+          Advanced filter <span style={{ color: "#999" }}>(JSON with and / or / not; replaces the filters above)</span>
+        </label>
+        <textarea
+          placeholder='{"and": [{"key": "amenity", "eq": "restaurant"}, {"key": "diet:vegan", "in": ["yes", "only"]}]}'
+          value={draft.filterText}
+          onChange={(e) => setDraft({ ...draft, filterText: e.target.value })}
+          rows={3}
+          style={{ ...styles.input, width: "100%", fontFamily: "monospace", fontSize: 12, resize: "vertical" }}
+        />
+
+        {errors.length > 0 && (
+          <ul style={styles.errors}>
+            {errors.map((e) => (
+              <li key={e}>{e}</li>
+            ))}
+          </ul>
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.primaryBtn} onClick={saveDraft}>
+            Save mood
+          </button>
+          <button
+            style={styles.smallBtn}
+            onClick={() => {
+              setDraft(null);
+              setErrors([]);
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.rowBetween}>
+        <h3 style={styles.cardTitle}>Edit moods</h3>
+        <button style={styles.smallBtn} onClick={onClose}>
+          Done
+        </button>
+      </div>
+
+      <div style={{ marginTop: 10 }}>
+        {moods.map((m, i) => (
+          <div key={m.id} style={styles.moodItem}>
+            <span style={{ flex: 1, fontWeight: 800, fontSize: 13 }}>
+              {m.emoji} {m.label}
+              <span style={styles.filterSummary}>
+                {m.filter && "advanced filter"}
+                {!m.filter && m.include.map((r) => `${r.key}=${r.values.join("|") || "*"}`).join(" or ")}
+                {!m.filter && (m.exclude || []).length > 0 &&
+                  ` · not ${m.exclude.map((r) => `${r.key}=${r.values.join("|") || "*"}`).join(", ")}`}
+              </span>
+            </span>
+            <button style={styles.iconBtn} disabled={i === 0} onClick={() => move(i, -1)} title="Move up">
+              ↑
+            </button>
+            <button style={styles.iconBtn} disabled={i === moods.length - 1} onClick={() => move(i, 1)} title="Move down">
+              ↓
+            </button>
+            <button style={styles.iconBtn} onClick={() => setDraft(toDraft(m))} title="Edit">
+              ✎
+            </button>
+            <button style={styles.iconBtn} onClick={() => remove(m)} title="Delete">
+              🗑
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.actions}>
+        <button style={styles.smallBtn} onClick={() => setDraft(toDraft(EMPTY_MOOD))}>
+          + New mood
+        </button>
+        <button style={styles.smallBtn} onClick={exportFile}>
+          Export
+        </button>
+        <button style={styles.smallBtn} onClick={() => fileInput.current?.click()}>
+          Import
+        </button>
+        <button style={styles.smallBtn} onClick={() => onChange([...DEFAULT_MOODS])}>
+          Reset defaults
+        </button>
+        <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={importFile} />
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    background: "white",
+    borderRadius: 16,
+    padding: 16,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.06)",
+  },
+  cardTitle: { margin: 0, fontSize: 16 },
+  rowBetween: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  label: { display: "block", marginBottom: 6, color: "#444", fontSize: 13 },
+  input: {
+    padding: "8px 10px",
+    borderRadius: 12,
+    border: "1px solid #ddd",
+    outline: "none",
+    minWidth: 0,
+  },
+  ruleRow: { display: "flex", gap: 8, marginBottom: 8 },
+  moodItem: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    border: "1px solid #eee",
+    borderRadius: 12,
+    padding: "8px 10px",
+    marginBottom: 8,
+  },
+  filterSummary: { display: "block", color: "#777", fontWeight: 500, fontSize: 11, marginTop: 2 },
+  actions: { display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 },
+  errors: { color: "#b91c1c", fontSize: 12, margin: "10px 0 0", paddingLeft: 18 },
+  iconBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 10,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "4px 8px",
+  },
+  smallBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+    whiteSpace: "nowrap",
+  },
+  primaryBtn: {
+    padding: "8px 14px",
+    borderRadius: 12,
+    border: "none",
+    cursor: "pointer",
+    background: "#4f46e5",
+    color: "white",
+    fontWeight: 900,
+  },
+};
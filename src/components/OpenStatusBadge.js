@@ -0,0 +1,38 @@
+import React from "react";
+import { formatDuration, openingStatus } from "../utils/openingHours";
+
+const SOON_MIN = 60;
+
+export default function OpenStatusBadge({ hours, now }) {
+  const status = openingStatus(hours, now);
+  if (!status.known) return null;
+
+  if (status.open) {
+    const soon = status.closesInMin != null && status.closesInMin <= SOON_MIN;
+    return (
+      <span style={{ ...styles.badge, ...(soon ? styles.soon : styles.open) }}>
+        {soon ? `⏳ Closes in ${formatDuration(status.closesInMin)}` : "🟢 Open now"}
+      </span>
+    );
+  }
+
+  return (
+    <span style={{ ...styles.badge, ...styles.closed }}>
+      🔴 Closed
+      {status.opensInMin != null && status.opensInMin <= 12 * 60 && ` · opens in ${formatDuration(status.opensInMin)}`}
+    </span>
+  );
+}
+
+const styles = {
+  badge: {
+    display: "inline-block",
+    padding: "2px 8px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 800,
+  },
+  open: { background: "#dcfce7", color: "#166534" },
+  soon: { background: "#fef3c7", color: "#92400e" },
+  closed: { background: "#fee2e2", color: "#991b1b" },
+};
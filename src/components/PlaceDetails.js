@@ -0,0 +1,122 @@
+import React from "react";
+import { contactInfo, formatAddress, placeFacts, wikidataUrl, wikipediaUrl } from "../utils/placeDetails";
+
+const TONE_COLORS = {
+  yes: "#166534",
+  no: "#b91c1c",
+  limited: "#b45309",
+  unknown: "#999",
+  info: "#333",
+};
+
+// ✅ structured info from the place's OSM tags
+export default function PlaceDetails({ place, moodId }) {
+  const tags = place.tags || {};
+  const address = formatAddress(tags);
+  const { phone, website, email } = contactInfo(tags);
+  const facts = placeFacts(tags, moodId);
+  const wikipedia = wikipediaUrl(tags.wikipedia);
+  const wikidata = wikidataUrl(tags.wikidata);
+  const rawTags = Object.entries(tags).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div>
+      {address && <div style={styles.line}>📫 {address}</div>}
+      {phone && (
+        <div style={styles.line}>
+          📞 <a href={`tel:${phone.replace(/\s+/g, "")}`}>{phone}</a>
+        </div>
+      )}
+      {website && (
+        <div style={styles.line}>
+          🌐{" "}
+          <a href={website} target="_blank" rel="noreferrer">
+            {website.replace(/^https?:\/\/(www\.)?/, "").replace(/\/$/, "")}
+          </a>
+        </div>
+      )}
+      {email && (
+        <div style={styles.line}>
+          ✉️ <a href={`mailto:${email}`}>{email}</a>
+        </div>
+      )}
+
+      {facts.length > 0 && (
+        <div style={styles.facts}>
+          {facts.map((f) => (
+            <div key={f.key} style={{ ...styles.fact, ...(f.highlight ? styles.highlight : null) }}>
+              <span>
+                {f.icon} {f.label}
+              </span>
+              <b style={{ color: TONE_COLORS[f.tone] }}>{f.value}</b>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {(wikipedia || wikidata) && (
+        <div style={{ ...styles.line, display: "flex", gap: 12 }}>
+          {wikipedia && (
+            <a href={wikipedia} target="_blank" rel="noreferrer">
+              📖 Wikipedia
+            </a>
+          )}
+          {wikidata && (
+            <a href={wikidata} target="_blank" rel="noreferrer">
+              🗃️ Wikidata
+            </a>
+          )}
+        </div>
+      )}
+
+      {!address && !phone && !website && !facts.length && (
+        <p style={styles.note}>No extra details in OpenStreetMap yet.</p>
+      )}
+
+      <details style={{ marginTop: 10 }}>
+        <summary style={{ cursor: "pointer", fontSize: 13 }}>All OSM tags ({rawTags.length})</summary>
+        <table style={styles.table}>
+          <tbody>
+            {rawTags.map(([k, v]) => (
+              <tr key={k}>
+                <td style={styles.tagKey}>{k}</td>
+                <td style={{ wordBreak: "break-word" }}>{v}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <a
+          href={`https://www.openstreetmap.org/${place.osmType || "node"}/${place.id}`}
+          target="_blank"
+          rel="noreferrer"
+          style={{ fontSize: 12 }}
+        >
+          View on OpenStreetMap
+        </a>
+      </details>
+    </div>
+  );
+}
+
+const styles = {
+  line: { fontSize: 13, marginTop: 6 },
+  note: { color: "#777", fontSize: 13, margin: "6px 0" },
+  facts: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))",
+    gap: 6,
+    marginTop: 10,
+  },
+  fact: {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: 8,
+    padding: "6px 10px",
+    borderRadius: 10,
+    background: "#f8fafc",
+    fontSize: 12,
+  },
+  highlight: { background: "#eef2ff", border: "1px solid #c7d2fe" },
+  table: { width: "100%", fontSize: 12, borderCollapse: "collapse", margin: "8px 0" },
+  tagKey: { color: "#666", paddingRight: 10, verticalAlign: "top", whiteSpace: "nowrap" },
+};
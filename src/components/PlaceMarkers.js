@@ -0,0 +1,110 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Marker, Popup, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { clusterPlaces, padBounds } from "../map/clustering";
+import { placeIcon } from "../map/icons";
+
+const viewOf = (map) => {
+  const b = map.getBounds();
+  return {
+    zoom: map.getZoom(),
+    bounds: padBounds({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() }),
+  };
+};
+
+const clusterIcons = new Map();
+function clusterIcon(count) {
+  const size = count < 10 ? 32 : count < 100 ? 38 : 46;
+  const label = count < 1000 ? String(count) : `${Math.floor(count / 1000)}k`;
+  const key = `${size}:${label}`;
+  if (!clusterIcons.has(key)) {
+    clusterIcons.set(
+      key,
+      L.divIcon({
+        className: "",
+        iconSize: [size, size],
+        html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:rgba(79,70,229,0.85);border:3px solid rgba(255,255,255,0.9);box-shadow:0 2px 8px rgba(0,0,0,0.25);color:#fff;font:800 12px/${size - 6}px sans-serif;text-align:center">${label}</div>`,
+      })
+    );
+  }
+  return clusterIcons.get(key);
+}
+
+// ✅ clustered, viewport-limited markers for the result set.
+// selected: flies there and opens its popup; hoveredId / onHover: list <-> map hover sync
+export default function PlaceMarkers({ places, selected, hoveredId, favoriteIds, onSelect, onHover }) {
+  const map = useMap();
+  const [view, setView] = useState(() => viewOf(map));
+  const markerRefs = useRef(new Map());
+  const selectedId = selected?.id;
+
+  useMapEvents({
+    moveend: () => setView(viewOf(map)),
+    zoomend: () => setView(viewOf(map)),
+  });
+
+  const pinned = useMemo(() => [selectedId, hoveredId].filter((id) => id != null), [selectedId, hoveredId]);
+  const items = useMemo(() => clusterPlaces(places, { ...view, pinned }), [places, view, pinned]);
+
+  useEffect(() => {
+    if (!selected) return undefined;
+    const target = L.latLng(selected.lat, selected.lon);
+    const zoom = Math.max(map.getZoom(), 16);
+    // the marker only exists once the view state caught up with the move
+    const open = () => setTimeout(() => markerRefs.current.get(selected.id)?.openPopup(), 0);
+
+    if (map.getZoom() === zoom && map.getCenter().distanceTo(target) < 5) {
+      open();
+      return undefined;
+    }
+    map.once("moveend", open);
+    map.flyTo(target, zoom, { duration: 0.6 });
+    return () => map.off("moveend", open);
+  }, [selected, map]);
+
+  return items.map((item) =>
+    item.kind === "cluster" ? (
+      <Marker
+        key={item.key}
+        position={[item.lat, item.lon]}
+        icon={clusterIcon(item.count)}
+        eventHandlers={{
+          click: () =>
+            map.fitBounds(
+              [
+                [item.bounds.south, item.bounds.west],
+                [item.bounds.north, item.bounds.east],
+              ],
+              { padding: [40, 40], maxZoom: 18 }
+            ),
+        }}
+      />
+    ) : (
+      <Marker
+        key={item.key}
+        position={[item.place.lat, item.place.lon]}
+        ref={(marker) => {
+          if (marker) markerRefs.current.set(item.place.id, marker);
+          else markerRefs.current.delete(item.place.id);
+        }}
+        icon={placeIcon(item.place.type, {
+          selected: item.place.id === selectedId,
+          hovered: item.place.id === hoveredId,
+          favorite: favoriteIds?.has(item.place.id),
+        })}
+        zIndexOffset={item.place.id === selectedId ? 500 : item.place.id === hoveredId ? 400 : 0}
+        eventHandlers={{
+          click: () => onSelect(item.place),
+          mouseover: () => onHover?.(item.place.id),
+          mouseout: () => onHover?.(null),
+        }}
+      >
+        <Popup>
+          <b>{item.place.name}</b> <br />
+          {item.place.type} <br />
+          {(item.place.distance / 1000).toFixed(2)} km away
+        </Popup>
+      </Marker>
+    )
+  );
+}
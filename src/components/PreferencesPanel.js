@@ -0,0 +1,83 @@
+import React from "react";
+import { DISTANCE_BANDS, topEntries } from "../ranking/preferences";
+
+// ✅ what the on-device model learned, with a reset
+export default function PreferencesPanel({ profile, onReset, onClose }) {
+  const types = topEntries(profile.types);
+  const cuisines = topEntries(profile.cuisines);
+  const [band] = topEntries(profile.bands, 1);
+  const bandLabel = band && DISTANCE_BANDS.find((b) => b.key === band[0])?.label;
+  const max = Math.max(1, ...types.map(([, w]) => w), ...cuisines.map(([, w]) => w));
+
+  const bars = (entries) =>
+    entries.map(([key, w]) => (
+      <div key={key} style={styles.barRow}>
+        <span style={styles.barLabel}>{key.replace(/_/g, " ")}</span>
+        <div style={styles.barTrack}>
+          <div style={{ ...styles.barFill, width: `${Math.round((w / max) * 100)}%` }} />
+        </div>
+      </div>
+    ));
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.rowBetween}>
+        <h3 style={styles.cardTitle}>🧠 What we learned</h3>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button style={styles.smallBtn} onClick={onReset} disabled={!profile.total}>
+            Reset
+          </button>
+          <button style={styles.smallBtn} onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+
+      <p style={styles.note}>
+        Based on {profile.total} interaction(s) — places you opened, saved and reviewed. Stored only on this device.
+      </p>
+
+      {!types.length && !cuisines.length ? (
+        <p style={styles.note}>Nothing yet. Open, save and review a few places.</p>
+      ) : (
+        <>
+          {types.length > 0 && <h4 style={styles.subTitle}>Place types</h4>}
+          {bars(types)}
+          {cuisines.length > 0 && <h4 style={styles.subTitle}>Cuisines</h4>}
+          {bars(cuisines)}
+          {bandLabel && (
+            <p style={styles.note}>
+              Usual distance: <b>{bandLabel}</b>
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    background: "white",
+    borderRadius: 16,
+    padding: 16,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.06)",
+  },
+  cardTitle: { margin: 0, fontSize: 16 },
+  subTitle: { margin: "12px 0 4px", fontSize: 13 },
+  rowBetween: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  note: { margin: "8px 0 4px", color: "#777", fontSize: 12 },
+  barRow: { display: "flex", alignItems: "center", gap: 10, marginTop: 4, fontSize: 12 },
+  barLabel: { width: 110, textTransform: "capitalize" },
+  barTrack: { flex: 1, height: 8, background: "#eef2ff", borderRadius: 999 },
+  barFill: { height: 8, background: "#4f46e5", borderRadius: 999 },
+  smallBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+  },
+};
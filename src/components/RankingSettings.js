@@ -0,0 +1,63 @@
+import React from "react";
+import { DEFAULT_WEIGHTS, FACTORS } from "../ranking/score";
+
+export default function RankingSettings({ weights, onChange, onClose }) {
+  return (
+    <div style={styles.card}>
+      <div style={styles.rowBetween}>
+        <h3 style={styles.cardTitle}>⚙️ Relevance weights</h3>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button style={styles.smallBtn} onClick={() => onChange(DEFAULT_WEIGHTS)}>
+            Reset
+          </button>
+          <button style={styles.smallBtn} onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+
+      <p style={styles.note}>Higher weight = more influence on “Relevance”. 0 ignores the factor.</p>
+
+      {FACTORS.map((f) => (
+        <label key={f.key} style={styles.row}>
+          <span style={{ flex: 1 }}>
+            <b>{f.label}</b> <span style={{ color: "#999" }}>{f.hint}</span>
+          </span>
+          <input
+            type="range"
+            min={0}
+            max={2}
+            step={0.1}
+            value={weights[f.key]}
+            onChange={(e) => onChange({ ...weights, [f.key]: Number(e.target.value) })}
+          />
+          <span style={styles.value}>{weights[f.key].toFixed(1)}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    background: "white",
+    borderRadius: 16,
+    padding: 16,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.06)",
+  },
+  cardTitle: { margin: 0, fontSize: 16 },
+  rowBetween: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  note: { margin: "8px 0 4px", color: "#777", fontSize: 12 },
+  row: { display: "flex", alignItems: "center", gap: 10, marginTop: 8, fontSize: 13 },
+  value: { width: 28, textAlign: "right", fontWeight: 800, color: "#4f46e5" },
+  smallBtn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+    whiteSpace: "nowrap",
+  },
+};
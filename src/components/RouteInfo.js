@@ -0,0 +1,82 @@
+import React from "react";
+import { formatTravelTime, MODES } from "../routing/routers";
+
+const googleDirections = (origin, place, mode) =>
+  `https://www.google.com/maps/dir/?api=1&origin=${origin.lat},${origin.lng}` +
+  `&destination=${place.lat},${place.lon}&travelmode=${MODES[mode].google}`;
+
+// ✅ ETA + road distance per travel mode, "Show route" draws it on the map.
+// Without a router (REACT_APP_ROUTING_PROVIDER=none) only the Google Maps links remain.
+export default function RouteInfo({ routes, origin, place, shownMode, onShow, enabled }) {
+  return (
+    <div style={styles.wrap}>
+      {Object.entries(MODES).map(([mode, m]) => {
+        const r = routes[mode];
+        const shown = shownMode === mode && r?.result;
+
+        return (
+          <div key={mode} style={{ ...styles.row, ...(shown ? styles.rowShown : null) }}>
+            <span style={styles.mode}>
+              {m.emoji} {m.label}
+            </span>
+
+            <span style={styles.eta}>
+              {!enabled
+                ? ""
+                : r?.result
+                  ? `${formatTravelTime(r.result.duration)} · ${(r.result.distance / 1000).toFixed(1)} km`
+                  : r?.error
+                    ? "No route"
+                    : "…"}
+            </span>
+
+            {enabled && (
+              <button
+                style={styles.btn}
+                disabled={!r?.result}
+                onClick={() => onShow(shown ? null : mode)}
+              >
+                {shown ? "Hide route" : "Show route"}
+              </button>
+            )}
+
+            <a
+              href={googleDirections(origin, place, mode)}
+              target="_blank"
+              rel="noreferrer"
+              style={styles.link}
+              title="Open directions in Google Maps"
+            >
+              ↗
+            </a>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { display: "grid", gap: 6, marginTop: 12 },
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    padding: "6px 10px",
+    borderRadius: 12,
+    border: "1px solid #eee",
+  },
+  rowShown: { borderColor: "#4f46e5", background: "#eef2ff" },
+  mode: { fontWeight: 800, fontSize: 13, width: 70 },
+  eta: { flex: 1, fontSize: 13, color: "#444" },
+  btn: {
+    border: "1px solid #ddd",
+    background: "#fff",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "4px 10px",
+    fontWeight: 800,
+  },
+  link: { textDecoration: "none", fontWeight: 800, color: "#4f46e5" },
+};
@@ -0,0 +1,25 @@
+import React, { useEffect } from "react";
+import { Polyline, useMap } from "react-leaflet";
+
+// ✅ route polyline; the map fits the whole route once when a new one is shown
+export default function RouteLine({ path, mode }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (path.length > 1) map.fitBounds(path, { padding: [40, 40], maxZoom: 17 });
+  }, [path, map]);
+
+  return (
+    <Polyline
+      positions={path}
+      pathOptions={{
+        color: mode === "driving" ? "#dc2626" : mode === "cycling" ? "#0891b2" : "#4f46e5",
+        weight: 5,
+        opacity: 0.8,
+        dashArray: mode === "walking" ? "2 8" : null,
+        lineCap: "round",
+      }}
+      interactive={false}
+    />
+  );
+}
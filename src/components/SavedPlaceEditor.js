@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+
+// ✅ details panel of a saved place: which list, private note, tags.
+// Note and tags are committed on blur so typing doesn't rewrite storage per key.
+// Remount with key={place.id} so the drafts follow the selected place.
+export default function SavedPlaceEditor({ entry, lists, onChange }) {
+  const [note, setNote] = useState(entry.note || "");
+  const [tags, setTags] = useState((entry.userTags || []).join(", "));
+
+  return (
+    <div style={styles.wrap}>
+      <label style={styles.label}>
+        📂 List
+        <select value={entry.listId} onChange={(e) => onChange({ listId: e.target.value })} style={styles.input}>
+          {lists.map((l) => (
+            <option key={l.id} value={l.id}>
+              {l.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label style={styles.label}>
+        🏷️ Tags
+        <input
+          placeholder="quiet, wifi, sunset"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          onBlur={() => onChange({ userTags: tags })}
+          style={styles.input}
+        />
+      </label>
+
+      <label style={{ ...styles.label, gridColumn: "1 / -1" }}>
+        📝 Private note
+        <textarea
+          placeholder="Only stored on this device"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onBlur={() => note !== entry.note && onChange({ note })}
+          rows={2}
+          style={{ ...styles.input, resize: "vertical" }}
+        />
+      </label>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginTop: 12 },
+  label: { display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: "#444", fontWeight: 700 },
+  input: {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid #ddd",
+    outline: "none",
+    fontWeight: 400,
+    fontFamily: "inherit",
+  },
+};
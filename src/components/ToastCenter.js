@@ -0,0 +1,88 @@
+import React from "react";
+import { useNotifications } from "../notifications/NotificationContext";
+
+const ICONS = { info: "ℹ️", success: "✅", warning: "⚠️", error: "❌" };
+
+export default function ToastCenter() {
+  const { toasts, dismiss } = useNotifications();
+  if (!toasts.length) return null;
+
+  return (
+    <div style={styles.stack}>
+      {toasts.map((t) => (
+        <div
+          key={t.key}
+          role={t.severity === "error" ? "alert" : "status"}
+          style={{ ...styles.toast, ...styles[t.severity] }}
+        >
+          <span>{ICONS[t.severity]}</span>
+          <span style={{ flex: 1 }}>
+            {t.message}
+            {t.count > 1 && <b style={{ marginLeft: 6 }}>×{t.count}</b>}
+          </span>
+
+          {t.action && (
+            <button
+              style={styles.actionBtn}
+              onClick={() => {
+                dismiss(t.key);
+                t.action.onClick();
+              }}
+            >
+              {t.action.label}
+            </button>
+          )}
+
+          <button style={styles.closeBtn} onClick={() => dismiss(t.key)} aria-label="Dismiss">
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+  stack: {
+    position: "fixed",
+    right: 18,
+    bottom: 18,
+    zIndex: 2000,
+    display: "flex",
+    flexDirection: "column",
+    gap: 8,
+    maxWidth: 380,
+  },
+  toast: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "10px 12px",
+    borderRadius: 14,
+    background: "white",
+    border: "1px solid #ddd",
+    boxShadow: "0 8px 24px rgba(0,0,0,0.12)",
+    fontSize: 13,
+  },
+  info: { borderColor: "#c7d2fe" },
+  success: { borderColor: "#bbf7d0", background: "#f0fdf4" },
+  warning: { borderColor: "#fde68a", background: "#fffbeb" },
+  error: { borderColor: "#fecaca", background: "#fef2f2" },
+  actionBtn: {
+    border: "1px solid #4f46e5",
+    background: "#4f46e5",
+    color: "white",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontSize: 12,
+    padding: "6px 10px",
+    fontWeight: 800,
+  },
+  closeBtn: {
+    border: "none",
+    background: "transparent",
+    cursor: "pointer",
+    color: "#777",
+    fontSize: 13,
+  },
+};
@@ -0,0 +1,106 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { offsetOf, visibleWindow } from "../utils/virtualWindow";
+
+// ✅ windowed list for variable-height rows: only rows near the viewport are
+// mounted, and each mounted row reports its real height via ResizeObserver.
+// scrollToKey: bring that row into view whenever it changes (e.g. map selection)
+export default function VirtualList({
+  items,
+  itemKey,
+  renderItem,
+  estimatedHeight = 140,
+  overscan = 4,
+  style,
+  scrollToKey,
+}) {
+  const scrollRef = useRef(null);
+  const heights = useRef(new Map());
+  const observer = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(600);
+  const [, setMeasured] = useState(0);
+
+  const getObserver = useCallback(() => {
+    if (!observer.current && typeof ResizeObserver !== "undefined") {
+      observer.current = new ResizeObserver((entries) => {
+        let changed = false;
+        entries.forEach((entry) => {
+          if (entry.target === scrollRef.current) {
+            setViewport(entry.target.clientHeight);
+            return;
+          }
+          const key = entry.target.dataset.key;
+          const height = entry.target.offsetHeight;
+          if (height && heights.current.get(key) !== height) {
+            heights.current.set(key, height);
+            changed = true;
+          }
+        });
+        if (changed) setMeasured((n) => n + 1);
+      });
+    }
+    return observer.current;
+  }, []);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return undefined;
+    setViewport(el.clientHeight || 600);
+    const ro = getObserver();
+    ro?.observe(el);
+    return () => ro?.disconnect();
+  }, [getObserver]);
+
+  const measureRow = useCallback(
+    (node) => {
+      const ro = getObserver();
+      if (!node || !ro) return undefined;
+      ro.observe(node);
+      return () => ro.unobserve(node);
+    },
+    [getObserver]
+  );
+
+  const sizes = items.map((item) => heights.current.get(String(itemKey(item))) ?? estimatedHeight);
+  const { start, end, before, after } = visibleWindow(sizes, scrollTop, viewport, overscan);
+
+  const latest = useRef({});
+  latest.current = { items, itemKey, sizes };
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (scrollToKey == null || !el) return;
+    const { items, itemKey, sizes } = latest.current;
+    const index = items.findIndex((item) => String(itemKey(item)) === String(scrollToKey));
+    if (index < 0) return;
+
+    const top = offsetOf(sizes, index);
+    if (top < el.scrollTop || top + sizes[index] > el.scrollTop + el.clientHeight) {
+      el.scrollTop = Math.max(0, top - 8);
+      setScrollTop(el.scrollTop);
+    }
+  }, [scrollToKey]);
+
+  return (
+    <div
+      ref={scrollRef}
+      style={style}
+      onScroll={(e) => {
+        setScrollTop(e.currentTarget.scrollTop);
+        setViewport(e.currentTarget.clientHeight);
+      }}
+    >
+      <div style={{ height: before }} />
+      {items.slice(start, end).map((item, i) => {
+        const key = String(itemKey(item));
+        return (
+          // flow-root keeps the card's margins inside the measured height
+          <div key={key} data-key={key} ref={measureRow} style={{ display: "flow-root" }}>
+            {renderItem(item, start + i)}
+          </div>
+        );
+      })}
+      <div style={{ height: after }} />
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import { describeWeek, DAYS } from "../utils/openingHours";
+
+export default function WeeklySchedule({ hours, now }) {
+  if (!hours) return <p style={styles.note}>No opening hours in OpenStreetMap.</p>;
+
+  const rows = describeWeek(hours);
+  if (!rows) {
+    return (
+      <p style={styles.note}>
+        Opening hours: <code>{hours}</code>
+      </p>
+    );
+  }
+
+  const today = DAYS[(now.getDay() + 6) % 7];
+  return (
+    <table style={styles.table}>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.day} style={r.day === today ? styles.today : undefined}>
+            <td style={styles.day}>{r.day === "PH" ? "Holidays" : r.day}</td>
+            <td>{r.text}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+const styles = {
+  note: { color: "#777", margin: 0, fontSize: 13 },
+  table: { borderCollapse: "collapse", fontSize: 13 },
+  day: { paddingRight: 14, color: "#666", fontWeight: 700 },
+  today: { fontWeight: 900 },
+};
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from "react";
+import { FOLLOW_OPTIONS, movedEnough, toPosition } from "../utils/geolocation";
+
+// ✅ watchPosition while `enabled`; jitter is filtered out before onPosition
+export function useFollowPosition(enabled, { onPosition, onError }) {
+  const handlers = useRef({ onPosition, onError });
+  handlers.current = { onPosition, onError };
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    if (!navigator.geolocation) {
+      handlers.current.onError("unsupported");
+      return undefined;
+    }
+
+    let last = null;
+    const id = navigator.geolocation.watchPosition(
+      (pos) => {
+        const next = toPosition(pos);
+        if (!movedEnough(last, next)) return;
+        last = next;
+        handlers.current.onPosition(next);
+      },
+      (err) => handlers.current.onError(err),
+      FOLLOW_OPTIONS
+    );
+    return () => navigator.geolocation.clearWatch(id);
+  }, [enabled]);
+}
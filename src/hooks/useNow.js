@@ -0,0 +1,13 @@
+import { useEffect, useState } from "react";
+
+// current time, refreshed every `intervalMs` (opening-hours badges)
+export function useNow(intervalMs = 60000) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+}
@@ -0,0 +1,93 @@
+import { MODES } from "../routing/routers";
+import { escapeXml as esc } from "../utils/files";
+import { restoreId } from "../utils/places";
+import { MAX_STOPS } from "./plan";
+
+// ✅ Sharing a plan: GPX for GPS apps / OsmAnd / Komoot, and a link that
+// rebuilds the same plan in another browser (everything lives in the URL hash,
+// nothing is uploaded).
+
+const hhmm = (d) => `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+
+// trip: { stops: [{ place, arrive, leave, status }], path: [[lat, lng]], mode, name }
+export function toGpx({ stops, path = [], mode, name = "Day plan" }) {
+  const lon = (p) => p.lon ?? p.lng;
+  const point = (tag, p, body = "") => `<${tag} lat="${p.lat}" lon="${lon(p)}">${body}</${tag}>`;
+
+  const wpts = stops.map(({ place, arrive, leave }, i) =>
+    point(
+      "wpt",
+      place,
+      `<time>${arrive.toISOString()}</time><name>${esc(`${i + 1}. ${place.name}`)}</name>` +
+        `<desc>${esc(`${hhmm(arrive)}–${hhmm(leave)} · ${place.type || ""}`)}</desc>` +
+        (place.type ? `<type>${esc(place.type)}</type>` : "")
+    )
+  );
+  const rtepts = stops.map(({ place }) => point("rtept", place, `<name>${esc(place.name)}</name>`));
+  const track = path.length > 1 ? path.map(([lat, lng]) => `<trkpt lat="${lat}" lon="${lng}"></trkpt>`) : [];
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="Smart Nearby Places" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `<metadata><name>${esc(name)}</name>${stops[0] ? `<time>${stops[0].arrive.toISOString()}</time>` : ""}</metadata>`,
+    ...wpts,
+    `<rte><name>${esc(name)}</name>${mode ? `<type>${esc(mode)}</type>` : ""}${rtepts.join("")}</rte>`,
+    ...(track.length ? [`<trk><name>${esc(name)}</name><trkseg>${track.join("")}</trkseg></trk>`] : []),
+    `</gpx>`,
+  ].join("\n");
+}
+
+const SHARE_VERSION = 1;
+const HASH_KEY = "trip=";
+
+// only what's needed to plan again: id, name, position, type and opening hours
+export function encodeTrip({ places, mode, start, dwellMin, origin }) {
+  const compact = {
+    v: SHARE_VERSION,
+    m: mode,
+    s: start.toISOString(),
+    d: dwellMin,
+    o: origin ? [+origin.lat.toFixed(6), +(origin.lng ?? origin.lon).toFixed(6)] : null,
+    p: places.map((p) => [p.id, p.name, +p.lat.toFixed(6), +p.lon.toFixed(6), p.type || "", p.tags?.opening_hours || ""]),
+  };
+  return `${HASH_KEY}${encodeURIComponent(JSON.stringify(compact))}`;
+}
+
+export const shareUrl = (trip, { origin, pathname } = window.location) => `${origin}${pathname}#${encodeTrip(trip)}`;
+
+// "#trip=..." -> { places, mode, start, dwellMin, origin, skipped } | null (missing or malformed).
+// Links are planned on page load, so stops beyond MAX_STOPS are cut (skipped = how many).
+export function decodeTrip(hash) {
+  const raw = String(hash || "").replace(/^#/, "");
+  if (!raw.startsWith(HASH_KEY)) return null;
+  try {
+    const t = JSON.parse(decodeURIComponent(raw.slice(HASH_KEY.length)));
+    if (t?.v !== SHARE_VERSION || !Array.isArray(t.p) || !t.p.length) return null;
+
+    const valid = t.p.filter((p) => Array.isArray(p) && Number.isFinite(p[2]) && Number.isFinite(p[3]));
+    const places = valid
+      .slice(0, MAX_STOPS)
+      .map(([id, name, lat, lon, type, hours]) => ({
+        id: restoreId(typeof id === "number" ? id : String(id)),
+        name: String(name || "Unnamed"),
+        lat,
+        lon,
+        type: String(type || ""),
+        tags: hours ? { opening_hours: String(hours) } : {},
+      }));
+    const start = new Date(t.s);
+    const origin = Array.isArray(t.o) && t.o.every(Number.isFinite) ? { lat: t.o[0], lng: t.o[1] } : null;
+
+    if (!places.length) return null;
+    return {
+      places,
+      mode: MODES[t.m] ? t.m : "walking",
+      start: Number.isNaN(start.getTime()) ? new Date() : start,
+      dwellMin: Number.isFinite(t.d) && t.d >= 0 ? t.d : 45,
+      origin,
+      skipped: valid.length - places.length,
+    };
+  } catch {
+    return null;
+  }
+}
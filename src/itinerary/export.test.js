@@ -0,0 +1,69 @@
+import { decodeTrip, encodeTrip, shareUrl, toGpx } from "./export";
+import { MAX_STOPS } from "./plan";
+
+const places = [
+  { id: "node/1", name: "Café <Nilo> & Co", lat: 17.4, lon: 78.47, type: "cafe", tags: { opening_hours: "Mo-Su 08:00-20:00" } },
+  { id: "way/2", name: "Museum", lat: 17.41, lon: 78.48, type: "museum", tags: {} },
+];
+const start = new Date("2024-01-01T09:00:00Z");
+
+test("toGpx writes escaped waypoints, a route and the track", () => {
+  const stops = places.map((place, i) => ({
+    place,
+    arrive: new Date(start.getTime() + i * 3600000),
+    leave: new Date(start.getTime() + i * 3600000 + 1800000),
+  }));
+  const gpx = toGpx({ stops, path: [[17.4, 78.47], [17.41, 78.48]], mode: "walking", name: "Sunday" });
+
+  expect(gpx).toMatch(/^<\?xml/);
+  expect(gpx).toContain('<wpt lat="17.4" lon="78.47"><time>2024-01-01T09:00:00.000Z</time>');
+  expect(gpx).toContain("<name>1. Café &lt;Nilo&gt; &amp; Co</name>");
+  expect(gpx).toContain("<rte><name>Sunday</name><type>walking</type>");
+  expect(gpx.match(/<rtept /g)).toHaveLength(2);
+  expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+  expect(toGpx({ stops, path: [] })).not.toContain("<trk>");
+});
+
+test("share links round-trip the plan", () => {
+  const hash = encodeTrip({ places, mode: "cycling", start, dwellMin: 30, origin: { lat: 17.38, lng: 78.46 } });
+  const trip = decodeTrip(`#${hash}`);
+
+  expect(trip.mode).toBe("cycling");
+  expect(trip.start).toEqual(start);
+  expect(trip.dwellMin).toBe(30);
+  expect(trip.origin).toEqual({ lat: 17.38, lng: 78.46 });
+  expect(trip.places[0]).toEqual(places[0]);
+  expect(trip.places[1]).toMatchObject({ id: "way/2", type: "museum", tags: {} });
+
+  expect(shareUrl({ places, mode: "walking", start, dwellMin: 45 }, { origin: "https://x.app", pathname: "/" })).toMatch(
+    /^https:\/\/x\.app\/#trip=/
+  );
+});
+
+test("share links keep numeric place ids as numbers", () => {
+  const saved = { id: 123456, name: "Saved", lat: 1, lon: 2, type: "cafe", tags: {} };
+  const hash = encodeTrip({ places: [saved, places[0]], mode: "walking", start: new Date(), dwellMin: 30 });
+  const [first, second] = decodeTrip(`#${hash}`).places;
+
+  expect(first.id === saved.id).toBe(true);
+  expect(second.id).toBe("node/1");
+  // a link written by hand with the id as text still matches the saved place
+  const p = [["123456", "Saved", 1, 2]];
+  expect(decodeTrip(`#trip=${encodeURIComponent(JSON.stringify({ v: 1, p }))}`).places[0].id).toBe(123456);
+});
+
+test("malformed share links are ignored", () => {
+  expect(decodeTrip("")).toBeNull();
+  expect(decodeTrip("#other=1")).toBeNull();
+  expect(decodeTrip("#trip=%7Bnot-json")).toBeNull();
+  expect(decodeTrip(`#trip=${encodeURIComponent(JSON.stringify({ v: 1, p: [] }))}`)).toBeNull();
+  expect(decodeTrip(`#trip=${encodeURIComponent(JSON.stringify({ v: 1, m: "flying", p: [["a", "A", 1, 2]] }))}`))
+    .toMatchObject({ mode: "walking", dwellMin: 45, origin: null, places: [{ id: "a", lat: 1, lon: 2 }] });
+});
+
+test("share links are cut at MAX_STOPS", () => {
+  const p = Array.from({ length: MAX_STOPS + 5 }, (_, i) => [i, `P${i}`, 1, 2]);
+  const trip = decodeTrip(`#trip=${encodeURIComponent(JSON.stringify({ v: 1, p }))}`);
+  expect(trip.places).toHaveLength(MAX_STOPS);
+  expect(trip.skipped).toBe(5);
+});
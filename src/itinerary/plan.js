@@ -0,0 +1,157 @@
+import { isAbortError } from "../providers/abort";
+import { haversineMeters } from "../utils/geo";
+import { openingStatus } from "../utils/openingHours";
+
+// ✅ Day planner: order saved places to minimize travel while respecting known
+// opening hours. Points are { lat, lng|lon }; index 0 of every matrix is the start.
+
+export const MAX_STOPS = 25;
+export const MAX_WAIT_MIN = 60; // arriving before opening: wait up to an hour, else it counts as closed
+
+// crow-flies fallback when no router answers: detour factor x typical city speed (m/s)
+const DETOUR = 1.3;
+const SPEEDS = { walking: 1.3, cycling: 4, driving: 8 };
+
+// ordering cost on top of elapsed time: a closed stop must lose against almost any detour
+const CLOSED_PENALTY_SEC = 3 * 3600;
+const CLOSING_PENALTY_SEC = 30 * 60;
+const MAX_PASSES = 50;
+
+const lngOf = (p) => p.lng ?? p.lon;
+
+export function estimateSeconds(a, b, mode) {
+  return (haversineMeters(a.lat, lngOf(a), b.lat, lngOf(b)) * DETOUR) / (SPEEDS[mode] || SPEEDS.walking);
+}
+
+// seconds from every point to every other one -> { matrix, error }
+// (error set when the router failed and crow-flies estimates were used instead)
+export async function travelMatrix(points, mode, router, { signal } = {}) {
+  const estimate = () => points.map((a, i) => points.map((b, j) => (i === j ? 0 : estimateSeconds(a, b, mode))));
+  if (!router) return { matrix: estimate(), error: null };
+
+  try {
+    const rows = await router.matrix(points, mode, { signal });
+    const matrix = rows.map((row, i) =>
+      row.map((cell, j) => (i === j ? 0 : (cell?.duration ?? estimateSeconds(points[i], points[j], mode))))
+    );
+    return { matrix, error: null };
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    return { matrix: estimate(), error: err };
+  }
+}
+
+// open path from 0 visiting everything, always hopping to the closest unvisited point
+export function nearestNeighbour(matrix) {
+  const order = [0];
+  const left = new Set(matrix.map((_, i) => i).slice(1));
+  while (left.size) {
+    const last = order[order.length - 1];
+    let best = null;
+    left.forEach((j) => {
+      if (best === null || matrix[last][j] < matrix[last][best]) best = j;
+    });
+    order.push(best);
+    left.delete(best);
+  }
+  return order;
+}
+
+export const pathSeconds = (order, matrix) =>
+  order.slice(1).reduce((sum, j, n) => sum + matrix[order[n]][j], 0);
+
+// 2-opt on an open path with a fixed start: reverse any segment that lowers `cost(order)`
+export function twoOpt(order, cost) {
+  let best = order;
+  let bestCost = cost(best);
+
+  for (let pass = 0, improved = true; improved && pass < MAX_PASSES; pass++) {
+    improved = false;
+    for (let i = 1; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+        const c = cost(candidate);
+        if (c < bestCost - 1e-6) {
+          best = candidate;
+          bestCost = c;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// walk `order` from `start`: travel, wait for the place to open (<= MAX_WAIT_MIN), stay `dwellMin`.
+// status: open | closing (closes during the visit) | wait | closed | unknown (no/unsupported hours)
+export function scheduleStops(order, points, matrix, { start, dwellMin }) {
+  let t = start.getTime();
+  const stops = order.slice(1).map((j, n) => {
+    const travelSec = matrix[order[n]][j];
+    t += travelSec * 1000;
+    const place = points[j];
+    const arrive = new Date(t);
+    const hours = openingStatus(place.tags?.opening_hours, arrive);
+
+    let status = "unknown";
+    let waitMin = 0;
+    if (hours.known && hours.open) {
+      status = hours.closesInMin != null && hours.closesInMin < dwellMin ? "closing" : "open";
+    } else if (hours.known && hours.opensInMin != null && hours.opensInMin <= MAX_WAIT_MIN) {
+      status = "wait";
+      waitMin = hours.opensInMin;
+    } else if (hours.known) {
+      status = "closed";
+    }
+
+    t += (waitMin + dwellMin) * 60000;
+    return { place, travelSec, arrive, waitMin, leave: new Date(t), status };
+  });
+  return { stops, end: new Date(t) };
+}
+
+function scheduleCost({ stops, end }, start) {
+  const penalty = stops.reduce(
+    (sum, s) => sum + (s.status === "closed" ? CLOSED_PENALTY_SEC : s.status === "closing" ? CLOSING_PENALTY_SEC : 0),
+    0
+  );
+  return (end - start) / 1000 + penalty;
+}
+
+// ✅ origin: { lat, lng } or null (start wherever the plan says, e.g. at the hotel you saved)
+// matrix: travelMatrix() of [origin, ...places]; without an origin pass places only.
+// -> { stops, end, travelSec }
+export function planItinerary(places, matrix, { origin = null, start = new Date(), dwellMin = 45 } = {}) {
+  if (!places.length) return { stops: [], end: start, travelSec: 0 };
+
+  // a free start is a virtual point 0 seconds away from every place
+  const m = origin ? matrix : [places.map(() => 0).concat(0), ...matrix.map((row) => [0, ...row])];
+  const points = [origin || { virtual: true }, ...places];
+
+  const cost = (order) => scheduleCost(scheduleStops(order, points, m, { start, dwellMin }), start);
+  const order = twoOpt(nearestNeighbour(m), cost);
+  const { stops, end } = scheduleStops(order, points, m, { start, dwellMin });
+  return { stops, end, travelSec: pathSeconds(order, m) };
+}
+
+// road geometry of consecutive legs ([[lat, lng]]); legs the router can't route stay straight lines
+export async function routeLegs(points, mode, router, { signal } = {}) {
+  const path = [];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    let leg = [
+      [a.lat, lngOf(a)],
+      [b.lat, lngOf(b)],
+    ];
+    if (router) {
+      try {
+        leg = (await router.route(a, b, mode, { signal })).path;
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+      }
+    }
+    path.push(...(path.length ? leg.slice(1) : leg));
+  }
+  return path;
+}
@@ -0,0 +1,117 @@
+import {
+  estimateSeconds,
+  nearestNeighbour,
+  pathSeconds,
+  planItinerary,
+  routeLegs,
+  scheduleStops,
+  travelMatrix,
+  twoOpt,
+} from "./plan";
+
+// points on a line, 1 unit apart
+const line = (xs) => xs.map((a) => xs.map((b) => Math.abs(a - b) * 60));
+
+const place = (id, hours) => ({ id, name: id, lat: 0, lon: 0, tags: hours ? { opening_hours: hours } : {} });
+
+// Monday 2024-01-01 09:00 local time
+const monday9 = new Date(2024, 0, 1, 9, 0);
+
+test("nearestNeighbour hops to the closest unvisited point", () => {
+  expect(nearestNeighbour(line([0, 3, 1, 2]))).toEqual([0, 2, 3, 1]);
+});
+
+test("twoOpt untangles a crossing path", () => {
+  const m = line([0, 1, 2, 3, 4]);
+  const tangled = [0, 3, 2, 1, 4];
+  const better = twoOpt(tangled, (o) => pathSeconds(o, m));
+  expect(better).toEqual([0, 1, 2, 3, 4]);
+  expect(pathSeconds(better, m)).toBeLessThan(pathSeconds(tangled, m));
+});
+
+test("scheduleStops adds travel, waits for opening and flags closed places", () => {
+  const points = [{ lat: 0, lon: 0 }, place("a", "Mo-Su 09:30-18:00"), place("b", "Mo 08:00-10:00"), place("c")];
+  const m = [
+    [0, 600, 600, 600],
+    [600, 0, 600, 600],
+    [600, 600, 0, 600],
+    [600, 600, 600, 0],
+  ];
+  const { stops, end } = scheduleStops([0, 1, 2, 3], points, m, { start: monday9, dwellMin: 30 });
+
+  // 09:10 arrive, waits 20 min for 09:30, leaves 10:00
+  expect(stops[0]).toMatchObject({ status: "wait", waitMin: 20, travelSec: 600 });
+  expect(stops[0].leave).toEqual(new Date(2024, 0, 1, 10, 0));
+  // 10:10 at b: closed since 10:00 and not opening within the hour
+  expect(stops[1].status).toBe("closed");
+  expect(stops[2].status).toBe("unknown");
+  expect(end).toEqual(new Date(2024, 0, 1, 11, 20));
+});
+
+test("planItinerary visits places that close early first", () => {
+  // "late" is on the way, but "early" closes at 10:00
+  const late = { ...place("late", "Mo-Su 09:00-20:00"), lat: 0, lon: 0.01 };
+  const early = { ...place("early", "Mo-Su 08:00-10:00"), lat: 0, lon: 0.02 };
+  const origin = { lat: 0, lng: 0 };
+  const points = [origin, late, early];
+  const matrix = points.map((a) => points.map((b) => estimateSeconds(a, b, "walking")));
+
+  const plan = planItinerary([late, early], matrix, { origin, start: monday9, dwellMin: 20 });
+  expect(plan.stops.map((s) => s.place.id)).toEqual(["early", "late"]);
+  expect(plan.stops.every((s) => s.status === "open")).toBe(true);
+  expect(plan.travelSec).toBeGreaterThan(0);
+});
+
+test("planItinerary without an origin starts at the best place", () => {
+  const places = ["a", "b", "c"].map((id) => place(id));
+  const plan = planItinerary(places, line([5, 0, 10]), { start: monday9, dwellMin: 10 });
+
+  // b(0) -> a(5) -> c(10): starting at an end beats starting in the middle
+  expect(plan.stops.map((s) => s.place.id)).toEqual(["b", "a", "c"]);
+  expect(plan.stops[0].travelSec).toBe(0);
+  expect(plan.travelSec).toBe(600);
+  expect(planItinerary([], [], { start: monday9 }).stops).toEqual([]);
+});
+
+test("travelMatrix uses the router and falls back to estimates", async () => {
+  const points = [
+    { lat: 0, lng: 0 },
+    { lat: 0, lon: 0.01 },
+  ];
+  const router = {
+    matrix: jest.fn(async () => [
+      [{ duration: 0 }, { duration: 99 }],
+      [null, null],
+    ]),
+  };
+  expect((await travelMatrix(points, "walking", router)).matrix).toEqual([
+    [0, 99],
+    [estimateSeconds(points[1], points[0], "walking"), 0],
+  ]);
+  expect(router.matrix).toHaveBeenCalledTimes(1); // one request for the whole day
+
+  const failing = { matrix: jest.fn(async () => Promise.reject(new Error("down"))) };
+  const { matrix, error } = await travelMatrix(points, "walking", failing);
+  expect(error.message).toBe("down");
+  expect(matrix[0][1]).toBeCloseTo(estimateSeconds(points[0], points[1], "walking"));
+});
+
+test("routeLegs joins route geometry and keeps failed legs straight", async () => {
+  const points = [
+    { lat: 0, lng: 0 },
+    { lat: 1, lon: 1 },
+    { lat: 2, lon: 2 },
+  ];
+  const router = {
+    route: jest
+      .fn()
+      .mockResolvedValueOnce({ path: [[0, 0], [0.5, 0.4], [1, 1]] })
+      .mockRejectedValueOnce(new Error("NoRoute")),
+  };
+  expect(await routeLegs(points, "driving", router)).toEqual([
+    [0, 0],
+    [0.5, 0.4],
+    [1, 1],
+    [2, 2],
+  ]);
+});
@@ -0,0 +1,75 @@
+// ✅ Grid clustering in screen space. Places are projected to Web Mercator pixels
+// at the current zoom and bucketed into cells; only places inside the (padded)
+// viewport are considered, so thousands of results stay cheap to render.
+
+const TILE_SIZE = 256;
+export const MAX_CLUSTER_ZOOM = 17; // from here on every place gets its own marker
+
+export function project(lat, lon, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.min(0.9999, Math.max(-0.9999, Math.sin((lat * Math.PI) / 180)));
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+// bounds: { south, west, north, east }, pad as a fraction of the size
+export function padBounds({ south, west, north, east }, pad = 0.2) {
+  const dLat = (north - south) * pad;
+  const dLon = (east - west) * pad;
+  return { south: south - dLat, west: west - dLon, north: north + dLat, east: east + dLon };
+}
+
+export function inBounds(place, bounds) {
+  if (!bounds) return true;
+  return (
+    place.lat >= bounds.south && place.lat <= bounds.north && place.lon >= bounds.west && place.lon <= bounds.east
+  );
+}
+
+// -> [{ kind: "place", key, place } | { kind: "cluster", key, lat, lon, count, bounds, places }]
+// `pinned` ids (selected / hovered place) are always rendered on their own, even
+// outside the viewport, so the map can fly to them and open their popup
+export function clusterPlaces(places, { zoom, bounds, cellSize = 64, pinned = [] } = {}) {
+  const visible = places.filter((p) => pinned.includes(p.id) || inBounds(p, bounds));
+  if (zoom >= MAX_CLUSTER_ZOOM) return visible.map((place) => ({ kind: "place", key: `p${place.id}`, place }));
+
+  const cells = new Map();
+  const items = [];
+  visible.forEach((place) => {
+    if (pinned.includes(place.id)) {
+      items.push({ kind: "place", key: `p${place.id}`, place });
+      return;
+    }
+    const { x, y } = project(place.lat, place.lon, zoom);
+    const cell = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push(place);
+  });
+
+  cells.forEach((members, cell) => {
+    if (members.length === 1) {
+      items.push({ kind: "place", key: `p${members[0].id}`, place: members[0] });
+      return;
+    }
+    const lat = members.reduce((acc, p) => acc + p.lat, 0) / members.length;
+    const lon = members.reduce((acc, p) => acc + p.lon, 0) / members.length;
+    items.push({
+      kind: "cluster",
+      key: `c${zoom}:${cell}`,
+      lat,
+      lon,
+      count: members.length,
+      bounds: {
+        south: Math.min(...members.map((p) => p.lat)),
+        west: Math.min(...members.map((p) => p.lon)),
+        north: Math.max(...members.map((p) => p.lat)),
+        east: Math.max(...members.map((p) => p.lon)),
+      },
+      places: members,
+    });
+  });
+
+  return items;
+}
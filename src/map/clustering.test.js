@@ -0,0 +1,57 @@
+import { clusterPlaces, inBounds, MAX_CLUSTER_ZOOM, padBounds, project } from "./clustering";
+
+const place = (id, lat, lon) => ({ id, name: `P${id}`, lat, lon });
+
+// three places within ~100 m, one ~5 km away
+const places = [
+  place(1, 17.385, 78.49),
+  place(2, 17.3855, 78.4905),
+  place(3, 17.3852, 78.4898),
+  place(4, 17.43, 78.5),
+];
+
+test("project maps the world onto 256 px at zoom 0", () => {
+  expect(project(0, 0, 0)).toEqual({ x: 128, y: 128 });
+  expect(project(0, 180, 1).x).toBe(512);
+});
+
+test("padBounds grows the box on every side", () => {
+  expect(padBounds({ south: 0, west: 0, north: 10, east: 20 }, 0.1)).toEqual({
+    south: -1,
+    west: -2,
+    north: 11,
+    east: 22,
+  });
+  expect(inBounds(place(9, 5, 5), { south: 0, west: 0, north: 10, east: 10 })).toBe(true);
+  expect(inBounds(place(9, 5, 15), { south: 0, west: 0, north: 10, east: 10 })).toBe(false);
+});
+
+test("nearby places merge into one cluster at city zoom", () => {
+  const items = clusterPlaces(places, { zoom: 13 });
+  const cluster = items.find((i) => i.kind === "cluster");
+
+  expect(items).toHaveLength(2);
+  expect(cluster.count).toBe(3);
+  expect(cluster.bounds).toEqual({ south: 17.385, west: 78.4898, north: 17.3855, east: 78.4905 });
+  expect(items.find((i) => i.kind === "place").place.id).toBe(4);
+});
+
+test("every place gets its own marker from the max cluster zoom", () => {
+  const items = clusterPlaces(places, { zoom: MAX_CLUSTER_ZOOM });
+  expect(items.map((i) => i.kind)).toEqual(["place", "place", "place", "place"]);
+});
+
+test("places outside the viewport are skipped and pinned ones stay single", () => {
+  const bounds = { south: 17.38, west: 78.48, north: 17.39, east: 78.495 };
+  const items = clusterPlaces(places, { zoom: 13, bounds, pinned: [2] });
+
+  expect(items.some((i) => i.kind === "place" && i.place.id === 4)).toBe(false);
+  expect(items.find((i) => i.kind === "place").place.id).toBe(2);
+  expect(items.find((i) => i.kind === "cluster").count).toBe(2);
+});
+
+test("pinned places are kept even outside the viewport", () => {
+  const bounds = { south: 17.38, west: 78.48, north: 17.39, east: 78.495 };
+  const items = clusterPlaces(places, { zoom: 13, bounds, pinned: [4] });
+  expect(items.find((i) => i.kind === "place").place.id).toBe(4);
+});
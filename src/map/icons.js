@@ -0,0 +1,117 @@
+import L from "leaflet";
+import markerIcon from "leaflet/dist/images/marker-icon.png";
+import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
+import markerShadow from "leaflet/dist/images/marker-shadow.png";
+
+// ✅ Map icons. Everything is bundled (emoji + inline styles, Leaflet's own images
+// imported through webpack), so markers render offline and nothing hits a CDN.
+
+// default pin for anything created without an explicit icon
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
+});
+
+// place `type` (OSM value) -> look
+export const TYPE_STYLES = {
+  cafe: { emoji: "☕", color: "#92400e", label: "Café" },
+  library: { emoji: "📚", color: "#1d4ed8", label: "Library" },
+  coworking_space: { emoji: "💻", color: "#0f766e", label: "Coworking" },
+  restaurant: { emoji: "🍽️", color: "#b91c1c", label: "Restaurant" },
+  fast_food: { emoji: "🍔", color: "#ea580c", label: "Fast food" },
+  food_court: { emoji: "🥡", color: "#c2410c", label: "Food court" },
+  bar: { emoji: "🍸", color: "#7c3aed", label: "Bar" },
+  pub: { emoji: "🍺", color: "#7c3aed", label: "Pub" },
+  hotel: { emoji: "🏨", color: "#0369a1", label: "Hotel" },
+  hostel: { emoji: "🛏️", color: "#0369a1", label: "Hostel" },
+  guest_house: { emoji: "🏡", color: "#0369a1", label: "Guest house" },
+  motel: { emoji: "🏩", color: "#0369a1", label: "Motel" },
+  museum: { emoji: "🏛️", color: "#6d28d9", label: "Museum" },
+  attraction: { emoji: "📸", color: "#db2777", label: "Attraction" },
+  viewpoint: { emoji: "🌄", color: "#15803d", label: "Viewpoint" },
+  zoo: { emoji: "🦁", color: "#15803d", label: "Zoo" },
+  theme_park: { emoji: "🎢", color: "#db2777", label: "Theme park" },
+  park: { emoji: "🌳", color: "#15803d", label: "Park" },
+};
+
+export const FALLBACK_STYLE = { emoji: "📍", color: "#475569", label: "Other" };
+
+export const typeStyle = (type) => TYPE_STYLES[type] || FALLBACK_STYLE;
+
+export const SELECTED_RING = "#facc15";
+export const HOVERED_RING = "#4f46e5";
+export const SAVED_BADGE = "#f59e0b";
+
+// ★ badge on the pin's top-right corner, so "saved" shows alongside selected / hovered
+const savedBadgeHtml =
+  `<div style="position:absolute;top:-6px;right:-6px;width:16px;height:16px;border-radius:50%;background:${SAVED_BADGE};` +
+  `color:#fff;border:2px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,0.35);font:800 10px/16px sans-serif;text-align:center">★</div>`;
+
+const pinHtml = ({ emoji, color }, { size, ring, favorite }) =>
+  `<div style="position:relative;width:${size}px;height:${size}px">` +
+  `<div style="width:${size}px;height:${size}px;border-radius:50% 50% 50% 0;transform:rotate(-45deg);background:${color};border:${ring};box-shadow:0 2px 6px rgba(0,0,0,0.35);display:flex;align-items:center;justify-content:center">` +
+  `<span style="transform:rotate(45deg);font-size:${Math.round(size * 0.5)}px;line-height:1">${emoji}</span></div>` +
+  (favorite ? savedBadgeHtml : "") +
+  `</div>`;
+
+const cache = new Map();
+
+// selected pins are bigger with a gold ring, hovered ones (from the list) get an
+// indigo ring; saved places carry a ★ badge in any state
+export function placeIcon(type, { selected = false, hovered = false, favorite = false } = {}) {
+  const style = typeStyle(type);
+  const key = `${style.emoji}|${selected}|${hovered}|${favorite}`;
+  if (!cache.has(key)) {
+    const size = selected ? 38 : hovered ? 34 : 30;
+    const ring = selected ? `3px solid ${SELECTED_RING}` : hovered ? `3px solid ${HOVERED_RING}` : "2px solid #fff";
+    cache.set(
+      key,
+      L.divIcon({
+        className: "",
+        html: pinHtml(style, { size, ring, favorite }),
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size],
+        popupAnchor: [0, -size],
+      })
+    );
+  }
+  return cache.get(key);
+}
+
+// a pulsing-dot look, clearly not a place
+export const centerIcon = L.divIcon({
+  className: "",
+  html: '<div style="width:18px;height:18px;border-radius:50%;background:#2563eb;border:4px solid #fff;box-shadow:0 0 0 6px rgba(37,99,235,0.25),0 2px 6px rgba(0,0,0,0.3)"></div>',
+  iconSize: [26, 26],
+  iconAnchor: [13, 13],
+  popupAnchor: [0, -14],
+});
+
+// live position while following: a green dot, so it can't be mistaken for the search center
+export const userIcon = L.divIcon({
+  className: "",
+  html: '<div style="width:16px;height:16px;border-radius:50%;background:#16a34a;border:3px solid #fff;box-shadow:0 0 0 5px rgba(22,163,74,0.25),0 2px 6px rgba(0,0,0,0.3)"></div>',
+  iconSize: [22, 22],
+  iconAnchor: [11, 11],
+  popupAnchor: [0, -12],
+});
+
+// numbered badge for day-plan stops (1, 2, 3, ...); red when the place is closed on arrival
+export function stopIcon(n, { closed = false } = {}) {
+  const key = `stop|${n}|${closed}`;
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      L.divIcon({
+        className: "",
+        html: `<div style="width:22px;height:22px;border-radius:50%;background:${closed ? "#dc2626" : "#111827"};color:#fff;border:2px solid #fff;box-shadow:0 2px 6px rgba(0,0,0,0.35);font:800 12px/22px sans-serif;text-align:center">${n}</div>`,
+        iconSize: [26, 26],
+        iconAnchor: [13, 13],
+        popupAnchor: [0, -14],
+      })
+    );
+  }
+  return cache.get(key);
+}
@@ -0,0 +1,182 @@
+// ✅ Moods = named OSM tag filters.
+//   include: [{ key, values }]  -> a place matches ANY rule (empty values = key exists)
+//   exclude: [{ key, values }]  -> a place matching ANY of these is dropped
+//   filter (optional)           -> advanced AND/OR/NOT filter (src/query), replaces include/exclude
+//   prefer (optional)           -> attribute filter keys (src/utils/facets) ranked first, e.g. ["budget"]
+//
+// Moods are user-editable and persisted through src/storage (see MoodEditor).
+
+import { and, evaluateFilter, exists, not, oneOf, or, QueryError, toClauses } from "../query/overpassQuery";
+import { FACETS } from "../utils/facets";
+
+const FACET_KEYS = FACETS.map((f) => f.key);
+
+export const MOODS_KEY = "custom_moods";
+export const MOODS_FILE_VERSION = 1;
+
+// Removed Date, Added Tourist + Stay/Hotels
+export const DEFAULT_MOODS = [
+  {
+    id: "work",
+    label: "Work",
+    emoji: "💻",
+    include: [{ key: "amenity", values: ["cafe", "library", "coworking_space"] }],
+    exclude: [],
+    topMatch: "Quiet cafés & libraries are best for work focus.",
+  },
+  {
+    id: "tourist",
+    label: "Tourist",
+    emoji: "🗺️",
+    include: [{ key: "tourism", values: ["attraction", "museum", "viewpoint", "zoo", "theme_park"] }],
+    exclude: [],
+    topMatch: "Explore tourist attractions and famous places nearby!",
+  },
+  {
+    id: "quick",
+    label: "Quick Bite",
+    emoji: "🍔",
+    include: [{ key: "amenity", values: ["fast_food", "restaurant", "food_court"] }],
+    exclude: [],
+    topMatch: "Fast food & quick restaurants nearby!",
+  },
+  {
+    id: "budget",
+    label: "Budget",
+    emoji: "💸",
+    include: [{ key: "amenity", values: ["fast_food", "cafe", "restaurant"] }],
+    exclude: [],
+    prefer: ["budget"], // free entry, cheap price tags, low stars rank first
+    topMatch: "Budget-friendly spots (free, cheap or low price tags ranked first).",
+  },
+  {
+    id: "stay",
+    label: "Stay",
+    emoji: "🏨",
+    include: [{ key: "tourism", values: ["hotel", "hostel", "guest_house", "motel"] }],
+    exclude: [],
+    topMatch: "Find hotels & stays based on your travel needs.",
+  },
+];
+
+// any printable text (the query builder escapes it), no control characters
+const isToken = (token) =>
+  typeof token === "string" &&
+  token.length >= 1 &&
+  token.length <= 255 &&
+  [...token].every((c) => c.charCodeAt(0) >= 0x20);
+
+export function validateMood(mood) {
+  const errors = [];
+  if (!mood || typeof mood !== "object") return ["Mood must be an object"];
+  if (!mood.id || typeof mood.id !== "string") errors.push("Missing id");
+  if (!mood.label?.trim()) errors.push("Missing label");
+
+  const checkRules = (rules, name) => {
+    if (!Array.isArray(rules)) {
+      errors.push(`${name} must be a list`);
+      return;
+    }
+    rules.forEach((r, i) => {
+      if (!isToken(r?.key)) errors.push(`${name} #${i + 1}: invalid key "${r?.key ?? ""}"`);
+      if (!Array.isArray(r?.values)) errors.push(`${name} #${i + 1}: values must be a list`);
+      else r.values.filter((v) => !isToken(v)).forEach((v) => errors.push(`${name} #${i + 1}: invalid value "${v}"`));
+    });
+  };
+
+  const prefer = mood.prefer ?? [];
+  if (!Array.isArray(prefer) || prefer.some((k) => !FACET_KEYS.includes(k))) {
+    errors.push(`Prefer must list attribute filters (${FACET_KEYS.join(", ")})`);
+  }
+  checkRules(mood.include, "Include");
+  checkRules(mood.exclude || [], "Exclude");
+  if (mood.filter) {
+    try {
+      toClauses(mood.filter);
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      errors.push(`Advanced filter: ${err.message}`);
+    }
+  } else if (Array.isArray(mood.include) && !mood.include.length) {
+    errors.push("Add at least one include filter");
+  }
+  return errors;
+}
+
+// `storage` is src/storage: it drops (and reports) stored moods that fail validateMood
+// and keeps the original as a backup, so one broken mood doesn't cost the others
+export function loadMoods(storage) {
+  const saved = storage.read(MOODS_KEY);
+  return saved?.length ? saved : DEFAULT_MOODS;
+}
+
+export function saveMoods(moods, storage) {
+  storage.write(MOODS_KEY, moods);
+}
+
+export function exportMoods(moods) {
+  return JSON.stringify({ version: MOODS_FILE_VERSION, moods }, null, 2);
+}
+
+// -> { moods, errors }; imported ids clashing with existing ones are replaced
+export function parseMoodsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { moods: [], errors: ["File is not valid JSON"] };
+  }
+
+  const list = Array.isArray(data) ? data : data?.moods;
+  if (!Array.isArray(list)) return { moods: [], errors: ["No moods found in file"] };
+
+  const errors = [];
+  const moods = list
+    .map((m) => ({ exclude: [], ...m }))
+    .filter((m, i) => {
+      const errs = validateMood(m);
+      errs.forEach((e) => errors.push(`Mood ${i + 1} (${m?.label || "?"}): ${e}`));
+      return !errs.length;
+    });
+
+  return { moods, errors };
+}
+
+const ruleFilter = ({ key, values }) => (values.length ? oneOf(key, values) : exists(key));
+
+export function moodFilter(mood) {
+  if (mood.filter) return mood.filter;
+  const include = or(...mood.include.map(ruleFilter));
+  const exclude = mood.exclude || [];
+  return exclude.length ? and(include, not(or(...exclude.map(ruleFilter)))) : include;
+}
+
+export function matchesMood(tags = {}, mood) {
+  return evaluateFilter(moodFilter(mood), tags);
+}
+
+const TYPE_KEYS = ["amenity", "tourism", "leisure", "shop", "historic"];
+
+// value of the first include key the place matches (e.g. "cafe", "park")
+export function placeTypeFor(tags = {}, mood) {
+  const rule = mood?.include.find((r) => evaluateFilter(ruleFilter(r), tags));
+  if (rule) return String(tags[rule.key]).split(";")[0];
+  const key = TYPE_KEYS.find((k) => k in tags);
+  return key ? tags[key] : "place";
+}
+
+// changes whenever the filters change, so cached results of an edited mood are not reused
+export function moodSignature(mood) {
+  const text = JSON.stringify([mood.include, mood.exclude || [], mood.filter || null]);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  return `${mood.id}~${(hash >>> 0).toString(36)}`;
+}
+
+export function newMoodId(label, existing) {
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "mood";
+  const taken = new Set(existing.map((m) => m.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+  return id;
+}
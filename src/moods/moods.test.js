@@ -0,0 +1,127 @@
+import { SCHEMA_VERSION, VERSION_KEY } from "../storage/schema";
+import { createStorage } from "../storage/storage";
+import {
+  DEFAULT_MOODS,
+  exportMoods,
+  loadMoods,
+  matchesMood,
+  moodSignature,
+  newMoodId,
+  parseMoodsFile,
+  placeTypeFor,
+  MOODS_KEY,
+  validateMood,
+} from "./index";
+
+const parkOrCafe = {
+  id: "park",
+  label: "Park & café",
+  emoji: "🌳",
+  include: [
+    { key: "leisure", values: ["park"] },
+    { key: "amenity", values: ["cafe"] },
+  ],
+  exclude: [{ key: "access", values: ["private"] }],
+};
+
+test("default moods are valid", () => {
+  DEFAULT_MOODS.forEach((m) => expect(validateMood(m)).toEqual([]));
+});
+
+test("matchesMood ORs include rules and applies excludes", () => {
+  expect(matchesMood({ leisure: "park" }, parkOrCafe)).toBe(true);
+  expect(matchesMood({ amenity: "cafe" }, parkOrCafe)).toBe(true);
+  expect(matchesMood({ amenity: "bar" }, parkOrCafe)).toBe(false);
+  expect(matchesMood({ leisure: "park", access: "private" }, parkOrCafe)).toBe(false);
+  expect(matchesMood({ amenity: "restaurant;cafe" }, parkOrCafe)).toBe(true);
+});
+
+test("empty values mean the key only has to exist", () => {
+  const ev = { id: "ev", label: "EV", include: [{ key: "amenity", values: ["charging_station"] }], exclude: [{ key: "disused", values: [] }] };
+  expect(matchesMood({ amenity: "charging_station" }, ev)).toBe(true);
+  expect(matchesMood({ amenity: "charging_station", disused: "yes" }, ev)).toBe(false);
+});
+
+test("an advanced filter replaces include/exclude", () => {
+  const veg = {
+    id: "veg",
+    label: "Veg restaurants",
+    include: [],
+    exclude: [],
+    filter: { and: [{ key: "amenity", eq: "restaurant" }, { key: "diet:vegetarian", in: ["yes", "only"] }] },
+  };
+  expect(validateMood(veg)).toEqual([]);
+  expect(matchesMood({ amenity: "restaurant", "diet:vegetarian": "only" }, veg)).toBe(true);
+  expect(matchesMood({ amenity: "restaurant" }, veg)).toBe(false);
+  expect(placeTypeFor({ amenity: "restaurant" }, veg)).toBe("restaurant");
+});
+
+test("placeTypeFor uses the matched key", () => {
+  expect(placeTypeFor({ leisure: "park", name: "x" }, parkOrCafe)).toBe("park");
+  expect(placeTypeFor({ tourism: "hotel" })).toBe("hotel");
+});
+
+test("validateMood rejects unsafe or empty filters", () => {
+  expect(validateMood({ ...parkOrCafe, prefer: ["cheap"] }).join()).toMatch(/Prefer must list/);
+  expect(validateMood({ ...parkOrCafe, include: [] })).toContain("Add at least one include filter");
+  expect(validateMood({ ...parkOrCafe, include: [{ key: "", values: [] }] }).join()).toMatch(/invalid key/);
+  expect(validateMood({ ...parkOrCafe, include: [{ key: "a\nb", values: [] }] }).join()).toMatch(/invalid key/);
+  expect(validateMood({ ...parkOrCafe, filter: { key: "x", regex: "(" } }).join()).toMatch(/Advanced filter/);
+  expect(validateMood({ ...parkOrCafe, label: " " })).toContain("Missing label");
+});
+
+test("moods round-trip through export and import", () => {
+  const { moods, errors } = parseMoodsFile(exportMoods([parkOrCafe]));
+  expect(errors).toEqual([]);
+  expect(moods).toEqual([parkOrCafe]);
+
+  const bad = parseMoodsFile(JSON.stringify({ moods: [parkOrCafe, { id: "x", label: "X", include: [] }] }));
+  expect(bad.moods).toHaveLength(1);
+  expect(bad.errors[0]).toMatch(/Mood 2/);
+  expect(parseMoodsFile("nope").errors).toEqual(["File is not valid JSON"]);
+});
+
+const storageWith = (moods) => {
+  const data = { [VERSION_KEY]: String(SCHEMA_VERSION) };
+  if (moods !== undefined) data[MOODS_KEY] = moods;
+  return {
+    data,
+    storage: createStorage({
+      backend: {
+        getItem: (k) => (k in data ? data[k] : null),
+        setItem: (k, v) => (data[k] = String(v)),
+        removeItem: (k) => delete data[k],
+      },
+    }),
+  };
+};
+
+test("loadMoods keeps the valid moods and backs up a damaged list", () => {
+  const broken = { id: "bad", label: "Bad", include: [{ key: "amenity\u0001", values: [] }] };
+  const raw = JSON.stringify([parkOrCafe, broken]);
+  const { data, storage } = storageWith(raw);
+
+  expect(loadMoods(storage)).toEqual([parkOrCafe]);
+  expect(data[`${MOODS_KEY}.bak`]).toBe(raw);
+  expect(storage.problems()[0].message).toMatch(/1 of your moods couldn't be read/);
+  // the stored value is left as it was
+  expect(data[MOODS_KEY]).toBe(raw);
+});
+
+test("loadMoods falls back to defaults on corrupt data", () => {
+  const { data, storage } = storageWith("{broken");
+  expect(loadMoods(storage)).toBe(DEFAULT_MOODS);
+  expect(data[`${MOODS_KEY}.bak`]).toBe("{broken");
+  expect(loadMoods(storageWith().storage)).toBe(DEFAULT_MOODS);
+});
+
+test("moodSignature changes with the filters", () => {
+  const edited = { ...parkOrCafe, exclude: [] };
+  expect(moodSignature(parkOrCafe)).not.toBe(moodSignature(edited));
+  expect(moodSignature({ ...parkOrCafe, label: "Renamed" })).toBe(moodSignature(parkOrCafe));
+});
+
+test("newMoodId avoids collisions", () => {
+  expect(newMoodId("EV Charging", DEFAULT_MOODS)).toBe("ev_charging");
+  expect(newMoodId("Work", DEFAULT_MOODS)).toBe("work_2");
+});
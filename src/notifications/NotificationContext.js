@@ -0,0 +1,92 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import { KEYS, storage } from "../storage";
+
+// ✅ Non-blocking notifications (toasts) + persistent error log
+
+export const SEVERITIES = ["info", "success", "warning", "error"];
+
+const AUTO_DISMISS_MS = { info: 4000, success: 3000, warning: 6000, error: 10000 };
+const ERROR_LOG_LIMIT = 50;
+
+const NotificationContext = createContext(null);
+
+// through src/storage: unreadable entries are reported like other stored data
+const loadErrorLog = () => storage.read(KEYS.errorLog);
+
+export function NotificationProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const [errorLog, setErrorLog] = useState(loadErrorLog);
+  const timers = useRef({});
+  const nextId = useRef(1);
+
+  // the log is a cache: when storage is full it's the one given up (see EVICTABLE_KEYS),
+  // and it can't report its own failure, so that goes to the console
+  useEffect(() => {
+    try {
+      storage.write(KEYS.errorLog, errorLog);
+    } catch (err) {
+      console.error("Error log not saved:", err);
+    }
+  }, [errorLog]);
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => Object.values(pending).forEach(clearTimeout);
+  }, []);
+
+  const dismiss = useCallback((key) => {
+    clearTimeout(timers.current[key]);
+    delete timers.current[key];
+    setToasts((prev) => prev.filter((t) => t.key !== key));
+  }, []);
+
+  // Same key (default: severity + message) while visible -> bump count instead of stacking.
+  // Errors with an action stay until the user acts or dismisses them.
+  const notify = useCallback(
+    ({ severity = "info", message, action, key, timeoutMs }) => {
+      const dedupeKey = key || `${severity}:${message}`;
+
+      setToasts((prev) => {
+        const existing = prev.find((t) => t.key === dedupeKey);
+        if (existing) {
+          return prev.map((t) =>
+            t.key === dedupeKey ? { ...t, severity, message, action, count: t.count + 1 } : t
+          );
+        }
+        return [...prev, { id: nextId.current++, key: dedupeKey, severity, message, action, count: 1 }];
+      });
+
+      clearTimeout(timers.current[dedupeKey]);
+      const ms = timeoutMs ?? (severity === "error" && action ? null : AUTO_DISMISS_MS[severity]);
+      if (ms) timers.current[dedupeKey] = setTimeout(() => dismiss(dedupeKey), ms);
+
+      return dedupeKey;
+    },
+    [dismiss]
+  );
+
+  // request: what was being done (e.g. "Places search"); err: the failure
+  const logError = useCallback((request, err, context = {}) => {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      time: Date.now(),
+      request,
+      message: err?.message || String(err),
+      status: err?.status,
+      url: err?.url,
+      ...context,
+    };
+    setErrorLog((prev) => [entry, ...prev].slice(0, ERROR_LOG_LIMIT));
+  }, []);
+
+  const clearErrorLog = useCallback(() => setErrorLog([]), []);
+
+  const value = { toasts, notify, dismiss, errorLog, logError, clearErrorLog };
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+}
+
+export function useNotifications() {
+  const ctx = useContext(NotificationContext);
+  if (!ctx) throw new Error("useNotifications must be used inside <NotificationProvider>");
+  return ctx;
+}
@@ -0,0 +1,68 @@
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { NotificationProvider, useNotifications } from "./NotificationContext";
+import ToastCenter from "../components/ToastCenter";
+
+let api;
+function Probe() {
+  api = useNotifications();
+  return null;
+}
+
+function setup() {
+  localStorage.clear();
+  render(
+    <NotificationProvider>
+      <Probe />
+      <ToastCenter />
+    </NotificationProvider>
+  );
+}
+
+test("dedupes repeated notifications into one toast with a count", () => {
+  setup();
+  act(() => {
+    api.notify({ severity: "warning", message: "API busy" });
+    api.notify({ severity: "warning", message: "API busy" });
+  });
+
+  expect(screen.getAllByRole("status")).toHaveLength(1);
+  expect(screen.getByText("×2")).toBeInTheDocument();
+});
+
+test("error toasts expose a retry action", () => {
+  setup();
+  const retry = jest.fn();
+  act(() => {
+    api.notify({ severity: "error", message: "Search failed", action: { label: "Retry", onClick: retry } });
+  });
+
+  fireEvent.click(screen.getByText("Retry"));
+  expect(retry).toHaveBeenCalled();
+  expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+});
+
+test("auto-dismisses non-error toasts", () => {
+  jest.useFakeTimers();
+  setup();
+  act(() => {
+    api.notify({ severity: "success", message: "Saved" });
+  });
+  expect(screen.getByText("Saved")).toBeInTheDocument();
+
+  act(() => {
+    jest.advanceTimersByTime(5000);
+  });
+  expect(screen.queryByText("Saved")).not.toBeInTheDocument();
+  jest.useRealTimers();
+});
+
+test("logError persists failed requests", () => {
+  setup();
+  act(() => {
+    api.logError("Places search", Object.assign(new Error("Mirror responded 504"), { status: 504 }));
+  });
+
+  expect(api.errorLog[0]).toMatchObject({ request: "Places search", status: 504 });
+  expect(JSON.parse(localStorage.getItem("error_log"))).toHaveLength(1);
+});
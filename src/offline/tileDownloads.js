@@ -0,0 +1,64 @@
+import { TILE_DOWNLOADS, tilesForArea } from "./tiles";
+
+// ✅ Page side of tile caching: asks the active service worker to fetch tiles.
+// Bulk downloads need a tile server that allows them (see TILE_DOWNLOADS).
+
+export function canCacheTiles() {
+  return TILE_DOWNLOADS && typeof navigator !== "undefined" && !!navigator.serviceWorker?.controller;
+}
+
+// no reply or progress for this long (worker replaced or stuck) -> give up
+const WORKER_TIMEOUT_MS = 60000;
+
+// worker replies on the port: progress* then done | error
+function postToWorker(message, onProgress, timeoutMs = WORKER_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const controller = navigator.serviceWorker?.controller;
+    if (!controller) {
+      reject(new Error("Offline maps need the installed app (service worker not active)"));
+      return;
+    }
+
+    const channel = new MessageChannel();
+    let timer = null;
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      settle(value);
+    };
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => finish(reject, new Error("The offline worker stopped responding")), timeoutMs);
+    };
+
+    channel.port1.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        arm();
+        onProgress?.(data);
+      }
+      if (data.type === "done") finish(resolve, data);
+      if (data.type === "error") finish(reject, new Error(data.message || "Offline worker failed"));
+    };
+    arm();
+    controller.postMessage(message, [channel.port2]);
+  });
+}
+
+// light prefetch after a search (goes into the capped runtime cache)
+export function prefetchSearchArea(center, radius) {
+  if (!canCacheTiles()) return Promise.resolve(null);
+  const urls = tilesForArea(center, radius, { minZoom: 12, maxZoom: 15, maxTiles: 150 });
+  return postToWorker({ type: "CACHE_TILES", urls, offline: false });
+}
+
+// explicit trip download: more zoom levels, kept until cleared
+export function downloadArea(center, radius, { onProgress } = {}) {
+  if (!TILE_DOWNLOADS) return Promise.reject(new Error("Area downloads need a tile server that allows them"));
+  const urls = tilesForArea(center, radius, { minZoom: 10, maxZoom: 17, maxTiles: 1500 });
+  return postToWorker({ type: "CACHE_TILES", urls, offline: true }, onProgress);
+}
+
+// drops every downloaded trip area (viewed tiles stay in the capped runtime cache)
+export function clearDownloadedAreas() {
+  return postToWorker({ type: "CLEAR_OFFLINE_TILES" });
+}
@@ -0,0 +1,54 @@
+// ✅ OSM tile math + cache names shared by the page and the service worker
+
+export const OSM_TILE_URL = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+// REACT_APP_TILE_URL: your own / a commercial tile server ({z}/{x}/{y}; must send CORS headers)
+export const TILE_URL = process.env.REACT_APP_TILE_URL || OSM_TILE_URL;
+export const TILE_ORIGIN = tileOrigin(TILE_URL);
+
+// The OSMF tile usage policy forbids bulk and offline downloading from the OSM
+// servers, so area downloads and search prefetch only run against another server.
+export const TILE_DOWNLOADS = TILE_ORIGIN !== tileOrigin(OSM_TILE_URL);
+
+export function tileOrigin(template) {
+  return new URL(template.replace(/\{[a-z]\}/g, "0")).origin;
+}
+
+export const TILE_CACHE = "osm-tiles"; // viewed + searched areas (capped, oldest evicted)
+export const OFFLINE_TILE_CACHE = "osm-tiles-offline"; // explicit "download this area"
+
+export const MAX_RUNTIME_TILES = 1500;
+export const MAX_OFFLINE_TILES = 4000;
+
+export function tileUrl(z, x, y) {
+  return TILE_URL.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
+
+export function latLngToTile(lat, lng, z) {
+  const n = 2 ** z;
+  const latRad = (lat * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+  return { x: Math.min(Math.max(x, 0), n - 1), y: Math.min(Math.max(y, 0), n - 1) };
+}
+
+// Tiles covering the circle's bounding box, zoom by zoom from minZoom up;
+// stops before a zoom level would push the total over maxTiles.
+export function tilesForArea(center, radiusMeters, { minZoom = 12, maxZoom = 16, maxTiles = 500 } = {}) {
+  const dLat = radiusMeters / 111320;
+  const dLng = radiusMeters / (111320 * Math.cos((center.lat * Math.PI) / 180));
+  const urls = [];
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const topLeft = latLngToTile(center.lat + dLat, center.lng - dLng, z);
+    const bottomRight = latLngToTile(center.lat - dLat, center.lng + dLng, z);
+    const count = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+    if (urls.length + count > maxTiles) break;
+
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) urls.push(tileUrl(z, x, y));
+    }
+  }
+
+  return urls;
+}
@@ -0,0 +1,28 @@
+import { latLngToTile, TILE_DOWNLOADS, tileOrigin, tilesForArea, tileUrl } from "./tiles";
+
+test("latLngToTile matches the slippy map reference", () => {
+  // https://wiki.openstreetmap.org/wiki/Slippy_map_tilenames (Berlin)
+  expect(latLngToTile(52.52, 13.405, 10)).toEqual({ x: 550, y: 335 });
+  expect(latLngToTile(0, 0, 0)).toEqual({ x: 0, y: 0 });
+});
+
+test("tilesForArea covers the area from low to high zoom within the cap", () => {
+  const center = { lat: 17.385, lng: 78.4867 };
+  const urls = tilesForArea(center, 3000, { minZoom: 12, maxZoom: 16, maxTiles: 200 });
+
+  expect(urls.length).toBeLessThanOrEqual(200);
+  expect(urls[0]).toMatch(/^https:\/\/tile\.openstreetmap\.org\/12\//);
+  expect(new Set(urls).size).toBe(urls.length);
+
+  const { x, y } = latLngToTile(center.lat, center.lng, 14);
+  expect(urls).toContain(tileUrl(14, x, y));
+});
+
+test("tilesForArea returns nothing when even the lowest zoom exceeds the cap", () => {
+  expect(tilesForArea({ lat: 0, lng: 0 }, 500000, { minZoom: 12, maxTiles: 10 })).toEqual([]);
+});
+
+test("bulk downloads are off for the OSM tile servers", () => {
+  expect(tileOrigin("https://tiles.example.com/osm/{z}/{x}/{y}.png")).toBe("https://tiles.example.com");
+  expect(TILE_DOWNLOADS).toBe(false); // no REACT_APP_TILE_URL in tests
+});
@@ -0,0 +1,28 @@
+// ✅ Helpers for cancelling in-flight searches via AbortController
+
+export function abortError() {
+  return new DOMException("Request cancelled", "AbortError");
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
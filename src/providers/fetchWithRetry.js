@@ -0,0 +1,18 @@
+import { isAbortError, sleep } from "./abort";
+
+// init: extra fetch options (headers, referrerPolicy, ...)
+// beforeAttempt(signal): awaited before every attempt, retries included (e.g. a rate limiter)
+export async function fetchWithRetry(url, tries = 3, delayMs = 3000, { onRetry, signal, init, beforeAttempt } = {}) {
+  for (let attempt = 1; attempt <= tries; attempt++) {
+    try {
+      await beforeAttempt?.(signal);
+      const res = await fetch(url, { ...init, signal });
+      if (!res.ok) throw new Error("Network response not ok");
+      return await res.json();
+    } catch (err) {
+      if (isAbortError(err) || attempt === tries) throw err;
+      onRetry?.({ attempt, maxAttempts: tries, url, delayMs, error: err });
+      await sleep(delayMs, signal);
+    }
+  }
+}
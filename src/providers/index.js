@@ -0,0 +1,44 @@
+import { createMockProvider } from "./mockProvider";
+import { createOverpassProvider, PUBLIC_OVERPASS_MIRRORS } from "./overpassProvider";
+
+// ✅ Provider selection (set in .env / CI):
+//   REACT_APP_PLACES_PROVIDER = overpass (default) | self-hosted | mock
+//   REACT_APP_OVERPASS_MIRROR = preferred public mirror: kumi (default) | overpass-api.de
+//   REACT_APP_OVERPASS_URL    = interpreter URL of a private Overpass instance
+//                               (the only mirror for self-hosted, last fallback for overpass)
+//   REACT_APP_NOMINATIM_URL   = optional Nominatim base URL
+//   REACT_APP_NOMINATIM_EMAIL = contact address sent to Nominatim (usage policy)
+export function createPlacesProvider(env = process.env) {
+  const kind = env.REACT_APP_PLACES_PROVIDER || "overpass";
+  const nominatimUrl = env.REACT_APP_NOMINATIM_URL || undefined;
+  const nominatimOptions = { email: env.REACT_APP_NOMINATIM_EMAIL || undefined };
+
+  if (kind === "mock") return createMockProvider();
+
+  if (kind === "self-hosted") {
+    if (!env.REACT_APP_OVERPASS_URL) {
+      throw new Error("REACT_APP_OVERPASS_URL is required for the self-hosted provider");
+    }
+    return createOverpassProvider({
+      name: "self-hosted",
+      urls: [env.REACT_APP_OVERPASS_URL],
+      nominatimUrl,
+      nominatimOptions,
+    });
+  }
+
+  if (kind !== "overpass") throw new Error(`Unknown places provider: ${kind}`);
+
+  const mirror = env.REACT_APP_OVERPASS_MIRROR || "kumi";
+  if (!PUBLIC_OVERPASS_MIRRORS[mirror]) throw new Error(`Unknown Overpass mirror: ${mirror}`);
+
+  const urls = [
+    PUBLIC_OVERPASS_MIRRORS[mirror],
+    ...Object.values(PUBLIC_OVERPASS_MIRRORS).filter((u) => u !== PUBLIC_OVERPASS_MIRRORS[mirror]),
+  ];
+  if (env.REACT_APP_OVERPASS_URL) urls.push(env.REACT_APP_OVERPASS_URL);
+
+  return createOverpassProvider({ urls, nominatimUrl, nominatimOptions });
+}
+
+export const placesProvider = createPlacesProvider();
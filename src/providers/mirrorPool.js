@@ -0,0 +1,163 @@
+// ✅ Overpass mirror failover: rotate on 429/5xx/timeouts, exponential backoff
+// with jitter, honor Retry-After and remember the last healthy mirror.
+
+import { abortError, sleep as abortableSleep, throwIfAborted } from "./abort";
+
+const RETRYABLE_STATUS = [429, 502, 503, 504];
+const HEALTH_KEY = "overpass_mirror_health";
+
+export class MirrorError extends Error {
+  constructor(message, { url, status, retryable }) {
+    super(message);
+    this.name = "MirrorError";
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return 0;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - now);
+}
+
+// "Full jitter" backoff: random delay in [0, min(max, base * 2^round)].
+export function backoffDelay(round, { baseDelayMs, maxDelayMs, random }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** round);
+  return Math.round(ceiling * random());
+}
+
+function loadHealth(storage) {
+  try {
+    return JSON.parse(storage?.getItem(HEALTH_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveHealth(storage, health) {
+  try {
+    storage?.setItem(HEALTH_KEY, JSON.stringify(health));
+  } catch {}
+}
+
+export function createMirrorPool(
+  urls,
+  {
+    storage = typeof localStorage !== "undefined" ? localStorage : null,
+    timeoutMs = 30000,
+    maxAttempts = urls.length * 2,
+    baseDelayMs = 1000,
+    maxDelayMs = 15000,
+    maxRetryAfterMs = 30000,
+    random = Math.random,
+    now = Date.now,
+    sleep = abortableSleep,
+  } = {}
+) {
+  if (!urls.length) throw new Error("At least one Overpass mirror is required");
+
+  const health = { lastHealthy: null, cooldownUntil: {}, ...loadHealth(storage) };
+
+  const cooldownLeft = (url) => Math.max(0, (health.cooldownUntil[url] || 0) - now());
+
+  // last healthy mirror first, mirrors still cooling down last
+  const orderedMirrors = () => {
+    const list = urls.includes(health.lastHealthy)
+      ? [health.lastHealthy, ...urls.filter((u) => u !== health.lastHealthy)]
+      : [...urls];
+    return list.sort((a, b) => cooldownLeft(a) - cooldownLeft(b));
+  };
+
+  const markHealthy = (url) => {
+    health.lastHealthy = url;
+    delete health.cooldownUntil[url];
+    saveHealth(storage, health);
+  };
+
+  const markFailed = (url, retryAfterMs) => {
+    if (health.lastHealthy === url) health.lastHealthy = null;
+    health.cooldownUntil[url] = now() + Math.max(retryAfterMs, baseDelayMs);
+    saveHealth(storage, health);
+  };
+
+  // signal: caller cancellation (never retried); the timeout aborts only this attempt
+  async function fetchOnce(url, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(onAbort, timeoutMs);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    let res;
+
+    try {
+      res = await fetch(url, { signal: controller.signal });
+    } catch (err) {
+      if (signal?.aborted) throw abortError();
+      const reason = err.name === "AbortError" ? "timed out" : "network error";
+      throw new MirrorError(`Mirror ${reason}`, { url, retryable: true });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    if (!res.ok) {
+      const err = new MirrorError(`Mirror responded ${res.status}`, {
+        url,
+        status: res.status,
+        retryable: RETRYABLE_STATUS.includes(res.status),
+      });
+      err.retryAfterMs = parseRetryAfter(res.headers?.get("Retry-After"), now());
+      throw err;
+    }
+
+    return res.json();
+  }
+
+  return {
+    get mirrors() {
+      return orderedMirrors();
+    },
+
+    get lastHealthy() {
+      return health.lastHealthy;
+    },
+
+    // buildUrl(mirrorBase) -> full request URL for that mirror
+    async request(buildUrl, { onRetry, signal } = {}) {
+      const order = orderedMirrors();
+      let lastError;
+
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        throwIfAborted(signal);
+        const base = order[attempt % order.length];
+        const round = Math.floor(attempt / order.length);
+
+        // honor Retry-After; back off once every mirror failed in a round
+        let delayMs = cooldownLeft(base);
+        if (delayMs > maxRetryAfterMs) continue;
+        if (round > 0 && attempt % order.length === 0) {
+          delayMs = Math.max(delayMs, backoffDelay(round - 1, { baseDelayMs, maxDelayMs, random }));
+        }
+
+        if (attempt > 0) onRetry?.({ attempt, maxAttempts, url: base, delayMs, error: lastError });
+        if (delayMs) await sleep(delayMs, signal);
+
+        try {
+          const data = await fetchOnce(buildUrl(base), signal);
+          markHealthy(base);
+          return data;
+        } catch (err) {
+          lastError = err;
+          if (!err.retryable) throw err;
+          markFailed(base, err.retryAfterMs || 0);
+        }
+      }
+
+      throw lastError || new MirrorError("All Overpass mirrors are cooling down", { retryable: true });
+    },
+  };
+}
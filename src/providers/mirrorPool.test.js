@@ -0,0 +1,116 @@
+import { backoffDelay, createMirrorPool, parseRetryAfter } from "./mirrorPool";
+
+const A = "https://a.example/api/interpreter";
+const B = "https://b.example/api/interpreter";
+const C = "https://c.example/api/interpreter";
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = v;
+    },
+  };
+}
+
+const ok = (body) => ({ ok: true, status: 200, json: async () => body, headers: new Headers() });
+const fail = (status, headers = {}) => ({ ok: false, status, headers: new Headers(headers) });
+
+function makePool(urls, opts = {}) {
+  const sleep = jest.fn(() => Promise.resolve());
+  const pool = createMirrorPool(urls, {
+    storage: memoryStorage(),
+    random: () => 1,
+    now: () => 0,
+    sleep,
+    ...opts,
+  });
+  return { pool, sleep };
+}
+
+test("rotates to the next mirror on 429/504 and network errors", async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(fail(429))
+    .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+    .mockResolvedValueOnce(ok({ elements: [1] }));
+  const { pool } = makePool([A, B, C]);
+  const onRetry = jest.fn();
+
+  await expect(pool.request((u) => u, { onRetry })).resolves.toEqual({ elements: [1] });
+  expect(global.fetch.mock.calls.map((c) => c[0])).toEqual([A, B, C]);
+  expect(onRetry).toHaveBeenCalledTimes(2);
+});
+
+test("starts the next request at the last healthy mirror", async () => {
+  const storage = memoryStorage();
+  global.fetch = jest.fn().mockResolvedValueOnce(fail(504)).mockResolvedValue(ok({}));
+  const { pool } = makePool([A, B], { storage });
+
+  await pool.request((u) => u);
+  expect(pool.lastHealthy).toBe(B);
+
+  // a fresh pool (next page load) reads the persisted health
+  const { pool: next } = makePool([A, B], { storage, now: () => 10 ** 9 });
+  await next.request((u) => u);
+  expect(global.fetch).toHaveBeenLastCalledWith(B, expect.anything());
+});
+
+test("does not retry non-retryable errors such as a bad query", async () => {
+  global.fetch = jest.fn().mockResolvedValue(fail(400));
+  const { pool } = makePool([A, B]);
+
+  await expect(pool.request((u) => u)).rejects.toMatchObject({ status: 400, retryable: false });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test("backs off exponentially between rounds and honors Retry-After", async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(fail(429, { "Retry-After": "5" }))
+    .mockResolvedValueOnce(fail(503))
+    .mockResolvedValueOnce(ok({}));
+  const { pool, sleep } = makePool([A, B], { baseDelayMs: 1000 });
+
+  await pool.request((u) => u);
+
+  // second round starts at A again, which asked for 5s
+  expect(sleep.mock.calls.map((c) => c[0])).toContain(5000);
+});
+
+test("gives up after maxAttempts with the last error", async () => {
+  global.fetch = jest.fn().mockResolvedValue(fail(504));
+  const { pool } = makePool([A, B], { maxAttempts: 3 });
+
+  await expect(pool.request((u) => u)).rejects.toMatchObject({ status: 504 });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test("parseRetryAfter handles seconds and HTTP dates", () => {
+  expect(parseRetryAfter("3")).toBe(3000);
+  expect(parseRetryAfter(new Date(60000).toUTCString(), 0)).toBe(60000);
+  expect(parseRetryAfter("garbage")).toBe(0);
+  expect(parseRetryAfter(null)).toBe(0);
+});
+
+test("backoffDelay grows exponentially up to the cap", () => {
+  const opts = { baseDelayMs: 1000, maxDelayMs: 5000, random: () => 1 };
+  expect([0, 1, 2, 3].map((r) => backoffDelay(r, opts))).toEqual([1000, 2000, 4000, 5000]);
+  expect(backoffDelay(3, { ...opts, random: () => 0.5 })).toBe(2500);
+});
+
+test("stops immediately when the caller aborts, without penalising the mirror", async () => {
+  const controller = new AbortController();
+  global.fetch = jest.fn((url, { signal }) => {
+    controller.abort();
+    return Promise.reject(signal.aborted ? new DOMException("aborted", "AbortError") : new Error("x"));
+  });
+  const { pool } = makePool([A, B]);
+
+  await expect(pool.request((u) => u, { signal: controller.signal })).rejects.toMatchObject({
+    name: "AbortError",
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(pool.mirrors).toEqual([A, B]);
+});
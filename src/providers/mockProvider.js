@@ -0,0 +1,51 @@
+import fixture from "./fixtures/hyderabad.json";
+import { haversineMeters } from "../utils/geo";
+import { sleep } from "./abort";
+import { matchesMood } from "../moods";
+
+// ✅ Offline provider: serves fixture data shifted to the requested center,
+// so the app can be exercised anywhere without network.
+export function createMockProvider({ data = fixture, latencyMs = 300 } = {}) {
+  const wait = (signal) => sleep(latencyMs, signal);
+
+  return {
+    name: "mock",
+
+    async searchPlaces({ mood, center, radius, signal }) {
+      await wait(signal);
+      const dLat = center.lat - data.origin.lat;
+      const dLng = center.lng - data.origin.lng;
+
+      return data.elements
+        .filter((el) => matchesMood(el.tags, mood))
+        .map((el) => {
+          if (el.center) {
+            return { ...el, center: { lat: el.center.lat + dLat, lon: el.center.lon + dLng } };
+          }
+          return { ...el, lat: el.lat + dLat, lon: el.lon + dLng };
+        })
+        .filter((el) => {
+          const lat = el.lat ?? el.center.lat;
+          const lon = el.lon ?? el.center.lon;
+          return haversineMeters(center.lat, center.lng, lat, lon) <= radius;
+        });
+    },
+
+    autocomplete: true, // no server to spare: search as you type
+
+    async geocode(q, { signal } = {}) {
+      await wait(signal);
+      const needle = q.trim().toLowerCase();
+      return data.locations.filter((l) => l.label.toLowerCase().includes(needle));
+    },
+
+    // nearest fixture location within 2 km
+    async reverseGeocode({ lat, lng }, { signal } = {}) {
+      await wait(signal);
+      const nearest = data.locations
+        .map((l) => ({ label: l.label, d: haversineMeters(lat, lng, l.lat, l.lng) }))
+        .sort((a, b) => a.d - b.d)[0];
+      return nearest && nearest.d <= 2000 ? nearest.label : null;
+    },
+  };
+}
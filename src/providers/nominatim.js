@@ -0,0 +1,130 @@
+import { fetchWithRetry } from "./fetchWithRetry";
+import { sleep } from "./abort";
+
+export const NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+
+// ✅ Nominatim usage policy (https://operations.osmfoundation.org/policies/nominatim/):
+//   - at most 1 request per second  -> shared rate limiter
+//   - identify the application      -> browsers can't set User-Agent, so the Referer
+//                                      keeps our origin and REACT_APP_NOMINATIM_EMAIL
+//                                      is sent as `email=` when configured
+//   - cache results                 -> localStorage cache, 7 days, LRU capped
+//   - no client-side autocomplete   -> search-as-you-type only against another
+//                                      (self-hosted) instance, see `autocomplete`
+const MIN_INTERVAL_MS = 1000;
+const CACHE_KEY = "geocode_cache";
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CACHE_MAX = 100;
+
+// every caller awaits its slot; slots are at least `intervalMs` apart
+export function createRateLimiter(intervalMs = MIN_INTERVAL_MS, { now = Date.now, wait = sleep } = {}) {
+  let next = 0;
+  return async function throttle(signal) {
+    const t = now();
+    const at = Math.max(t, next);
+    next = at + intervalMs;
+    if (at > t) await wait(at - t, signal);
+  };
+}
+
+export function createGeocodeCache({
+  storage = localStorage,
+  ttlMs = CACHE_TTL_MS,
+  max = CACHE_MAX,
+  now = Date.now,
+} = {}) {
+  const read = () => {
+    try {
+      return JSON.parse(storage?.getItem(CACHE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  };
+  const write = (entries) => {
+    try {
+      storage?.setItem(CACHE_KEY, JSON.stringify(entries));
+    } catch {} // a full storage only costs us the cache
+  };
+
+  return {
+    get(key) {
+      const entries = read();
+      const hit = entries[key];
+      if (!hit || now() - hit.savedAt > ttlMs) return undefined;
+      entries[key] = { ...hit, usedAt: now() };
+      write(entries);
+      return hit.value;
+    },
+    put(key, value) {
+      const entries = { ...read(), [key]: { value, savedAt: now(), usedAt: now() } };
+      const keys = Object.keys(entries).sort((a, b) => entries[b].usedAt - entries[a].usedAt);
+      keys.slice(max).forEach((k) => delete entries[k]);
+      write(entries);
+    },
+  };
+}
+
+const pretty = (v) => (v ? String(v).replace(/_/g, " ") : "");
+
+// raw Nominatim result -> candidate shown in the autocomplete
+export function toCandidate(d) {
+  const a = d.address || {};
+  const type = d.type && d.type !== "yes" ? d.type : d.class;
+  return {
+    lat: parseFloat(d.lat),
+    lng: parseFloat(d.lon),
+    label: d.display_name,
+    name: d.name || String(d.display_name || "").split(",")[0],
+    type: pretty(d.addresstype && d.addresstype !== type ? `${d.class} ${type}` : type),
+    country: a.country || "",
+    countryCode: (a.country_code || "").toUpperCase(),
+  };
+}
+
+// "Cafe X, 12, MG Road, Begumpet, Hyderabad, ..." -> "Cafe X, MG Road, Begumpet"
+export function shortLabel(d) {
+  if (!d) return null;
+  const a = d.address || {};
+  const parts = [
+    d.name,
+    a.road || a.pedestrian,
+    a.neighbourhood || a.suburb,
+    a.city || a.town || a.village,
+  ].filter(Boolean);
+  const unique = parts.filter((p, i) => parts.indexOf(p) === i);
+  return unique.length ? unique.slice(0, 3).join(", ") : d.display_name || null;
+}
+
+// ✅ geocode: free text -> [candidate]; reverseGeocode: {lat, lng} -> short label | null
+export function createNominatimClient(
+  baseUrl = NOMINATIM_URL,
+  { email, throttle = createRateLimiter(), cache = createGeocodeCache() } = {}
+) {
+  const identify = email ? `&email=${encodeURIComponent(email)}` : "";
+  const init = { referrerPolicy: "strict-origin-when-cross-origin" };
+
+  const cached = async (key, url, { onRetry, signal }, parse) => {
+    const hit = cache.get(key);
+    if (hit !== undefined) return hit;
+    const value = parse(await fetchWithRetry(url, 2, 2000, { onRetry, signal, init, beforeAttempt: throttle }));
+    cache.put(key, value);
+    return value;
+  };
+
+  return {
+    autocomplete: new URL(baseUrl).origin !== new URL(NOMINATIM_URL).origin,
+
+    geocode(q, opts = {}) {
+      const text = q.trim().toLowerCase().replace(/\s+/g, " ");
+      const url = `${baseUrl}/search?format=json&addressdetails=1&limit=8&q=${encodeURIComponent(text)}${identify}`;
+      return cached(`q:${text}`, url, opts, (data) => (data || []).map(toCandidate));
+    },
+
+    reverseGeocode({ lat, lng }, opts = {}) {
+      const url = `${baseUrl}/reverse?format=json&zoom=17&addressdetails=1&lat=${lat}&lon=${lng}${identify}`;
+      return cached(`r:${lat.toFixed(4)},${lng.toFixed(4)}`, url, opts, (data) =>
+        data?.error ? null : shortLabel(data)
+      );
+    },
+  };
+}
@@ -0,0 +1,117 @@
+import { fetchWithRetry } from "./fetchWithRetry";
+import { createGeocodeCache, createNominatimClient, createRateLimiter, shortLabel, toCandidate } from "./nominatim";
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => (data[k] = v) };
+};
+
+const client = (opts = {}) =>
+  createNominatimClient("http://geo.test", {
+    throttle: async () => {},
+    cache: createGeocodeCache({ storage: memoryStorage() }),
+    ...opts,
+  });
+
+const respond = (body) => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => body });
+};
+
+test("rate limiter spaces calls at least the interval apart", async () => {
+  let t = 0;
+  const waits = [];
+  const throttle = createRateLimiter(1000, { now: () => t, wait: async (ms) => waits.push(ms) });
+
+  await throttle();
+  await throttle();
+  await throttle();
+  t = 5000;
+  await throttle();
+  expect(waits).toEqual([1000, 2000]);
+});
+
+test("geocode cache expires entries and evicts the least recently used", () => {
+  let t = 0;
+  const cache = createGeocodeCache({ storage: memoryStorage(), ttlMs: 100, max: 2, now: () => t });
+
+  cache.put("a", 1);
+  t = 10;
+  cache.put("b", 2);
+  t = 20;
+  expect(cache.get("a")).toBe(1); // a is now fresher than b
+  t = 30;
+  cache.put("c", 3);
+  expect(cache.get("b")).toBeUndefined();
+  expect(cache.get("c")).toBe(3);
+  t = 200;
+  expect(cache.get("c")).toBeUndefined();
+});
+
+test("toCandidate keeps type and country for the dropdown", () => {
+  expect(
+    toCandidate({
+      lat: "17.43",
+      lon: "78.50",
+      display_name: "Secunderabad Junction, Station Road, Secunderabad, Telangana, India",
+      class: "railway",
+      type: "station",
+      addresstype: "railway",
+      address: { country: "India", country_code: "in" },
+    })
+  ).toEqual({
+    lat: 17.43,
+    lng: 78.5,
+    label: "Secunderabad Junction, Station Road, Secunderabad, Telangana, India",
+    name: "Secunderabad Junction",
+    type: "railway station",
+    country: "India",
+    countryCode: "IN",
+  });
+});
+
+test("geocode asks for several candidates once and then answers from cache", async () => {
+  respond([{ lat: "39.8", lon: "-89.6", display_name: "Springfield, Illinois", class: "place", type: "city" }]);
+  const geo = client({ email: "dev@example.com" });
+
+  const first = await geo.geocode("  Springfield ");
+  const second = await geo.geocode("springfield");
+
+  expect(first).toEqual(second);
+  expect(first[0]).toMatchObject({ name: "Springfield", type: "city" });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][0]).toMatch(/limit=8&q=springfield&email=dev%40example\.com$/);
+  expect(global.fetch.mock.calls[0][1]).toMatchObject({ referrerPolicy: "strict-origin-when-cross-origin" });
+});
+
+test("requests wait for their rate limit slot, retries included", async () => {
+  respond([]);
+  const throttle = jest.fn().mockResolvedValue();
+  await client({ throttle }).geocode("hyderabad");
+  expect(throttle).toHaveBeenCalledTimes(1);
+
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce({ ok: false })
+    .mockResolvedValue({ ok: true, json: async () => [] });
+  await fetchWithRetry("http://geo.test", 2, 0, { beforeAttempt: throttle });
+  expect(throttle).toHaveBeenCalledTimes(3);
+});
+
+test("autocomplete only against a Nominatim other than the public one", () => {
+  expect(client().autocomplete).toBe(true);
+  expect(createNominatimClient(undefined, { cache: createGeocodeCache({ storage: memoryStorage() }) }).autocomplete).toBe(
+    false
+  );
+});
+
+test("reverse geocoding returns a short label", async () => {
+  respond({
+    name: "Cafe Niloufer",
+    display_name: "Cafe Niloufer, Lakdikapul, Hyderabad, Telangana, 500004, India",
+    address: { road: "Lakdikapul Road", suburb: "Lakdikapul", city: "Hyderabad" },
+  });
+
+  expect(await client().reverseGeocode({ lat: 17.4, lng: 78.46 })).toBe("Cafe Niloufer, Lakdikapul Road, Lakdikapul");
+  expect(global.fetch.mock.calls[0][0]).toMatch(/^http:\/\/geo\.test\/reverse\?.*lat=17\.4&lon=78\.46/);
+  expect(shortLabel({ display_name: "Somewhere" })).toBe("Somewhere");
+});
@@ -0,0 +1,43 @@
+import { createMirrorPool } from "./mirrorPool";
+import { createNominatimClient, NOMINATIM_URL } from "./nominatim";
+import { buildOverpassQuery } from "../query/overpassQuery";
+import { moodFilter } from "../moods";
+
+export const PUBLIC_OVERPASS_MIRRORS = {
+  kumi: "https://overpass.kumi.systems/api/interpreter",
+  "overpass-api.de": "https://overpass-api.de/api/interpreter",
+};
+
+export function buildMoodQuery(mood, center, radius) {
+  return buildOverpassQuery(moodFilter(mood), { around: { lat: center.lat, lng: center.lng, radius } });
+}
+
+// ✅ Overpass places + Nominatim geocoding (public mirrors and/or self-hosted)
+export function createOverpassProvider({
+  name = "overpass",
+  urls = Object.values(PUBLIC_OVERPASS_MIRRORS),
+  nominatimUrl = NOMINATIM_URL,
+  nominatimOptions,
+  poolOptions,
+} = {}) {
+  const pool = createMirrorPool(urls, poolOptions);
+  const geocoder = createNominatimClient(nominatimUrl, nominatimOptions);
+
+  return {
+    name,
+    pool,
+
+    async searchPlaces({ mood, center, radius, onRetry, signal }) {
+      const query = buildMoodQuery(mood, center, radius);
+      const data = await pool.request((url) => `${url}?data=${encodeURIComponent(query)}`, {
+        onRetry,
+        signal,
+      });
+      return data.elements || [];
+    },
+
+    geocode: geocoder.geocode,
+    reverseGeocode: geocoder.reverseGeocode,
+    autocomplete: geocoder.autocomplete,
+  };
+}
@@ -0,0 +1,92 @@
+import { createPlacesProvider } from "./index";
+import { createMockProvider } from "./mockProvider";
+import { buildMoodQuery, PUBLIC_OVERPASS_MIRRORS } from "./overpassProvider";
+
+const cafes = { include: [{ key: "amenity", values: ["cafe", "library"] }], exclude: [] };
+
+test("selects the provider from env", () => {
+  expect(createPlacesProvider({}).name).toBe("overpass");
+  expect(createPlacesProvider({ REACT_APP_PLACES_PROVIDER: "mock" }).name).toBe("mock");
+  expect(
+    createPlacesProvider({
+      REACT_APP_PLACES_PROVIDER: "self-hosted",
+      REACT_APP_OVERPASS_URL: "http://localhost:12345/api/interpreter",
+    }).name
+  ).toBe("self-hosted");
+});
+
+test("rejects unknown or incomplete configuration", () => {
+  expect(() => createPlacesProvider({ REACT_APP_PLACES_PROVIDER: "nope" })).toThrow(/Unknown/);
+  expect(() => createPlacesProvider({ REACT_APP_PLACES_PROVIDER: "self-hosted" })).toThrow(
+    /REACT_APP_OVERPASS_URL/
+  );
+  expect(() => createPlacesProvider({ REACT_APP_OVERPASS_MIRROR: "nope" })).toThrow(/mirror/);
+});
+
+test("overpass provider queries the configured URL", async () => {
+  const url = "http://localhost:12345/api/interpreter";
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ elements: [{ id: 1 }] }) });
+
+  const provider = createPlacesProvider({ REACT_APP_PLACES_PROVIDER: "self-hosted", REACT_APP_OVERPASS_URL: url });
+  const elements = await provider.searchPlaces({ mood: cafes, center: { lat: 1, lng: 2 }, radius: 500 });
+
+  expect(elements).toEqual([{ id: 1 }]);
+  expect(global.fetch.mock.calls[0][0].startsWith(`${url}?data=`)).toBe(true);
+  expect(PUBLIC_OVERPASS_MIRRORS.kumi).toMatch(/^https:/);
+});
+
+test("buildMoodQuery covers node, way and relation", () => {
+  const q = buildMoodQuery(cafes, { lat: 1, lng: 2 }, 500);
+  const cond = '["amenity"~"(^|;)(cafe|library)(;|$)"]';
+  expect(q).toContain(`node${cond}(around:500,1,2);`);
+  expect(q).toContain(`way${cond}(around:500,1,2);`);
+  expect(q).toContain(`relation${cond}(around:500,1,2);`);
+});
+
+test("buildMoodQuery combines keys and applies negative filters", () => {
+  const parks = {
+    include: [
+      { key: "leisure", values: ["park"] },
+      { key: "amenity", values: ["cafe"] },
+    ],
+    exclude: [{ key: "access", values: ["private"] }, { key: "disused", values: [] }],
+  };
+  const q = buildMoodQuery(parks, { lat: 1, lng: 2 }, 500);
+
+  expect(q).toContain('node["leisure"~"(^|;)(park)(;|$)"]["access"!~"(^|;)(private)(;|$)"][!"disused"](around:500,1,2);');
+  expect(q).toContain('way["amenity"~"(^|;)(cafe)(;|$)"]["access"!~"(^|;)(private)(;|$)"][!"disused"](around:500,1,2);');
+});
+
+test("mock provider serves fixture places around any center", async () => {
+  const provider = createMockProvider({ latencyMs: 0 });
+  const bengaluru = { lat: 12.9716, lng: 77.5946 };
+
+  const elements = await provider.searchPlaces({ mood: cafes, center: bengaluru, radius: 5000 });
+
+  expect(elements.length).toBeGreaterThan(0);
+  elements.forEach((el) => {
+    expect(["cafe", "library"]).toContain(el.tags.amenity);
+    expect(Math.abs((el.lat ?? el.center.lat) - bengaluru.lat)).toBeLessThan(0.1);
+  });
+});
+
+test("mock provider geocodes from fixture locations", async () => {
+  const provider = createMockProvider({ latencyMs: 0 });
+  expect((await provider.geocode("secunderabad"))[0].label).toMatch(/Secunderabad/);
+  expect(await provider.geocode("atlantis")).toEqual([]);
+});
+
+test("mock provider reverse geocodes to the nearest fixture location", async () => {
+  const provider = createMockProvider({ latencyMs: 0 });
+  expect(await provider.reverseGeocode({ lat: 17.44, lng: 78.499 })).toMatch(/^Secunderabad/);
+  expect(await provider.reverseGeocode({ lat: 0, lng: 0 })).toBeNull();
+});
+
+test("mock provider searches can be cancelled", async () => {
+  const provider = createMockProvider({ latencyMs: 50 });
+  const controller = new AbortController();
+  const pending = provider.searchPlaces({ mood: cafes, center: { lat: 1, lng: 2 }, radius: 500, signal: controller.signal });
+
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+});
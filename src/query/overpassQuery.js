@@ -0,0 +1,168 @@
+// ✅ Overpass QL builder for tag filters.
+//
+// Filters are plain JSON so moods can store them:
+//   { key: "amenity", eq: "restaurant" }          exact value
+//   { key: "cuisine", in: ["vegan", "vegetarian"] } any of (";"-lists aware)
+//   { key: "name", regex: "^Star", ignoreCase: true }
+//   { key: "wheelchair", exists: true }           (false = tag missing)
+//   { and: [...] }, { or: [...] }, { not: filter }
+//
+// A filter is normalised to OR-of-ANDs: every AND becomes one chained statement
+// per element type, NOT is pushed down to the tag conditions (!=, !~, [!"k"]).
+
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+  }
+}
+
+export const MAX_CLAUSES = 48;
+export const ELEMENT_TYPES = ["node", "way", "relation"];
+
+// shorthand constructors
+export const eq = (key, value) => ({ key, eq: value });
+export const oneOf = (key, values) => ({ key, in: values });
+export const matches = (key, regex, ignoreCase = false) => ({ key, regex, ignoreCase });
+export const exists = (key) => ({ key, exists: true });
+export const missing = (key) => ({ key, exists: false });
+export const and = (...filters) => ({ and: filters });
+export const or = (...filters) => ({ or: filters });
+export const not = (filter) => ({ not: filter });
+
+// Overpass string literal content ("..." with C-style escapes)
+export function escapeString(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(/\r/g, "");
+}
+
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const listRegex = (values) => `(^|;)(${values.map(escapeRegex).join("|")})(;|$)`;
+
+// leaf -> { key, op, value, ignoreCase }, op in = != ~ !~ exists !exists
+function toCondition(leaf) {
+  if (typeof leaf.key !== "string" || !leaf.key) throw new QueryError("Tag condition needs a key");
+
+  if ("eq" in leaf) return { key: leaf.key, op: "=", value: String(leaf.eq) };
+  if ("exists" in leaf) return { key: leaf.key, op: leaf.exists ? "exists" : "!exists" };
+  if ("in" in leaf) {
+    if (!Array.isArray(leaf.in) || !leaf.in.length) throw new QueryError(`"${leaf.key}": "in" needs values`);
+    return { key: leaf.key, op: "~", value: listRegex(leaf.in.map(String)) };
+  }
+  if ("regex" in leaf) {
+    try {
+      new RegExp(leaf.regex);
+    } catch {
+      throw new QueryError(`"${leaf.key}": invalid regex ${leaf.regex}`);
+    }
+    return { key: leaf.key, op: "~", value: String(leaf.regex), ignoreCase: !!leaf.ignoreCase };
+  }
+  throw new QueryError(`"${leaf.key}": unknown condition`);
+}
+
+const NEGATED = { "=": "!=", "!=": "=", "~": "!~", "!~": "~", exists: "!exists", "!exists": "exists" };
+
+// -> array of clauses (AND lists of conditions); [] = matches nothing
+export function toClauses(filter, negate = false) {
+  if (!filter || typeof filter !== "object") throw new QueryError("Filter must be an object");
+
+  if ("not" in filter) return toClauses(filter.not, !negate);
+
+  const isAnd = "and" in filter;
+  if (isAnd || "or" in filter) {
+    const children = isAnd ? filter.and : filter.or;
+    if (!Array.isArray(children)) throw new QueryError(`"${isAnd ? "and" : "or"}" must be a list`);
+    const parts = children.map((c) => toClauses(c, negate));
+
+    // De Morgan: under negation AND behaves like OR and vice versa
+    if (isAnd !== negate) {
+      return parts.reduce(
+        (acc, clauses) => {
+          const product = acc.flatMap((a) => clauses.map((c) => [...a, ...c]));
+          if (product.length > MAX_CLAUSES) throw new QueryError("Filter is too complex");
+          return product;
+        },
+        [[]]
+      );
+    }
+    const union = parts.flat();
+    if (union.length > MAX_CLAUSES) throw new QueryError("Filter is too complex");
+    return union;
+  }
+
+  const cond = toCondition(filter);
+  return [[negate ? { ...cond, op: NEGATED[cond.op] } : cond]];
+}
+
+export function conditionToQL({ key, op, value, ignoreCase }) {
+  const k = `"${escapeString(key)}"`;
+  if (op === "exists") return `[${k}]`;
+  if (op === "!exists") return `[!${k}]`;
+  return `[${k}${op}"${escapeString(value)}"${ignoreCase ? ",i" : ""}]`;
+}
+
+const isLat = (v) => Number.isFinite(v) && v >= -90 && v <= 90;
+const isLng = (v) => Number.isFinite(v) && v >= -180 && v <= 180;
+
+// { around: { lat, lng, radius } } or { bbox: { south, west, north, east } }
+export function areaToQL(area) {
+  if (area?.around) {
+    const { lat, lng, radius } = area.around;
+    if (!isLat(lat) || !isLng(lng) || !(Number.isFinite(radius) && radius > 0)) {
+      throw new QueryError("Invalid around area");
+    }
+    return `(around:${Math.round(radius)},${lat},${lng})`;
+  }
+  if (area?.bbox) {
+    const { south, west, north, east } = area.bbox;
+    if (![south, north].every(isLat) || ![west, east].every(isLng) || south > north) {
+      throw new QueryError("Invalid bounding box");
+    }
+    return `(${south},${west},${north},${east})`;
+  }
+  throw new QueryError("Query needs an around or bbox area");
+}
+
+export function buildOverpassQuery(filter, area, { types = ELEMENT_TYPES, timeout = 25, out = "center" } = {}) {
+  const clauses = toClauses(filter);
+  if (!clauses.length) throw new QueryError("Filter never matches");
+  if (clauses.some((c) => !c.length)) throw new QueryError("Filter must constrain at least one tag");
+
+  const spatial = areaToQL(area);
+  const statements = types.flatMap((type) =>
+    clauses.map((clause) => `  ${type}${clause.map(conditionToQL).join("")}${spatial};`)
+  );
+
+  return `[out:json][timeout:${timeout}];\n(\n${statements.join("\n")}\n);\nout ${out};\n`;
+}
+
+// same semantics evaluated locally (mock provider, cached data)
+export function evaluateFilter(filter, tags = {}) {
+  return toClauses(filter).some((clause) =>
+    clause.every(({ key, op, value, ignoreCase }) => {
+      const has = key in tags;
+      const v = has ? String(tags[key]) : "";
+      switch (op) {
+        case "exists":
+          return has;
+        case "!exists":
+          return !has;
+        case "=":
+          return has && v === value;
+        case "!=":
+          return !has || v !== value;
+        case "~":
+          return has && new RegExp(value, ignoreCase ? "i" : "").test(v);
+        default:
+          return !has || !new RegExp(value, ignoreCase ? "i" : "").test(v);
+      }
+    })
+  );
+}
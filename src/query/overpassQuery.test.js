@@ -0,0 +1,97 @@
+import {
+  and,
+  buildOverpassQuery,
+  eq,
+  escapeString,
+  evaluateFilter,
+  exists,
+  matches,
+  missing,
+  not,
+  oneOf,
+  or,
+  QueryError,
+  toClauses,
+} from "./overpassQuery";
+
+const around = { around: { lat: 17.385, lng: 78.4867, radius: 1000 } };
+
+test("AND chains conditions in one statement per element type", () => {
+  const q = buildOverpassQuery(and(eq("amenity", "restaurant"), eq("cuisine", "vegetarian")), around);
+
+  expect(q).toBe(
+    "[out:json][timeout:25];\n(\n" +
+      '  node["amenity"="restaurant"]["cuisine"="vegetarian"](around:1000,17.385,78.4867);\n' +
+      '  way["amenity"="restaurant"]["cuisine"="vegetarian"](around:1000,17.385,78.4867);\n' +
+      '  relation["amenity"="restaurant"]["cuisine"="vegetarian"](around:1000,17.385,78.4867);\n' +
+      ");\nout center;\n"
+  );
+});
+
+test("OR becomes a union of statements", () => {
+  const q = buildOverpassQuery(or(eq("leisure", "park"), eq("amenity", "cafe")), around, { types: ["node"] });
+  expect(q).toContain('  node["leisure"="park"](around:1000,17.385,78.4867);\n  node["amenity"="cafe"](around:1000,17.385,78.4867);');
+});
+
+test("AND over OR distributes into every combination", () => {
+  const filter = and(eq("amenity", "restaurant"), or(eq("diet:vegan", "yes"), eq("diet:vegan", "only")));
+  const q = buildOverpassQuery(filter, around, { types: ["way"] });
+
+  expect(q).toContain('way["amenity"="restaurant"]["diet:vegan"="yes"]');
+  expect(q).toContain('way["amenity"="restaurant"]["diet:vegan"="only"]');
+});
+
+test("NOT is pushed down to negated tag conditions", () => {
+  const filter = and(eq("amenity", "cafe"), not(or(eq("access", "private"), exists("disused"))));
+  expect(buildOverpassQuery(filter, around, { types: ["node"] })).toContain(
+    'node["amenity"="cafe"]["access"!="private"][!"disused"](around:1000,17.385,78.4867);'
+  );
+
+  // not(and(a, b)) = not a OR not b
+  expect(toClauses(not(and(eq("a", "1"), missing("b"))))).toEqual([
+    [{ key: "a", op: "!=", value: "1" }],
+    [{ key: "b", op: "exists" }],
+  ]);
+});
+
+test("value lists, regexes and existence checks", () => {
+  const filter = and(oneOf("cuisine", ["pizza", "c++"]), matches("name", "^star", true), exists("website"));
+  expect(buildOverpassQuery(filter, around, { types: ["node"] })).toContain(
+    'node["cuisine"~"(^|;)(pizza|c\\\\+\\\\+)(;|$)"]["name"~"^star",i]["website"](around:1000,17.385,78.4867);'
+  );
+});
+
+test("bounding box areas", () => {
+  const q = buildOverpassQuery(eq("amenity", "cafe"), { bbox: { south: 17.3, west: 78.4, north: 17.5, east: 78.6 } }, { types: ["node"] });
+  expect(q).toContain('node["amenity"="cafe"](17.3,78.4,17.5,78.6);');
+});
+
+test("user input is escaped inside string literals", () => {
+  expect(escapeString('a"b\\c\nd')).toBe('a\\"b\\\\c\\nd');
+
+  const q = buildOverpassQuery(eq('name"](around:1);out;("', 'x"];'), around, { types: ["node"] });
+  expect(q).toContain('node["name\\"](around:1);out;(\\""="x\\"];"](around:1000,17.385,78.4867);');
+});
+
+test("rejects invalid filters and areas", () => {
+  expect(() => buildOverpassQuery(and(), around)).toThrow(/at least one tag/);
+  expect(() => buildOverpassQuery(or(), around)).toThrow(/never matches/);
+  expect(() => buildOverpassQuery(matches("name", "("), around)).toThrow(QueryError);
+  expect(() => buildOverpassQuery({ key: "x" }, around)).toThrow(/unknown condition/);
+  expect(() => buildOverpassQuery(eq("a", "b"), { around: { lat: 999, lng: 0, radius: 1 } })).toThrow(/around/);
+  expect(() => buildOverpassQuery(eq("a", "b"), { around: { lat: "1);out;(", lng: 0, radius: 1 } })).toThrow(/around/);
+  expect(() => buildOverpassQuery(eq("a", "b"), {})).toThrow(/area/);
+
+  const huge = and(...Array.from({ length: 7 }, (_, i) => or(eq(`k${i}`, "a"), eq(`k${i}`, "b"))));
+  expect(() => buildOverpassQuery(huge, around)).toThrow(/too complex/);
+});
+
+test("evaluateFilter follows Overpass semantics locally", () => {
+  const filter = and(eq("amenity", "restaurant"), oneOf("cuisine", ["vegetarian"]), not(eq("access", "private")));
+
+  expect(evaluateFilter(filter, { amenity: "restaurant", cuisine: "indian;vegetarian" })).toBe(true);
+  expect(evaluateFilter(filter, { amenity: "restaurant", cuisine: "indian" })).toBe(false);
+  expect(evaluateFilter(filter, { amenity: "restaurant", cuisine: "vegetarian", access: "private" })).toBe(false);
+  expect(evaluateFilter(matches("name", "^star", true), { name: "Starbucks" })).toBe(true);
+  expect(evaluateFilter(missing("fee"), {})).toBe(true);
+});
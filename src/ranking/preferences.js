@@ -0,0 +1,138 @@
+// ✅ On-device preference model. Interactions (open / save / review) are kept as a
+// small event log in localStorage (src/storage); the profile is recomputed from it, so "reset"
+// is just clearing the log. Nothing leaves the browser.
+
+export const EVENTS_KEY = "preference_events";
+const MAX_EVENTS = 300;
+const HALF_LIFE_DAYS = 30;
+const MIN_EVENTS = 3; // below this the profile stays neutral
+
+export const DISTANCE_BANDS = [
+  { key: "walk", label: "under 500 m", max: 500 },
+  { key: "near", label: "500 m – 1.5 km", max: 1500 },
+  { key: "mid", label: "1.5 – 3 km", max: 3000 },
+  { key: "far", label: "over 3 km", max: Infinity },
+];
+
+export function distanceBand(distance) {
+  return DISTANCE_BANDS.find((b) => distance < b.max)?.key || "far";
+}
+
+const cuisinesOf = (tags = {}) =>
+  String(tags.cuisine || "")
+    .split(";")
+    .map((c) => c.trim().toLowerCase())
+    .filter(Boolean);
+
+// saves count more than opens; reviews push up (4-5★) or down (1-2★)
+function eventWeight(event) {
+  if (event.kind === "save") return 3;
+  if (event.kind === "review") return (event.stars - 3) * 1.5;
+  return 1;
+}
+
+export function makeEvent(kind, place, extra = {}) {
+  return {
+    kind,
+    placeId: place.id,
+    type: place.type || "",
+    cuisines: cuisinesOf(place.tags),
+    band: Number.isFinite(place.distance) ? distanceBand(place.distance) : null,
+    at: Date.now(),
+    ...extra,
+  };
+}
+
+// newest first, capped
+export function recordEvent(events, event) {
+  return [event, ...events].slice(0, MAX_EVENTS);
+}
+
+// existing favorites and reviews become the initial history, so the model is
+// useful right away for people who saved places before it existed
+export function seedEvents(favorites = [], reviews = {}) {
+  const byId = new Map(favorites.map((f) => [String(f.id), f]));
+  const events = favorites.map((f) => makeEvent("save", f, { at: f.savedAt || Date.now() }));
+
+  Object.entries(reviews).forEach(([placeId, list]) => {
+    const place = byId.get(String(placeId));
+    if (!place) return;
+    list.forEach((r) => events.push(makeEvent("review", place, { stars: r.stars, at: r.time || Date.now() })));
+  });
+
+  return events.sort((a, b) => b.at - a.at).slice(0, MAX_EVENTS);
+}
+
+function addTo(map, key, w) {
+  if (!key) return;
+  map[key] = (map[key] || 0) + w;
+}
+
+// -> { total, types, cuisines, bands } with decayed weights per value
+export function learnProfile(events = [], now = Date.now()) {
+  const profile = { total: events.length, types: {}, cuisines: {}, bands: {} };
+
+  events.forEach((e) => {
+    const ageDays = Math.max(0, now - e.at) / 86400000;
+    const w = eventWeight(e) * 0.5 ** (ageDays / HALF_LIFE_DAYS);
+    addTo(profile.types, e.type, w);
+    (e.cuisines || []).forEach((c) => addTo(profile.cuisines, c, w));
+    addTo(profile.bands, e.band, w);
+  });
+
+  return profile;
+}
+
+// -> [[key, weight]] positive entries, strongest first
+export function topEntries(map, limit = 5) {
+  return Object.entries(map)
+    .filter(([, w]) => w > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
+// weight relative to the strongest liked value, -1..1
+function relative(map, key) {
+  const max = Math.max(0, ...Object.values(map));
+  if (!max || !(key in map)) return 0;
+  return Math.max(-1, Math.min(1, map[key] / max));
+}
+
+// -> { value: 0..1 (0.5 = neutral), reasons: [string] }
+export function affinity(place, profile) {
+  if (!profile || profile.total < MIN_EVENTS) return { value: 0.5, reasons: [] };
+
+  const reasons = [];
+  const type = relative(profile.types, place.type);
+  if (type > 0.3) reasons.push(`you often pick ${place.type}s`);
+
+  const cuisine = Math.max(0, ...cuisinesOf(place.tags).map((c) => relative(profile.cuisines, c)));
+  if (cuisine > 0.3) reasons.push(`${place.tags.cuisine} cuisine`);
+
+  const band = Number.isFinite(place.distance) ? relative(profile.bands, distanceBand(place.distance)) : 0;
+  if (band > 0.5) reasons.push("your usual distance");
+
+  const combined = 0.55 * type + 0.3 * cuisine + 0.15 * band;
+  return { value: Math.min(1, Math.max(0, 0.5 + combined / 2)), reasons };
+}
+
+// best matches that aren't already saved
+export function forYou(places, profile, favorites = [], limit = 5) {
+  if (!profile || profile.total < MIN_EVENTS) return [];
+  const saved = new Set(favorites.map((f) => f.id));
+  return places
+    .filter((p) => !saved.has(p.id))
+    .map((p) => ({ place: p, ...affinity(p, profile) }))
+    .filter((m) => m.value > 0.6)
+    .sort((a, b) => b.value - a.value || a.place.distance - b.place.distance)
+    .slice(0, limit);
+}
+
+// -> events, or null when there is no usable history yet (`storage` is src/storage)
+export function loadEvents(storage) {
+  return storage.read(EVENTS_KEY);
+}
+
+export function saveEvents(events, storage) {
+  storage.write(EVENTS_KEY, events);
+}
@@ -0,0 +1,97 @@
+import {
+  affinity,
+  distanceBand,
+  forYou,
+  learnProfile,
+  makeEvent,
+  recordEvent,
+  seedEvents,
+  topEntries,
+} from "./preferences";
+
+const NOW = new Date(2026, 9, 19, 12, 0).getTime();
+const DAY = 86400000;
+
+const place = (id, type, extra = {}) => ({ id, name: `P${id}`, type, distance: 800, tags: {}, ...extra });
+
+const history = (...events) => events.map((e) => ({ at: NOW, cuisines: [], band: "near", ...e }));
+
+test("distance bands split at 500 m, 1.5 km and 3 km", () => {
+  expect(distanceBand(100)).toBe("walk");
+  expect(distanceBand(900)).toBe("near");
+  expect(distanceBand(2000)).toBe("mid");
+  expect(distanceBand(8000)).toBe("far");
+});
+
+test("makeEvent captures type, cuisines and distance band", () => {
+  const e = makeEvent("open", place(1, "restaurant", { tags: { cuisine: "Indian;pizza" }, distance: 300 }));
+  expect(e).toMatchObject({ kind: "open", placeId: 1, type: "restaurant", cuisines: ["indian", "pizza"], band: "walk" });
+});
+
+test("recordEvent keeps the newest events first and caps the log", () => {
+  let events = [];
+  for (let i = 0; i < 320; i++) events = recordEvent(events, { kind: "open", placeId: i, at: i });
+  expect(events).toHaveLength(300);
+  expect(events[0].placeId).toBe(319);
+});
+
+test("saves outweigh opens and low reviews count against a type", () => {
+  const profile = learnProfile(
+    history(
+      { kind: "save", type: "cafe" },
+      { kind: "open", type: "bar" },
+      { kind: "open", type: "bar" },
+      { kind: "review", type: "fast_food", stars: 1 }
+    ),
+    NOW
+  );
+  expect(profile.types.cafe).toBe(3);
+  expect(profile.types.bar).toBe(2);
+  expect(profile.types.fast_food).toBe(-3);
+  expect(topEntries(profile.types).map(([k]) => k)).toEqual(["cafe", "bar"]);
+});
+
+test("older interactions fade with a 30 day half-life", () => {
+  const profile = learnProfile(history({ kind: "save", type: "cafe", at: NOW - 30 * DAY }), NOW);
+  expect(profile.types.cafe).toBeCloseTo(1.5);
+});
+
+test("affinity is neutral until a few interactions exist", () => {
+  const profile = learnProfile(history({ kind: "save", type: "cafe" }), NOW);
+  expect(affinity(place(1, "cafe"), profile)).toEqual({ value: 0.5, reasons: [] });
+});
+
+test("affinity favours learned types and cuisines and explains why", () => {
+  const profile = learnProfile(
+    history(
+      { kind: "save", type: "restaurant", cuisines: ["indian"] },
+      { kind: "open", type: "restaurant", cuisines: ["indian"] },
+      { kind: "review", type: "bar", stars: 1 }
+    ),
+    NOW
+  );
+  const liked = affinity(place(1, "restaurant", { tags: { cuisine: "indian" } }), profile);
+  const disliked = affinity(place(2, "bar", { distance: 5000 }), profile);
+
+  expect(liked.value).toBeGreaterThan(0.9);
+  expect(liked.reasons).toEqual(["you often pick restaurants", "indian cuisine", "your usual distance"]);
+  expect(disliked.value).toBeLessThan(0.5);
+});
+
+test("forYou skips saved places and weak matches", () => {
+  const profile = learnProfile(
+    history({ kind: "save", type: "cafe" }, { kind: "save", type: "cafe" }, { kind: "open", type: "park" }),
+    NOW
+  );
+  const places = [place(1, "cafe"), place(2, "cafe", { distance: 300 }), place(3, "hotel")];
+  const picks = forYou(places, profile, [{ id: 1 }]);
+  expect(picks.map((m) => m.place.id)).toEqual([2]);
+});
+
+test("seedEvents turns existing favorites and their reviews into history", () => {
+  const favorites = [place(1, "cafe", { savedAt: NOW - DAY })];
+  const reviews = { 1: [{ stars: 5, text: "great", time: NOW }], 99: [{ stars: 4, text: "?", time: NOW }] };
+  const events = seedEvents(favorites, reviews);
+  expect(events.map((e) => e.kind)).toEqual(["review", "save"]);
+  expect(events[0]).toMatchObject({ placeId: 1, stars: 5, type: "cafe" });
+});
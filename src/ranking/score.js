@@ -0,0 +1,149 @@
+import { evaluateFilter, exists, oneOf } from "../query/overpassQuery";
+import { FACETS } from "../utils/facets";
+import { affinity } from "./preferences";
+import { timeAdjustments } from "./timeContext";
+
+// ✅ Multi-factor relevance. Every factor yields a value in 0..1; the score is the
+// weighted mean, so weights only express relative importance (0 = ignore).
+
+export const WEIGHTS_KEY = "ranking_weights";
+
+export const FACTORS = [
+  { key: "distance", label: "Distance", hint: "closer is better" },
+  { key: "moodMatch", label: "Mood match", hint: "how well the tags fit the mood" },
+  { key: "reviews", label: "Your reviews", hint: "local star average" },
+  { key: "completeness", label: "Data completeness", hint: "name, website, hours, phone, address" },
+  { key: "favorites", label: "Favorites history", hint: "saved places and their types" },
+  { key: "time", label: "Time of day", hint: "open now, right for this hour" },
+  { key: "personal", label: "For you", hint: "learned from your saves, reviews and opens" },
+];
+
+export const DEFAULT_WEIGHTS = {
+  distance: 1,
+  moodMatch: 0.6,
+  reviews: 0.5,
+  completeness: 0.3,
+  favorites: 0.4,
+  time: 0.8,
+  personal: 0.5,
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// half the value every `halfLife` metres (a quarter of the search radius)
+export function distanceValue(distance, radius = 4000) {
+  const halfLife = Math.max(250, radius / 4);
+  return 0.5 ** (Math.max(0, distance) / halfLife);
+}
+
+// earlier values in a mood's rule count as a stronger match
+function tagMatchValue(tags, mood) {
+  if (mood.filter) return evaluateFilter(mood.filter, tags) ? 1 : 0;
+
+  return mood.include.reduce((best, { key, values }) => {
+    if (!values.length) return evaluateFilter(exists(key), tags) ? Math.max(best, 0.7) : best;
+    if (!evaluateFilter(oneOf(key, values), tags)) return best;
+    const own = String(tags[key]).split(";");
+    const index = values.findIndex((v) => own.includes(v));
+    return Math.max(best, 1 - (0.5 * index) / values.length);
+  }, 0);
+}
+
+// mood.prefer: facet keys (e.g. ["budget"]) the mood is really about; a place
+// matching none of them keeps 60% of its tag match
+export function moodMatchValue(tags = {}, mood) {
+  if (!mood) return 0.5;
+  const base = tagMatchValue(tags, mood);
+  const prefer = FACETS.filter((f) => mood.prefer?.includes(f.key));
+  if (!prefer.length) return base;
+  const share = prefer.filter((f) => f.match(tags)).length / prefer.length;
+  return base * (0.6 + 0.4 * share);
+}
+
+// Bayesian average pulled towards 3 stars until a place has a few reviews
+export function reviewValue({ avg, count }) {
+  const prior = 3;
+  const strength = 2;
+  return (avg * count + prior * strength) / (count + strength) / 5;
+}
+
+const COMPLETENESS_CHECKS = [
+  (p) => p.name && p.name !== "Unnamed Place",
+  (p) => p.tags?.website || p.tags?.["contact:website"],
+  (p) => p.tags?.opening_hours,
+  (p) => p.tags?.phone || p.tags?.["contact:phone"],
+  (p) => p.tags?.["addr:street"] || p.tags?.["addr:full"],
+];
+
+export function completenessValue(place) {
+  return COMPLETENESS_CHECKS.filter((check) => check(place)).length / COMPLETENESS_CHECKS.length;
+}
+
+export function favoritesValue(place, favorites = []) {
+  if (favorites.some((f) => f.id === place.id)) return 1;
+  const sameType = favorites.filter((f) => f.type === place.type).length;
+  return 0.8 * Math.min(1, sameType / 5);
+}
+
+// product of the time multipliers, 1.5x boost -> 1, neutral -> 0.67
+export function timeValue(place, now) {
+  const factor = timeAdjustments(place, now).reduce((acc, a) => acc * a.factor, 1);
+  return clamp01(factor / 1.5);
+}
+
+// ctx: { mood, radius, now, reviewStats(id), favorites, profile }
+export function scorePlace(place, ctx, weights = DEFAULT_WEIGHTS) {
+  const timeNotes = timeAdjustments(place, ctx.now);
+  const stats = ctx.reviewStats?.(place.id) || { avg: 0, count: 0 };
+  const personal = affinity(place, ctx.profile);
+
+  const values = {
+    distance: distanceValue(place.distance, ctx.radius),
+    moodMatch: moodMatchValue(place.tags, ctx.mood),
+    reviews: reviewValue(stats),
+    completeness: completenessValue(place),
+    favorites: favoritesValue(place, ctx.favorites),
+    time: timeValue(place, ctx.now),
+    personal: personal.value,
+  };
+
+  const notes = {
+    distance: `${(place.distance / 1000).toFixed(2)} km away`,
+    reviews: stats.count ? `${stats.avg.toFixed(1)}★ from ${stats.count} review(s)` : "no reviews yet",
+    time: timeNotes.map((t) => t.text).join(", ") || "no time preference",
+    personal: personal.reasons.join(", ") || "nothing learned yet",
+  };
+
+  const totalWeight = FACTORS.reduce((acc, f) => acc + Math.max(0, weights[f.key] ?? 0), 0) || 1;
+  const breakdown = FACTORS.map((f) => {
+    const weight = Math.max(0, weights[f.key] ?? 0);
+    return {
+      key: f.key,
+      label: f.label,
+      value: values[f.key],
+      weight,
+      contribution: (weight * values[f.key]) / totalWeight,
+      note: notes[f.key],
+    };
+  });
+
+  return { score: breakdown.reduce((acc, b) => acc + b.contribution, 0), breakdown };
+}
+
+// -> places with { score, breakdown }, best first
+export function rankPlaces(places, ctx, weights = DEFAULT_WEIGHTS) {
+  return places
+    .map((p) => ({ ...p, ...scorePlace(p, ctx, weights) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// `storage` is src/storage: invalid weights are dropped and reported there,
+// missing ones come from DEFAULT_WEIGHTS
+export function loadWeights(storage) {
+  const saved = storage.read(WEIGHTS_KEY);
+  return saved ? { ...DEFAULT_WEIGHTS, ...saved } : DEFAULT_WEIGHTS;
+}
+
+export function saveWeights(weights, storage) {
+  storage.write(WEIGHTS_KEY, weights);
+}
@@ -0,0 +1,136 @@
+import { DEFAULT_MOODS } from "../moods";
+import { SCHEMA_VERSION, VERSION_KEY } from "../storage/schema";
+import { createStorage } from "../storage/storage";
+import {
+  completenessValue,
+  DEFAULT_WEIGHTS,
+  distanceValue,
+  favoritesValue,
+  loadWeights,
+  moodMatchValue,
+  rankPlaces,
+  reviewValue,
+  scorePlace,
+  WEIGHTS_KEY,
+} from "./score";
+
+// src/storage over an in-memory backend that is already up to date
+const memoryStorage = (initial = {}) => {
+  const data = { [VERSION_KEY]: String(SCHEMA_VERSION), ...initial };
+  return createStorage({
+    backend: {
+      getItem: (k) => (k in data ? data[k] : null),
+      setItem: (k, v) => (data[k] = String(v)),
+      removeItem: (k) => delete data[k],
+    },
+  });
+};
+
+const work = {
+  id: "work",
+  label: "Work",
+  include: [{ key: "amenity", values: ["cafe", "library", "coworking_space"] }],
+  exclude: [],
+};
+const noon = new Date(2026, 9, 19, 13, 0); // Monday, afternoon
+const morning = new Date(2026, 9, 19, 8, 0);
+
+const place = (id, extra = {}) => ({
+  id,
+  name: `Place ${id}`,
+  type: "cafe",
+  distance: 500,
+  tags: { amenity: "cafe" },
+  ...extra,
+});
+
+const ctx = (extra = {}) => ({
+  mood: work,
+  radius: 4000,
+  now: noon,
+  reviewStats: () => ({ avg: 0, count: 0 }),
+  favorites: [],
+  ...extra,
+});
+
+test("distance decays by half every quarter radius", () => {
+  expect(distanceValue(0, 4000)).toBe(1);
+  expect(distanceValue(1000, 4000)).toBeCloseTo(0.5);
+  expect(distanceValue(2000, 4000)).toBeCloseTo(0.25);
+});
+
+test("mood match prefers earlier values of the mood", () => {
+  expect(moodMatchValue({ amenity: "cafe" }, work)).toBe(1);
+  expect(moodMatchValue({ amenity: "coworking_space" }, work)).toBeCloseTo(2 / 3);
+  expect(moodMatchValue({ amenity: "bar" }, work)).toBe(0);
+});
+
+test("the Budget mood ranks free and cheap places above the rest", () => {
+  const budget = DEFAULT_MOODS.find((m) => m.id === "budget");
+  const cheap = moodMatchValue({ amenity: "fast_food", price: "$" }, budget);
+  const unknown = moodMatchValue({ amenity: "fast_food" }, budget);
+
+  expect(cheap).toBe(1);
+  expect(unknown).toBeCloseTo(0.6);
+  expect(moodMatchValue({ amenity: "cafe", stars: "5" }, budget)).toBeLessThan(cheap);
+  expect(moodMatchValue({ amenity: "bar", fee: "no" }, budget)).toBe(0);
+});
+
+test("reviews use a Bayesian average and completeness counts known fields", () => {
+  expect(reviewValue({ avg: 0, count: 0 })).toBeCloseTo(0.6);
+  expect(reviewValue({ avg: 5, count: 1 })).toBeLessThan(reviewValue({ avg: 5, count: 10 }));
+  expect(completenessValue(place(1, { tags: { website: "x", opening_hours: "24/7" } }))).toBeCloseTo(0.6);
+  expect(completenessValue(place(1, { name: "Unnamed Place", tags: {} }))).toBe(0);
+});
+
+test("favorites history boosts saved places and their types", () => {
+  const favs = [place(9), place(8)];
+  expect(favoritesValue(place(9), favs)).toBe(1);
+  expect(favoritesValue(place(1), favs)).toBeCloseTo(0.32);
+  expect(favoritesValue(place(1, { type: "library" }), favs)).toBe(0);
+});
+
+test("relevance is no longer just distance", () => {
+  const near = place(1, { distance: 200, tags: { amenity: "library" } });
+  const reviewed = place(2, { distance: 600 });
+  const stats = { 2: { avg: 5, count: 6 } };
+
+  const ranked = rankPlaces([near, reviewed], ctx({ reviewStats: (id) => stats[id] || { avg: 0, count: 0 } }));
+  expect(ranked[0].id).toBe(2);
+});
+
+test("weights tune the ranking; zero ignores a factor", () => {
+  const near = place(1, { distance: 100, name: "Unnamed Place", tags: { amenity: "cafe" } });
+  const complete = place(2, {
+    distance: 1500,
+    tags: { amenity: "cafe", website: "x", phone: "1", opening_hours: "24/7", "addr:street": "y" },
+  });
+
+  expect(rankPlaces([near, complete], ctx())[0].id).toBe(1);
+  const ranked = rankPlaces([near, complete], ctx(), { ...DEFAULT_WEIGHTS, distance: 0, completeness: 2 });
+  expect(ranked[0].id).toBe(2);
+});
+
+test("time of day: breakfast cafés beat bars in the morning, closed places sink", () => {
+  const bar = place(1, { type: "bar", tags: { amenity: "bar", opening_hours: "Mo-Su 18:00-02:00" } });
+  const cafe = place(2, { tags: { amenity: "cafe", opening_hours: "Mo-Su 07:00-22:00" } });
+  const anyMood = { ...work, include: [{ key: "amenity", values: [] }] };
+
+  expect(rankPlaces([bar, cafe], ctx({ now: morning, mood: anyMood }))[0].id).toBe(2);
+});
+
+test("breakdown explains every factor and sums to the score", () => {
+  const { score, breakdown } = scorePlace(place(1), ctx());
+  expect(breakdown.map((b) => b.key)).toEqual(["distance", "moodMatch", "reviews", "completeness", "favorites", "time", "personal"]);
+  expect(breakdown.reduce((acc, b) => acc + b.contribution, 0)).toBeCloseTo(score);
+  expect(score).toBeGreaterThan(0);
+  expect(score).toBeLessThanOrEqual(1);
+});
+
+test("loadWeights merges saved values with defaults and reports junk", () => {
+  const storage = memoryStorage({ [WEIGHTS_KEY]: JSON.stringify({ distance: 2, reviews: -1, time: "x", retired: 1 }) });
+  expect(loadWeights(storage)).toEqual({ ...DEFAULT_WEIGHTS, distance: 2 });
+  expect(storage.problems()[0].message).toMatch(/2 of your ranking weights couldn't be read/);
+  expect(loadWeights(memoryStorage({ [WEIGHTS_KEY]: "{bad" }))).toBe(DEFAULT_WEIGHTS);
+  expect(loadWeights(memoryStorage())).toBe(DEFAULT_WEIGHTS);
+});
@@ -0,0 +1,57 @@
+import { openingStatus } from "../utils/openingHours";
+
+// ✅ Time-of-day context: the header hint and the ranking boosts share these slots.
+
+export const TIME_SLOTS = {
+  morning: {
+    hint: "🌅 Morning: Try breakfast cafés!",
+    boost: { types: ["cafe", "bakery"], cuisines: ["breakfast", "coffee_shop", "tea"], factor: 1.5, text: "Breakfast spot in the morning" },
+  },
+  afternoon: {
+    hint: "🍱 Afternoon: Lunch spots recommended!",
+    boost: { types: ["restaurant", "fast_food", "food_court"], cuisines: [], factor: 1.3, text: "Lunch time" },
+  },
+  evening: {
+    hint: "☕ Evening: Hangout cafés & snacks!",
+    boost: { types: ["cafe", "fast_food", "ice_cream", "park"], cuisines: ["coffee_shop"], factor: 1.3, text: "Evening hangout" },
+  },
+  night: {
+    hint: "🌙 Night: Find late dinner places!",
+    boost: { types: ["restaurant", "bar", "pub", "nightclub"], cuisines: [], factor: 1.5, text: "Dinner & drinks at night" },
+  },
+};
+
+export function timeSlot(date = new Date()) {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 11) return "morning";
+  if (hour >= 11 && hour < 16) return "afternoon";
+  if (hour >= 16 && hour < 20) return "evening";
+  return "night";
+}
+
+export function timeSuggestion(date = new Date()) {
+  return TIME_SLOTS[timeSlot(date)].hint;
+}
+
+const CLOSED_FACTOR = 0.3;
+const CLOSING_SOON_FACTOR = 0.7;
+const CLOSING_SOON_MIN = 30;
+
+// -> [{ text, factor }] multipliers that apply to this place right now
+export function timeAdjustments(place, date = new Date()) {
+  const out = [];
+  const { boost } = TIME_SLOTS[timeSlot(date)];
+  const cuisines = String(place.tags?.cuisine || "").split(";");
+
+  if (boost.types.includes(place.type) || cuisines.some((c) => boost.cuisines.includes(c))) {
+    out.push({ text: boost.text, factor: boost.factor });
+  }
+
+  const status = openingStatus(place.tags?.opening_hours, date);
+  if (status.known && !status.open) out.push({ text: "Closed now", factor: CLOSED_FACTOR });
+  else if (status.open && status.closesInMin != null && status.closesInMin <= CLOSING_SOON_MIN) {
+    out.push({ text: `Closes in ${status.closesInMin} min`, factor: CLOSING_SOON_FACTOR });
+  }
+
+  return out;
+}
@@ -0,0 +1,27 @@
+import { timeAdjustments, timeSlot, timeSuggestion } from "./timeContext";
+
+const at = (hh, mm = 0) => new Date(2026, 9, 19, hh, mm); // Monday
+
+const cafe = { id: 1, type: "cafe", tags: { opening_hours: "Mo-Su 07:00-22:00" } };
+const bar = { id: 2, type: "bar", tags: { opening_hours: "Mo-Su 17:00-02:00" } };
+
+test("time slots follow the header hint", () => {
+  expect(timeSlot(at(7))).toBe("morning");
+  expect(timeSlot(at(12))).toBe("afternoon");
+  expect(timeSlot(at(17))).toBe("evening");
+  expect(timeSlot(at(23))).toBe("night");
+  expect(timeSlot(at(3))).toBe("night");
+  expect(timeSuggestion(at(7))).toMatch(/breakfast/);
+});
+
+test("breakfast cafés get the morning boost, bars the night one", () => {
+  expect(timeAdjustments(cafe, at(8))).toContainEqual({ text: "Breakfast spot in the morning", factor: 1.5 });
+  expect(timeAdjustments(bar, at(23))).toContainEqual({ text: "Dinner & drinks at night", factor: 1.5 });
+  expect(timeAdjustments(cafe, at(23))).not.toContainEqual(expect.objectContaining({ factor: 1.5 }));
+});
+
+test("closed places are deprioritised and closing soon is penalised", () => {
+  expect(timeAdjustments(bar, at(8))).toContainEqual({ text: "Closed now", factor: 0.3 });
+  expect(timeAdjustments(cafe, at(21, 45))).toContainEqual({ text: "Closes in 15 min", factor: 0.7 });
+  expect(timeAdjustments({ ...cafe, tags: {} }, at(13))).toEqual([]);
+});
@@ -0,0 +1,23 @@
+import { createGraphHopperRouter, createOsrmRouter, withCache } from "./routers";
+
+export const PUBLIC_OSRM_URL = "https://routing.openstreetmap.de/routed-{profile}";
+
+// ✅ Router selection (set in .env / CI):
+//   REACT_APP_ROUTING_PROVIDER = osrm (default) | graphhopper | none
+//   REACT_APP_ROUTING_URL      = base URL; for OSRM may contain {profile} (foot | bike | car)
+//   REACT_APP_ROUTING_KEY      = API key (hosted GraphHopper)
+export function createRouter(env = process.env) {
+  const kind = env.REACT_APP_ROUTING_PROVIDER || "osrm";
+  const url = env.REACT_APP_ROUTING_URL;
+
+  if (kind === "none") return null;
+  if (kind === "osrm") return createOsrmRouter(url || PUBLIC_OSRM_URL);
+  if (kind === "graphhopper") {
+    if (!url) throw new Error("REACT_APP_ROUTING_URL is required for the graphhopper router");
+    return createGraphHopperRouter(url, { key: env.REACT_APP_ROUTING_KEY });
+  }
+  throw new Error(`Unknown routing provider: ${kind}`);
+}
+
+// null when routing is switched off: the UI falls back to crow-flies distance
+export const router = withCache(createRouter());
@@ -0,0 +1,195 @@
+import { fetchWithRetry } from "../providers/fetchWithRetry";
+
+// ✅ Routing backends. Both expose the same interface:
+//   route(from, to, mode, { signal })         -> { distance (m), duration (s), path: [[lat, lng]] }
+//   table(from, targets, mode, { signal })    -> [{ distance, duration } | null] (same order as targets)
+//   matrix(points, mode, { signal })          -> every point to every point in one request:
+//                                                rows of { distance, duration } | null
+// points are { lat, lng } (places: { lat, lon } are accepted too)
+
+// osrm / graphhopper: routing profiles; google: Google Maps `travelmode`
+export const MODES = {
+  walking: { label: "Walk", emoji: "🚶", osrm: "foot", graphhopper: "foot", google: "walking" },
+  cycling: { label: "Bike", emoji: "🚲", osrm: "bike", graphhopper: "bike", google: "bicycling" },
+  driving: { label: "Drive", emoji: "🚗", osrm: "car", graphhopper: "car", google: "driving" },
+};
+
+export class RoutingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RoutingError";
+  }
+}
+
+const lngOf = (p) => p.lng ?? p.lon;
+const TABLE_CHUNK = 100; // public servers cap matrix sizes
+
+const cell = (duration, distance) => (duration == null ? null : { duration, distance: distance ?? null });
+
+function checkMatrixSize(points) {
+  if (points.length > TABLE_CHUNK) throw new RoutingError(`At most ${TABLE_CHUNK} points per matrix`);
+}
+
+function chunks(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+function profileOf(mode, backend) {
+  const profile = MODES[mode]?.[backend];
+  if (!profile) throw new RoutingError(`Unknown travel mode: ${mode}`);
+  return profile;
+}
+
+// baseUrl may contain {profile} when every profile runs on its own server
+// (e.g. https://routing.openstreetmap.de/routed-{profile}); a single local
+// instance is just http://localhost:5000
+export function createOsrmRouter(baseUrl) {
+  const base = (profile) => baseUrl.replace("{profile}", profile).replace(/\/$/, "");
+  const coords = (points) => points.map((p) => `${lngOf(p)},${p.lat}`).join(";");
+
+  return {
+    name: "osrm",
+
+    async route(from, to, mode, { signal } = {}) {
+      const profile = profileOf(mode, "osrm");
+      const url = `${base(profile)}/route/v1/${profile}/${coords([from, to])}?overview=full&geometries=geojson`;
+      const data = await fetchWithRetry(url, 2, 1500, { signal });
+      const route = data?.routes?.[0];
+      if (data?.code !== "Ok" || !route) throw new RoutingError(data?.message || "No route found");
+      return {
+        distance: route.distance,
+        duration: route.duration,
+        path: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+      };
+    },
+
+    async table(from, targets, mode, { signal } = {}) {
+      const profile = profileOf(mode, "osrm");
+      const results = [];
+      for (const part of chunks(targets, TABLE_CHUNK)) {
+        const url =
+          `${base(profile)}/table/v1/${profile}/${coords([from, ...part])}` +
+          `?sources=0&annotations=duration,distance`;
+        const data = await fetchWithRetry(url, 2, 1500, { signal });
+        if (data?.code !== "Ok") throw new RoutingError(data?.message || "Travel times unavailable");
+        part.forEach((_, i) => results.push(cell(data.durations?.[0]?.[i + 1], data.distances?.[0]?.[i + 1])));
+      }
+      return results;
+    },
+
+    async matrix(points, mode, { signal } = {}) {
+      checkMatrixSize(points);
+      const profile = profileOf(mode, "osrm");
+      const url = `${base(profile)}/table/v1/${profile}/${coords(points)}?annotations=duration,distance`;
+      const data = await fetchWithRetry(url, 2, 1500, { signal });
+      if (data?.code !== "Ok") throw new RoutingError(data?.message || "Travel times unavailable");
+      return points.map((_, i) => points.map((__, j) => cell(data.durations?.[i]?.[j], data.distances?.[i]?.[j])));
+    },
+  };
+}
+
+// GraphHopper Routing API (hosted needs `key`; self-hosted usually doesn't)
+export function createGraphHopperRouter(baseUrl, { key } = {}) {
+  const base = baseUrl.replace(/\/$/, "");
+  const auth = key ? `&key=${encodeURIComponent(key)}` : "";
+  const point = (name, p) => `${name}=${p.lat},${lngOf(p)}`;
+
+  return {
+    name: "graphhopper",
+
+    async route(from, to, mode, { signal } = {}) {
+      const profile = profileOf(mode, "graphhopper");
+      const url =
+        `${base}/route?${point("point", from)}&${point("point", to)}` +
+        `&profile=${profile}&points_encoded=false&instructions=false${auth}`;
+      const data = await fetchWithRetry(url, 2, 1500, { signal });
+      const path = data?.paths?.[0];
+      if (!path) throw new RoutingError(data?.message || "No route found");
+      return {
+        distance: path.distance,
+        duration: path.time / 1000,
+        path: path.points.coordinates.map(([lng, lat]) => [lat, lng]),
+      };
+    },
+
+    async table(from, targets, mode, { signal } = {}) {
+      const profile = profileOf(mode, "graphhopper");
+      const results = [];
+      for (const part of chunks(targets, TABLE_CHUNK)) {
+        const url =
+          `${base}/matrix?${point("from_point", from)}&${part.map((p) => point("to_point", p)).join("&")}` +
+          `&profile=${profile}&out_array=times&out_array=distances&fail_fast=false${auth}`;
+        const data = await fetchWithRetry(url, 2, 1500, { signal });
+        if (!data?.times) throw new RoutingError(data?.message || "Travel times unavailable");
+        part.forEach((_, i) => results.push(cell(data.times[0]?.[i], data.distances?.[0]?.[i])));
+      }
+      return results;
+    },
+
+    // `point` (rather than from_point / to_point) asks for the symmetric all-pairs matrix
+    async matrix(points, mode, { signal } = {}) {
+      checkMatrixSize(points);
+      const profile = profileOf(mode, "graphhopper");
+      const url =
+        `${base}/matrix?${points.map((p) => point("point", p)).join("&")}` +
+        `&profile=${profile}&out_array=times&out_array=distances&fail_fast=false${auth}`;
+      const data = await fetchWithRetry(url, 2, 1500, { signal });
+      if (!data?.times) throw new RoutingError(data?.message || "Travel times unavailable");
+      return points.map((_, i) => points.map((__, j) => cell(data.times[i]?.[j], data.distances?.[i]?.[j])));
+    },
+  };
+}
+
+// ✅ in-memory memo (LRU capped): reopening a place or re-sorting the same
+// area doesn't hit the routing server again. Table cells are cached one by one,
+// so only places that weren't timed before are requested; a matrix shares those
+// cells and is only requested when one of them is missing.
+export function withCache(router, { max = 1000 } = {}) {
+  if (!router) return router;
+  const memo = new Map();
+  const at = (p) => `${p.lat.toFixed(5)},${lngOf(p).toFixed(5)}`;
+  const remember = (key, value) => {
+    memo.delete(key);
+    memo.set(key, value);
+    if (memo.size > max) memo.delete(memo.keys().next().value);
+    return value;
+  };
+
+  return {
+    ...router,
+
+    async route(from, to, mode, opts) {
+      const key = `route|${mode}|${at(from)}|${at(to)}`;
+      if (memo.has(key)) return remember(key, memo.get(key));
+      return remember(key, await router.route(from, to, mode, opts));
+    },
+
+    async table(from, targets, mode, opts) {
+      const keys = targets.map((t) => `table|${mode}|${at(from)}|${at(t)}`);
+      const results = keys.map((k) => memo.get(k));
+      const missing = targets.map((_, i) => i).filter((i) => results[i] === undefined);
+      if (missing.length) {
+        const fresh = await router.table(from, missing.map((i) => targets[i]), mode, opts);
+        missing.forEach((i, n) => (results[i] = remember(keys[i], fresh[n])));
+      }
+      return results;
+    },
+
+    async matrix(points, mode, opts) {
+      const keys = points.map((a) => points.map((b) => `table|${mode}|${at(a)}|${at(b)}`));
+      if (keys.every((row) => row.every((k) => memo.has(k)))) return keys.map((row) => row.map((k) => memo.get(k)));
+      const fresh = await router.matrix(points, mode, opts);
+      return keys.map((row, i) => row.map((k, j) => remember(k, fresh[i][j])));
+    },
+  };
+}
+
+// 754 s -> "13 min", 4000 s -> "1 h 7 min"
+export function formatTravelTime(seconds) {
+  const min = Math.max(1, Math.round(seconds / 60));
+  if (min < 60) return `${min} min`;
+  const h = Math.floor(min / 60);
+  return min % 60 ? `${h} h ${min % 60} min` : `${h} h`;
+}
@@ -0,0 +1,143 @@
+import { createRouter } from "./index";
+import {
+  createGraphHopperRouter,
+  createOsrmRouter,
+  formatTravelTime,
+  MODES,
+  RoutingError,
+  withCache,
+} from "./routers";
+
+const from = { lat: 17.385, lng: 78.4867 };
+const to = { lat: 17.39, lon: 78.49 };
+
+const respond = (...bodies) => {
+  global.fetch = jest.fn();
+  bodies.forEach((body) => global.fetch.mockResolvedValueOnce({ ok: true, json: async () => body }));
+};
+
+test("selects the router from env", () => {
+  expect(createRouter({}).name).toBe("osrm");
+  expect(createRouter({ REACT_APP_ROUTING_PROVIDER: "none" })).toBeNull();
+  expect(
+    createRouter({ REACT_APP_ROUTING_PROVIDER: "graphhopper", REACT_APP_ROUTING_URL: "http://gh.test" }).name
+  ).toBe("graphhopper");
+  expect(() => createRouter({ REACT_APP_ROUTING_PROVIDER: "graphhopper" })).toThrow(/REACT_APP_ROUTING_URL/);
+  expect(() => createRouter({ REACT_APP_ROUTING_PROVIDER: "nope" })).toThrow(/Unknown/);
+});
+
+test("osrm route fills the profile and returns a lat/lng path", async () => {
+  respond({
+    code: "Ok",
+    routes: [{ distance: 820, duration: 600, geometry: { coordinates: [[78.4867, 17.385], [78.49, 17.39]] } }],
+  });
+  const osrm = createOsrmRouter("http://osrm.test/routed-{profile}");
+
+  expect(await osrm.route(from, to, "walking")).toEqual({
+    distance: 820,
+    duration: 600,
+    path: [
+      [17.385, 78.4867],
+      [17.39, 78.49],
+    ],
+  });
+  expect(global.fetch.mock.calls[0][0]).toBe(
+    "http://osrm.test/routed-foot/route/v1/foot/78.4867,17.385;78.49,17.39?overview=full&geometries=geojson"
+  );
+});
+
+test("osrm errors become RoutingError", async () => {
+  respond({ code: "NoRoute", message: "Impossible route" });
+  await expect(createOsrmRouter("http://osrm.test").route(from, to, "driving")).rejects.toThrow(RoutingError);
+  await expect(createOsrmRouter("http://osrm.test").route(from, to, "flying")).rejects.toThrow(/travel mode/);
+});
+
+test("osrm table returns one entry per target and keeps unreachable ones null", async () => {
+  respond({ code: "Ok", durations: [[0, 300, null]], distances: [[0, 900, null]] });
+  const times = await createOsrmRouter("http://localhost:5000").table(from, [to, to], "driving");
+
+  expect(times).toEqual([{ duration: 300, distance: 900 }, null]);
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/table\/v1\/car\/.*\?sources=0&annotations=duration,distance$/);
+});
+
+test("osrm and graphhopper matrices are all-pairs in one request", async () => {
+  respond(
+    { code: "Ok", durations: [[0, 60], [70, 0]], distances: [[0, 500], [550, 0]] },
+    { times: [[0, 80], [null, 0]], distances: [[0, 600], [null, 0]] }
+  );
+
+  expect(await createOsrmRouter("http://osrm.test").matrix([from, to], "walking")).toEqual([
+    [{ duration: 0, distance: 0 }, { duration: 60, distance: 500 }],
+    [{ duration: 70, distance: 550 }, { duration: 0, distance: 0 }],
+  ]);
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/table\/v1\/foot\/[^?]*\?annotations=duration,distance$/);
+
+  const gh = await createGraphHopperRouter("http://gh.test").matrix([from, to], "driving");
+  expect(gh[0][1]).toEqual({ duration: 80, distance: 600 });
+  expect(gh[1][0]).toBeNull();
+  expect(global.fetch.mock.calls[1][0]).toMatch(/matrix\?point=[^&]+&point=[^&]+&profile=car/);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test("graphhopper route and matrix use points, profile and key", async () => {
+  respond(
+    { paths: [{ distance: 1500, time: 240000, points: { coordinates: [[78.4867, 17.385]] } }] },
+    { times: [[120, 200]], distances: [[700, 1100]] }
+  );
+  const gh = createGraphHopperRouter("http://gh.test/", { key: "abc" });
+
+  expect(await gh.route(from, to, "cycling")).toEqual({ distance: 1500, duration: 240, path: [[17.385, 78.4867]] });
+  expect(global.fetch.mock.calls[0][0]).toMatch(/^http:\/\/gh\.test\/route\?point=17\.385,78\.4867&point=17\.39,78\.49&profile=bike.*&key=abc$/);
+
+  expect(await gh.table(from, [to, to], "walking")).toEqual([
+    { duration: 120, distance: 700 },
+    { duration: 200, distance: 1100 },
+  ]);
+  expect(global.fetch.mock.calls[1][0]).toMatch(/matrix\?from_point=.*&to_point=.*&to_point=.*&profile=foot/);
+});
+
+test("withCache reuses routes and only asks the table for new targets", async () => {
+  const inner = {
+    name: "fake",
+    route: jest.fn(async () => ({ distance: 1, duration: 2, path: [] })),
+    table: jest.fn(async (_, targets) => targets.map((t) => ({ duration: t.lat, distance: null }))),
+  };
+  const cached = withCache(inner);
+  const a = { lat: 1, lng: 0 };
+  const b = { lat: 2, lon: 0 };
+
+  await cached.route(from, a, "walking");
+  await cached.route(from, a, "walking");
+  await cached.route(from, a, "driving");
+  expect(inner.route).toHaveBeenCalledTimes(2);
+
+  expect(await cached.table(from, [a], "walking")).toEqual([{ duration: 1, distance: null }]);
+  expect(await cached.table(from, [a, b], "walking")).toEqual([
+    { duration: 1, distance: null },
+    { duration: 2, distance: null },
+  ]);
+  expect(inner.table).toHaveBeenLastCalledWith(from, [b], "walking", undefined);
+  expect(inner.table).toHaveBeenCalledTimes(2);
+
+  inner.matrix = jest.fn(async (points) => points.map((p) => points.map((q) => ({ duration: q.lat, distance: null }))));
+  const withMatrix = withCache(inner);
+  await withMatrix.matrix([a, b], "walking");
+  expect(await withMatrix.matrix([b, a], "walking")).toEqual([
+    [{ duration: 2, distance: null }, { duration: 1, distance: null }],
+    [{ duration: 2, distance: null }, { duration: 1, distance: null }],
+  ]);
+  expect(inner.matrix).toHaveBeenCalledTimes(1);
+  expect(cached.name).toBe("fake");
+  expect(withCache(null)).toBeNull();
+});
+
+test("formatTravelTime", () => {
+  expect(formatTravelTime(20)).toBe("1 min");
+  expect(formatTravelTime(754)).toBe("13 min");
+  expect(formatTravelTime(3600)).toBe("1 h");
+  expect(formatTravelTime(4000)).toBe("1 h 7 min");
+});
+
+test("every mode maps to a Google Maps travelmode", () => {
+  Object.values(MODES).forEach((m) => expect(["walking", "bicycling", "driving", "transit"]).toContain(m.google));
+});
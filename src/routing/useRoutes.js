@@ -0,0 +1,37 @@
+import { useEffect, useRef, useState } from "react";
+import { isAbortError } from "../providers/abort";
+import { MODES } from "./routers";
+
+// ✅ route summaries from `origin` to `place` for every travel mode:
+// { walking: { loading } | { result } | { error }, ... } ({} when there's nothing to route)
+export function useRoutes(router, origin, place) {
+  const [routes, setRoutes] = useState({});
+  const latest = useRef({ origin, place });
+  latest.current = { origin, place };
+
+  const from = origin ? `${origin.lat.toFixed(4)},${origin.lng.toFixed(4)}` : "";
+  const key = router && from && place ? `${from}>${place.id}` : "";
+
+  useEffect(() => {
+    if (!key) return undefined;
+    const controller = new AbortController();
+    const { origin, place } = latest.current;
+    const set = (mode, value) =>
+      setRoutes((prev) => (prev.key === key ? { ...prev, [mode]: value } : prev));
+
+    setRoutes({ key, ...Object.fromEntries(Object.keys(MODES).map((m) => [m, { loading: true }])) });
+    Object.keys(MODES).forEach((mode) => {
+      router
+        .route(origin, place, mode, { signal: controller.signal })
+        .then((result) => set(mode, { result }))
+        .catch((error) => {
+          if (!isAbortError(error)) set(mode, { error });
+        });
+    });
+    return () => controller.abort();
+  }, [router, key]);
+
+  if (routes.key !== key) return {};
+  const { key: _, ...byMode } = routes;
+  return byMode;
+}
@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from "react";
+import { isAbortError } from "../providers/abort";
+
+const NO_TIMES = new Map();
+
+// ✅ travel time from `origin` to each of `places` while `mode` is set:
+// Map(placeId -> { duration, distance }); unreachable places are left out.
+// The origin is compared at ~100 m so a walking user doesn't refetch the matrix every step.
+export function useTravelTimes(router, { origin, places, mode, onError }) {
+  const [state, setState] = useState({ key: "", times: NO_TIMES, loading: false });
+  const latest = useRef({ origin, places, onError });
+  latest.current = { origin, places, onError };
+
+  const from = origin ? `${origin.lat.toFixed(3)},${origin.lng.toFixed(3)}` : "";
+  const ids = places.map((p) => p.id).join("|");
+  const key = router && mode && from && ids ? `${mode}@${from}:${ids}` : "";
+
+  useEffect(() => {
+    if (!key) return undefined;
+    const controller = new AbortController();
+    const { origin, places } = latest.current;
+
+    setState((prev) => ({ ...prev, loading: true }));
+    router
+      .table(origin, places, mode, { signal: controller.signal })
+      .then((results) => {
+        const times = new Map();
+        places.forEach((p, i) => results[i] && times.set(p.id, results[i]));
+        setState({ key, times, loading: false });
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setState({ key, times: NO_TIMES, loading: false });
+        latest.current.onError?.(err);
+      });
+    return () => controller.abort();
+  }, [router, key, mode]);
+
+  return {
+    times: state.key === key ? state.times : NO_TIMES,
+    loading: Boolean(key) && state.loading,
+  };
+}
@@ -0,0 +1,114 @@
+/* eslint-disable no-restricted-globals */
+
+// ✅ Service worker: precached app shell + OSM tile caching for offline use.
+// Built by react-scripts (Workbox InjectManifest) in production builds only.
+
+import { clientsClaim } from "workbox-core";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import {
+  MAX_OFFLINE_TILES,
+  MAX_RUNTIME_TILES,
+  OFFLINE_TILE_CACHE,
+  TILE_CACHE,
+  TILE_ORIGIN,
+} from "./offline/tiles";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// SPA navigations -> index.html (skip files and internal URLs)
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// drop the oldest entries (cache keys keep insertion order)
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k) => cache.delete(k)));
+}
+
+let trimTimer = null;
+function scheduleTrim() {
+  clearTimeout(trimTimer);
+  trimTimer = setTimeout(() => trimCache(TILE_CACHE, MAX_RUNTIME_TILES), 5000);
+}
+
+// Tiles are fetched with CORS: opaque responses hide failed tiles and are padded
+// heavily in the storage quota, so only successful CORS responses are cached.
+const fetchTile = (url) => fetch(url, { mode: "cors", credentials: "omit" });
+
+// Tiles: any cache first (downloaded areas included), then network into the capped cache.
+registerRoute(
+  ({ url }) => url.origin === TILE_ORIGIN,
+  async ({ request }) => {
+    const cached = await caches.match(request.url);
+    if (cached) return cached;
+
+    let res;
+    try {
+      res = await fetchTile(request.url);
+    } catch {
+      return fetch(request); // tile server without CORS: show the tile, don't cache it
+    }
+    if (res.ok) {
+      const cache = await caches.open(TILE_CACHE);
+      await cache.put(request.url, res.clone());
+      scheduleTrim();
+    }
+    return res;
+  }
+);
+
+// Page -> SW: { type: "CACHE_TILES", urls, offline } with a MessagePort for progress.
+async function cacheTiles({ urls, offline }, port) {
+  const name = offline ? OFFLINE_TILE_CACHE : TILE_CACHE;
+  const cache = await caches.open(name);
+  let done = 0;
+  let failed = 0;
+  const queue = [...urls];
+
+  const worker = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      try {
+        if (!(await caches.match(url))) {
+          const res = await fetchTile(url);
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          await cache.put(url, res);
+        }
+        done++;
+      } catch {
+        failed++;
+      }
+      if ((done + failed) % 25 === 0) port?.postMessage({ type: "progress", done, failed, total: urls.length });
+    }
+  };
+
+  // keep it polite towards the OSM tile servers
+  await Promise.all([worker(), worker()]);
+  await trimCache(name, offline ? MAX_OFFLINE_TILES : MAX_RUNTIME_TILES);
+  port?.postMessage({ type: "done", done, failed, total: urls.length });
+}
+
+async function clearOfflineTiles(port) {
+  await caches.delete(OFFLINE_TILE_CACHE);
+  port?.postMessage({ type: "done" });
+}
+
+// every request gets a done or error reply, so the page never waits forever
+const reply = (port, task) =>
+  task.catch((err) => port?.postMessage({ type: "error", message: err?.message || String(err) }));
+
+self.addEventListener("message", (event) => {
+  const port = event.ports[0];
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+  if (event.data?.type === "CACHE_TILES") event.waitUntil(reply(port, cacheTiles(event.data, port)));
+  if (event.data?.type === "CLEAR_OFFLINE_TILES") event.waitUntil(reply(port, clearOfflineTiles(port)));
+});
@@ -0,0 +1,30 @@
+// ✅ Registers src/service-worker.js (production builds only; CRA dev server has none)
+
+export function register({ onSuccess, onUpdate } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state !== "installed") return;
+            if (navigator.serviceWorker.controller) onUpdate?.(registration);
+            else onSuccess?.(registration);
+          };
+        };
+      })
+      .catch((err) => console.error("Service worker registration failed:", err));
+  });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch(() => {});
+}
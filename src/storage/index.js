@@ -0,0 +1,7 @@
+import { createStorage } from "./storage";
+
+export { KEYS, SCHEMA_VERSION } from "./schema";
+export { StorageFullError } from "./storage";
+
+// ✅ the app's localStorage; migrations run on first use
+export const storage = createStorage();
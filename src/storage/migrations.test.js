@@ -0,0 +1,53 @@
+import { MOODS_KEY } from "../moods";
+import { DEFAULT_LIST } from "../utils/collections";
+import { KEYS, LEGACY_SEARCH_CACHE, MIGRATIONS, SCHEMA_VERSION } from "./schema";
+
+const step = (version) => MIGRATIONS.find((m) => m.version === version);
+
+test("migrations are numbered 1..SCHEMA_VERSION without gaps", () => {
+  expect(MIGRATIONS.map((m) => m.version)).toEqual(Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+  MIGRATIONS.forEach((m) => expect(m.keys.length).toBeGreaterThan(0));
+});
+
+test("1: drops the legacy single-search cache", () => {
+  const after = step(1).up({ [LEGACY_SEARCH_CACHE]: { time: 1, places: [], searchCenter: null } });
+  expect(after[LEGACY_SEARCH_CACHE]).toBeUndefined();
+  expect(step(1).up({})[LEGACY_SEARCH_CACHE]).toBeUndefined();
+});
+
+test("2: puts saved places in the default list with an empty note and tags", () => {
+  const legacy = [{ id: 7, name: "Cafe", lat: 1, lon: 2, savedAt: 3 }];
+  const after = step(2).up({ [KEYS.favorites]: legacy, [KEYS.lists]: undefined });
+
+  expect(after[KEYS.favorites]).toEqual([{ ...legacy[0], listId: "default", note: "", userTags: [] }]);
+  expect(after[KEYS.lists]).toEqual([DEFAULT_LIST]);
+  // running it again changes nothing
+  expect(step(2).up(after)).toEqual(after);
+});
+
+test("2: keeps existing lists and list assignments", () => {
+  const lists = [{ id: "list-a", name: "Work" }];
+  const after = step(2).up({
+    [KEYS.favorites]: [{ id: 1, lat: 1, lon: 2, listId: "list-a", note: "hi", userTags: ["Quiet"] }],
+    [KEYS.lists]: lists,
+  });
+
+  expect(after[KEYS.lists]).toEqual([DEFAULT_LIST, ...lists]);
+  expect(after[KEYS.favorites][0]).toMatchObject({ listId: "list-a", note: "hi", userTags: ["quiet"] });
+  // nothing saved yet: nothing to write
+  expect(step(2).up({})[KEYS.favorites]).toBeUndefined();
+});
+
+test("3: the stored Budget mood prefers budget-friendly places", () => {
+  const moods = [
+    { id: "work", include: [] },
+    { id: "budget", include: [] },
+  ];
+  const after = step(3).up({ [MOODS_KEY]: moods });
+
+  expect(after[MOODS_KEY]).toEqual([moods[0], { id: "budget", include: [], prefer: ["budget"] }]);
+  // a user who cleared it keeps that
+  const cleared = [{ id: "budget", include: [], prefer: [] }];
+  expect(step(3).up({ [MOODS_KEY]: cleared })[MOODS_KEY]).toEqual(cleared);
+  expect(step(3).up({})).toEqual({});
+});
@@ -0,0 +1,132 @@
+import { MOODS_KEY, validateMood } from "../moods";
+import { EVENTS_KEY } from "../ranking/preferences";
+import { FACTORS, WEIGHTS_KEY } from "../ranking/score";
+import { DEFAULT_LIST, LISTS_KEY, migrateFavorites } from "../utils/collections";
+import { LOCATIONS_KEY } from "../utils/savedLocations";
+
+// ✅ What is kept in localStorage, and how older layouts are brought up to date.
+// The stored layout has one version (VERSION_KEY). Each migration moves it up by
+// one and is a pure function over the parsed values of the keys it names
+// (undefined = key absent / removed), so it can be tested without a browser.
+// A migration interrupted by a full storage runs again, so keep them idempotent.
+
+export const VERSION_KEY = "storage_version";
+
+export const KEYS = {
+  favorites: "favorites_places",
+  reviews: "place_reviews",
+  lists: LISTS_KEY,
+  moods: MOODS_KEY,
+  locations: LOCATIONS_KEY,
+  events: EVENTS_KEY,
+  weights: WEIGHTS_KEY,
+  errorLog: "error_log",
+};
+
+// results cache from before the IndexedDB cache (src/cache/placesCache.js)
+export const LEGACY_SEARCH_CACHE = "last_search_cache";
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Drop the single-search cache superseded by the IndexedDB results cache",
+    keys: [LEGACY_SEARCH_CACHE],
+    up: (data) => ({ ...data, [LEGACY_SEARCH_CACHE]: undefined }),
+  },
+  {
+    version: 2,
+    description: "Give saved places a list, a note and tags; create the default list",
+    keys: [KEYS.favorites, KEYS.lists],
+    up: (data) => {
+      const stored = Array.isArray(data[KEYS.lists]) ? data[KEYS.lists] : [];
+      const lists = stored.some((l) => l?.id === DEFAULT_LIST.id) ? stored : [DEFAULT_LIST, ...stored];
+      const favorites = data[KEYS.favorites];
+      return {
+        ...data,
+        [KEYS.favorites]: favorites === undefined ? undefined : migrateFavorites(favorites, lists),
+        [KEYS.lists]: lists,
+      };
+    },
+  },
+  {
+    version: 3,
+    description: "Let the built-in Budget mood rank budget-friendly places first",
+    keys: [MOODS_KEY],
+    up: (data) => {
+      const moods = data[MOODS_KEY];
+      if (!Array.isArray(moods)) return data;
+      return {
+        ...data,
+        [MOODS_KEY]: moods.map((m) => (m?.id === "budget" && m.prefer === undefined ? { ...m, prefer: ["budget"] } : m)),
+      };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ---------- validation ----------
+// validate(value) -> { value, dropped } (entries that can't be used are dropped)
+// or null when the value as a whole is unusable
+
+const isObject = (v) => Boolean(v) && typeof v === "object" && !Array.isArray(v);
+
+const validReview = (r) =>
+  Number.isInteger(r?.stars) && r.stars >= 1 && r.stars <= 5 && typeof r.text === "string" && Number.isFinite(r.time);
+
+const validPlace = (f) => isObject(f) && f.id != null && Number.isFinite(f.lat) && Number.isFinite(f.lon);
+
+const validLocation = (l) => isObject(l) && Number.isFinite(l.lat) && Number.isFinite(l.lng);
+
+const validEvent = (e) => isObject(e) && typeof e.kind === "string" && Number.isFinite(e.at);
+
+const validLogEntry = (e) => isObject(e) && typeof e.message === "string" && Number.isFinite(e.time);
+
+const validWeight = (w) => Number.isFinite(w) && w >= 0;
+
+// arrays whose entries are checked one by one
+const listOf = (label, valid, fallback = []) => ({
+  label,
+  fallback,
+  validate(value) {
+    if (!Array.isArray(value)) return null;
+    const kept = value.filter(valid);
+    return { value: kept, dropped: value.length - kept.length };
+  },
+});
+
+export const SCHEMAS = {
+  [KEYS.favorites]: listOf("saved places", validPlace),
+  [KEYS.reviews]: {
+    label: "reviews",
+    fallback: {},
+    validate(value) {
+      if (!isObject(value)) return null;
+      let dropped = 0;
+      const kept = {};
+      Object.entries(value).forEach(([id, list]) => {
+        const ok = Array.isArray(list) ? list.filter(validReview) : [];
+        dropped += (Array.isArray(list) ? list.length : 1) - ok.length;
+        if (ok.length) kept[id] = ok;
+      });
+      return { value: kept, dropped };
+    },
+  },
+  [KEYS.lists]: listOf("lists", (l) => typeof l?.id === "string" && typeof l.name === "string"),
+  [KEYS.moods]: listOf("moods", (m) => !validateMood(m).length),
+  [KEYS.locations]: listOf("saved locations", validLocation),
+  // null: no history yet (it's seeded from saved places and reviews)
+  [KEYS.events]: listOf("learned preferences", validEvent, null),
+  [KEYS.errorLog]: listOf("error log entries", validLogEntry),
+  [KEYS.weights]: {
+    label: "ranking weights",
+    fallback: null,
+    validate(value) {
+      if (!isObject(value)) return null;
+      // factors no longer in the app are dropped without a report
+      const known = FACTORS.map((f) => f.key).filter((key) => key in value);
+      const kept = Object.fromEntries(known.filter((key) => validWeight(value[key])).map((key) => [key, value[key]]));
+      return { value: kept, dropped: known.length - Object.keys(kept).length };
+    },
+  },
+};
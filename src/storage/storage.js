@@ -0,0 +1,157 @@
+import { MIGRATIONS, SCHEMA_VERSION, SCHEMAS, VERSION_KEY } from "./schema";
+
+// ✅ localStorage with a schema version, validation and quota handling.
+//   read(key)         -> parsed + validated value (schema fallback when missing or unusable)
+//   write(key, value) -> stores JSON; when storage is full, caches are evicted first and
+//                        user data never is; throws StorageFullError if that isn't enough
+//   problems()        -> unreadable data met since the last call ([{ key, message }])
+// Migrations run once, before the first access. A value that fails to parse or
+// validate is copied to `<key>.bak` before anything overwrites it.
+// getItem / setItem / removeItem make it a drop-in `storage` for loadX / saveX helpers.
+
+export class StorageFullError extends Error {
+  constructor(key) {
+    super(`Storage is full: couldn't save ${SCHEMAS[key]?.label || key}`);
+    this.name = "StorageFullError";
+    this.key = key;
+  }
+}
+
+// geocoder cache, mirror health, error log: rebuilt as the app runs, least valuable
+// first. User data is never on this list. The IndexedDB results cache
+// doesn't share localStorage's quota, so clearing it would not help here.
+export const EVICTABLE_KEYS = ["geocode_cache", "overpass_mirror_health", "error_log"];
+
+export const backupKey = (key) => `${key}.bak`;
+
+// Chrome / Safari: QuotaExceededError (22), Firefox: NS_ERROR_DOM_QUOTA_REACHED (1014)
+const QUOTA_NAMES = ["QuotaExceededError", "NS_ERROR_DOM_QUOTA_REACHED"];
+export const isQuotaError = (err) => QUOTA_NAMES.includes(err?.name) || err?.code === 22 || err?.code === 1014;
+
+export function createStorage({
+  backend = typeof localStorage !== "undefined" ? localStorage : null,
+  migrations = MIGRATIONS,
+  version = SCHEMA_VERSION,
+  evictable = EVICTABLE_KEYS,
+} = {}) {
+  const found = [];
+  let migrated = false;
+
+  // StrictMode runs state initializers twice: one report per key is enough
+  const report = (key, message) => {
+    if (!found.some((p) => p.key === key)) found.push({ key, message });
+  };
+
+  const setRaw = (key, text) => {
+    const candidates = evictable.filter((k) => k !== key);
+    for (;;) {
+      try {
+        backend.setItem(key, text);
+        return;
+      } catch (err) {
+        if (!isQuotaError(err)) throw err;
+        const next = candidates.find((k) => backend.getItem(k) != null);
+        if (next == null) throw new StorageFullError(key);
+        backend.removeItem(next);
+      }
+    }
+  };
+
+  // keeps the raw text so a bad value can be recovered by hand
+  const keepBackup = (key, raw) => {
+    try {
+      setRaw(backupKey(key), raw);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // -> parsed value, undefined when absent; unusable values are backed up and reported
+  const load = (key) => {
+    const raw = backend?.getItem(key);
+    if (raw == null) return undefined;
+    const schema = SCHEMAS[key];
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      value = undefined;
+    }
+    if (!schema) return value ?? undefined;
+
+    const checked = value === undefined ? null : schema.validate(value);
+    if (checked && !checked.dropped) return checked.value;
+
+    const kept = keepBackup(key, raw) ? ` A copy was kept as "${backupKey(key)}".` : "";
+    report(
+      key,
+      checked
+        ? `${checked.dropped} of your ${schema.label} couldn't be read and were skipped.${kept}`
+        : `Your ${schema.label} couldn't be read and were reset.${kept}`
+    );
+    return checked ? checked.value : undefined;
+  };
+
+  const storedVersion = () => {
+    const v = Number(backend.getItem(VERSION_KEY));
+    return Number.isInteger(v) && v > 0 ? v : 0;
+  };
+
+  // pending migrations in order; stops at the first failure so it's retried next time.
+  // Data from a newer version of the app is left alone.
+  function migrate() {
+    if (migrated || !backend) return;
+    migrated = true;
+    const from = storedVersion();
+    if (from >= version) return;
+
+    for (const m of migrations.filter((m) => m.version > from && m.version <= version)) {
+      try {
+        const before = Object.fromEntries(m.keys.map((key) => [key, load(key)]));
+        const after = m.up(before);
+        m.keys.forEach((key) => {
+          if (after[key] === undefined) backend.removeItem(key);
+          else if (after[key] !== before[key]) setRaw(key, JSON.stringify(after[key]));
+        });
+        setRaw(VERSION_KEY, String(m.version));
+      } catch (err) {
+        report(VERSION_KEY, `Updating stored data failed (step ${m.version}): ${err.message}`);
+        return;
+      }
+    }
+  }
+
+  return {
+    version,
+    migrate,
+    read(key) {
+      migrate();
+      const value = load(key);
+      return value === undefined ? SCHEMAS[key]?.fallback ?? null : value;
+    },
+    write(key, value) {
+      migrate();
+      if (backend) setRaw(key, JSON.stringify(value));
+    },
+    remove(key) {
+      migrate();
+      backend?.removeItem(key);
+    },
+    problems() {
+      return found.splice(0);
+    },
+    getItem(key) {
+      migrate();
+      return backend ? backend.getItem(key) : null;
+    },
+    setItem(key, text) {
+      migrate();
+      if (backend) setRaw(key, text);
+    },
+    removeItem(key) {
+      migrate();
+      backend?.removeItem(key);
+    },
+  };
+}
@@ -0,0 +1,135 @@
+import { KEYS, SCHEMA_VERSION, VERSION_KEY } from "./schema";
+import { createStorage, StorageFullError } from "./storage";
+
+// capacity: max total characters stored, like the browser's per-origin quota
+function memoryStorage(initial = {}, capacity = Infinity) {
+  const data = { ...initial };
+  const size = () => Object.entries(data).reduce((n, [k, v]) => n + k.length + v.length, 0);
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      const prev = data[k];
+      data[k] = String(v);
+      if (size() > capacity) {
+        if (prev === undefined) delete data[k];
+        else data[k] = prev;
+        const err = new Error("quota");
+        err.name = "QuotaExceededError";
+        throw err;
+      }
+    },
+    removeItem: (k) => delete data[k],
+  };
+}
+
+const place = (id) => ({ id, name: `P${id}`, lat: 1, lon: 2, savedAt: 1 });
+
+test("unversioned data is migrated once, on first access", () => {
+  const backend = memoryStorage({
+    [KEYS.favorites]: JSON.stringify([place(1)]),
+    last_search_cache: "{}",
+  });
+  const storage = createStorage({ backend });
+
+  expect(storage.read(KEYS.favorites)).toEqual([{ ...place(1), listId: "default", note: "", userTags: [] }]);
+  expect(backend.data[VERSION_KEY]).toBe(String(SCHEMA_VERSION));
+  expect(backend.data.last_search_cache).toBeUndefined();
+  expect(storage.problems()).toEqual([]);
+});
+
+test("a failing migration stops there and is retried later", () => {
+  const backend = memoryStorage();
+  const migrations = [
+    { version: 1, keys: ["a"], up: () => ({ a: 1 }) },
+    {
+      version: 2,
+      keys: ["a"],
+      up: () => {
+        throw new Error("boom");
+      },
+    },
+  ];
+  const failing = createStorage({ backend, migrations, version: 2 });
+  failing.migrate();
+
+  expect(backend.data).toEqual({ a: "1", [VERSION_KEY]: "1" });
+  expect(failing.problems()[0].message).toMatch(/step 2\): boom/);
+
+  const fixed = [migrations[0], { version: 2, keys: ["a"], up: ({ a }) => ({ a: a + 1 }) }];
+  createStorage({ backend, migrations: fixed, version: 2 }).migrate();
+  expect(backend.data).toEqual({ a: "2", [VERSION_KEY]: "2" });
+
+  // data written by a newer app version is left as it is
+  const newer = memoryStorage({ [VERSION_KEY]: "9", a: "5" });
+  createStorage({ backend: newer, migrations, version: 2 }).read("a");
+  expect(newer.data.a).toBe("5");
+});
+
+test("corrupt values are backed up, reported once and replaced by the fallback", () => {
+  const backend = memoryStorage({ [VERSION_KEY]: String(SCHEMA_VERSION), [KEYS.reviews]: "{not json" });
+  const storage = createStorage({ backend });
+
+  expect(storage.read(KEYS.reviews)).toEqual({});
+  expect(storage.read(KEYS.reviews)).toEqual({});
+  expect(backend.data[`${KEYS.reviews}.bak`]).toBe("{not json");
+  const problems = storage.problems();
+  expect(problems).toHaveLength(1);
+  expect(problems[0].message).toMatch(/reviews couldn't be read.*place_reviews\.bak/);
+  expect(storage.problems()).toEqual([]);
+});
+
+test("invalid entries are dropped, valid ones kept", () => {
+  const reviews = { 1: [{ stars: 5, text: "ok", time: 1 }, { stars: 9 }], 2: "x" };
+  const backend = memoryStorage({
+    [VERSION_KEY]: String(SCHEMA_VERSION),
+    [KEYS.favorites]: JSON.stringify([place(1), { id: 2 }, null]),
+    [KEYS.reviews]: JSON.stringify(reviews),
+  });
+  const storage = createStorage({ backend });
+
+  expect(storage.read(KEYS.favorites)).toEqual([place(1)]);
+  expect(storage.read(KEYS.reviews)).toEqual({ 1: [reviews[1][0]] });
+  expect(storage.problems().map((p) => p.message.split(" couldn't")[0])).toEqual([
+    "2 of your saved places",
+    "2 of your reviews",
+  ]);
+});
+
+test("a full storage evicts caches, in order, before giving up", () => {
+  const backend = memoryStorage(
+    { [VERSION_KEY]: String(SCHEMA_VERSION), geocode_cache: "x".repeat(40), error_log: "y".repeat(40) },
+    160
+  );
+  const storage = createStorage({ backend });
+
+  storage.write(KEYS.favorites, "z".repeat(60));
+  expect(backend.data.geocode_cache).toBeUndefined();
+  expect(backend.data.error_log).toBeDefined();
+
+  storage.setItem("custom_moods", "m".repeat(40));
+  expect(backend.data.error_log).toBeUndefined();
+
+  // user data is never evicted
+  expect(() => storage.write(KEYS.reviews, "r".repeat(80))).toThrow(StorageFullError);
+  expect(JSON.parse(backend.data[KEYS.favorites])).toHaveLength(60);
+  expect(backend.data.custom_moods).toHaveLength(40);
+});
+
+test("preference events and the error log keep their valid entries", () => {
+  const event = { kind: "open", placeId: 1, type: "cafe", at: 5 };
+  const entry = { id: "a", time: 1, request: "Places search", message: "busy" };
+  const backend = memoryStorage({
+    [VERSION_KEY]: String(SCHEMA_VERSION),
+    [KEYS.events]: JSON.stringify([event, { kind: "open" }]),
+    [KEYS.errorLog]: JSON.stringify([entry, "oops"]),
+  });
+  const storage = createStorage({ backend });
+
+  expect(storage.read(KEYS.events)).toEqual([event]);
+  expect(storage.read(KEYS.errorLog)).toEqual([entry]);
+  expect(backend.data[`${KEYS.events}.bak`]).toBeDefined();
+  expect(storage.problems().map((p) => p.key)).toEqual([KEYS.events, KEYS.errorLog]);
+  // no history yet: the app seeds one
+  expect(createStorage({ backend: memoryStorage() }).read(KEYS.events)).toBeNull();
+});
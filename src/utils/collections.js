@@ -0,0 +1,111 @@
+// ✅ Named lists for saved places ("Work spots", "Goa trip", ...).
+// Saved places stay one flat array in `favorites_places`; each entry carries
+// its own listId, private note and tags. The lists themselves live in
+// `favorite_lists`. Entries saved before lists existed belong to DEFAULT_LIST.
+// User tags are `userTags`: `tags` already holds the place's OSM tags.
+
+export const LISTS_KEY = "favorite_lists";
+export const DEFAULT_LIST = { id: "default", name: "Saved" };
+export const ALL_LISTS = "all";
+
+const MAX_NAME = 40;
+const MAX_NOTE = 1000;
+const MAX_TAGS = 12;
+
+// "Quiet, #wifi  outdoor,quiet" -> ["quiet", "wifi", "outdoor"]
+export function parseTags(text) {
+  const tags = String(text || "")
+    .split(/[,\s]+/)
+    .map((t) => t.replace(/^#/, "").trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+// fills listId / note / userTags on entries from older versions; unknown lists fall back to the default one
+export function migrateFavorites(favorites, lists = [DEFAULT_LIST]) {
+  if (!Array.isArray(favorites)) return [];
+  const known = new Set(lists.map((l) => l.id));
+  return favorites
+    .filter((f) => f && f.id != null)
+    .map((f) => ({
+      ...f,
+      listId: known.has(f.listId) ? f.listId : DEFAULT_LIST.id,
+      note: typeof f.note === "string" ? f.note : "",
+      userTags: Array.isArray(f.userTags) ? parseTags(f.userTags.join(",")) : [],
+    }));
+}
+
+// a place as stored in favorites: ranking extras dropped, organization fields added
+export function savedEntry(place, { listId = DEFAULT_LIST.id, now = Date.now() } = {}) {
+  const { score, breakdown, ...rest } = place;
+  return { ...rest, savedAt: now, listId, note: "", userTags: [] };
+}
+
+// patch: { listId?, note?, userTags? } (userTags may be a string or an array)
+export function updateSaved(favorites, placeId, patch) {
+  const clean = { ...patch };
+  if ("note" in clean) clean.note = String(clean.note || "").slice(0, MAX_NOTE);
+  if ("userTags" in clean) {
+    const t = clean.userTags;
+    clean.userTags = parseTags(Array.isArray(t) ? t.join(",") : t);
+  }
+  return favorites.map((f) => (f.id === placeId ? { ...f, ...clean } : f));
+}
+
+export function listNameError(lists, name, exceptId = null) {
+  const n = name.trim();
+  if (!n) return "Give the list a name";
+  if (n.length > MAX_NAME) return `Keep it under ${MAX_NAME} characters`;
+  if (lists.some((l) => l.id !== exceptId && l.name.toLowerCase() === n.toLowerCase())) {
+    return "A list with this name already exists";
+  }
+  return null;
+}
+
+export function createList(lists, name, now = Date.now()) {
+  const list = { id: `list-${now.toString(36)}`, name: name.trim(), createdAt: now };
+  while (lists.some((l) => l.id === list.id)) list.id += "x";
+  return { lists: [...lists, list], list };
+}
+
+export const renameList = (lists, id, name) => lists.map((l) => (l.id === id ? { ...l, name: name.trim() } : l));
+
+// the default list can't go; places of a deleted list move back to it
+export function deleteList(lists, favorites, id) {
+  if (id === DEFAULT_LIST.id) return { lists, favorites };
+  return {
+    lists: lists.filter((l) => l.id !== id),
+    favorites: favorites.map((f) => (f.listId === id ? { ...f, listId: DEFAULT_LIST.id } : f)),
+  };
+}
+
+// listId: ALL_LISTS or a list id; tag: null or a tag
+export function filterSaved(favorites, { listId = ALL_LISTS, tag = null } = {}) {
+  return favorites.filter((f) => (listId === ALL_LISTS || f.listId === listId) && (!tag || f.userTags?.includes(tag)));
+}
+
+// { [listId]: count }
+export function listCounts(favorites) {
+  const counts = {};
+  favorites.forEach((f) => (counts[f.listId] = (counts[f.listId] || 0) + 1));
+  return counts;
+}
+
+// tags in use, most used first
+export function tagCounts(favorites) {
+  const counts = new Map();
+  favorites.forEach((f) => (f.userTags || []).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag, count]) => ({ tag, count }));
+}
+
+// the default list always exists and comes first
+// (`storage` is src/storage, which drops and reports broken entries)
+export function loadLists(storage) {
+  const saved = storage.read(LISTS_KEY);
+  const stored = saved.find((l) => l.id === DEFAULT_LIST.id);
+  return [{ ...DEFAULT_LIST, ...(stored?.name ? { name: stored.name } : null) }, ...saved.filter((l) => l.id !== DEFAULT_LIST.id)];
+}
+
+export function saveLists(lists, storage) {
+  storage.write(LISTS_KEY, lists);
+}
@@ -0,0 +1,115 @@
+import { SCHEMA_VERSION, VERSION_KEY } from "../storage/schema";
+import { createStorage } from "../storage/storage";
+import {
+  ALL_LISTS,
+  createList,
+  DEFAULT_LIST,
+  deleteList,
+  filterSaved,
+  listCounts,
+  listNameError,
+  loadLists,
+  LISTS_KEY,
+  migrateFavorites,
+  parseTags,
+  renameList,
+  saveLists,
+  savedEntry,
+  tagCounts,
+  updateSaved,
+} from "./collections";
+
+// src/storage over an in-memory backend that is already up to date
+const memoryStorage = (initial = {}) => {
+  const data = { [VERSION_KEY]: String(SCHEMA_VERSION), ...initial };
+  return createStorage({
+    backend: {
+      getItem: (k) => (k in data ? data[k] : null),
+      setItem: (k, v) => (data[k] = String(v)),
+      removeItem: (k) => delete data[k],
+    },
+  });
+};
+
+test("parseTags normalizes, dedupes and strips #", () => {
+  expect(parseTags("Quiet, #wifi  outdoor,quiet")).toEqual(["quiet", "wifi", "outdoor"]);
+  expect(parseTags("")).toEqual([]);
+  expect(parseTags(undefined)).toEqual([]);
+});
+
+test("migrateFavorites keeps old favorites in the default list", () => {
+  const old = [
+    { id: "node/1", name: "Cafe", savedAt: 1 },
+    null,
+    { id: "node/2", listId: "gone", tags: { amenity: "cafe" }, userTags: ["A"] },
+  ];
+  expect(migrateFavorites(old)).toEqual([
+    { id: "node/1", name: "Cafe", savedAt: 1, listId: "default", note: "", userTags: [] },
+    { id: "node/2", listId: "default", note: "", tags: { amenity: "cafe" }, userTags: ["a"] },
+  ]);
+  const lists = [DEFAULT_LIST, { id: "goa", name: "Goa" }];
+  expect(migrateFavorites([{ id: "x", listId: "goa" }], lists)[0].listId).toBe("goa");
+  expect(migrateFavorites("nope")).toEqual([]);
+});
+
+test("savedEntry drops ranking fields and files the place in a list", () => {
+  expect(savedEntry({ id: "a", score: 0.9, breakdown: [] }, { listId: "goa", now: 5 })).toEqual({
+    id: "a",
+    savedAt: 5,
+    listId: "goa",
+    note: "",
+    userTags: [],
+  });
+});
+
+test("updateSaved moves places and edits notes and tags", () => {
+  const favs = migrateFavorites([{ id: "a" }, { id: "b" }]);
+  const next = updateSaved(favs, "a", { listId: "goa", note: "Ask for the terrace", userTags: "sea view, #sunset" });
+  expect(next[0]).toMatchObject({ listId: "goa", note: "Ask for the terrace", userTags: ["sea", "view", "sunset"] });
+  expect(next[1]).toBe(favs[1]);
+});
+
+test("lists can be created, renamed and deleted", () => {
+  const { lists, list } = createList([DEFAULT_LIST], "  Date night ", 1000);
+  expect(list).toEqual({ id: "list-rs", name: "Date night", createdAt: 1000 });
+  expect(createList(lists, "Other", 1000).list.id).toBe("list-rsx");
+
+  expect(listNameError(lists, "date NIGHT")).toMatch(/already exists/);
+  expect(listNameError(lists, "date night", list.id)).toBeNull();
+  expect(listNameError(lists, "  ")).toMatch(/name/);
+  expect(renameList(lists, list.id, "Dates")[1].name).toBe("Dates");
+
+  const favs = [{ id: "a", listId: list.id }, { id: "b", listId: "default" }];
+  const after = deleteList(lists, favs, list.id);
+  expect(after.lists).toEqual([DEFAULT_LIST]);
+  expect(after.favorites.map((f) => f.listId)).toEqual(["default", "default"]);
+  expect(deleteList(lists, favs, "default").lists).toBe(lists);
+});
+
+test("filterSaved, listCounts and tagCounts", () => {
+  const favs = [
+    { id: "a", listId: "default", userTags: ["wifi", "quiet"] },
+    { id: "b", listId: "goa", userTags: ["wifi"] },
+    { id: "c", listId: "goa", userTags: [] },
+  ];
+  expect(filterSaved(favs, { listId: ALL_LISTS }).length).toBe(3);
+  expect(filterSaved(favs, { listId: "goa" }).map((f) => f.id)).toEqual(["b", "c"]);
+  expect(filterSaved(favs, { tag: "wifi" }).map((f) => f.id)).toEqual(["a", "b"]);
+  expect(listCounts(favs)).toEqual({ default: 1, goa: 2 });
+  expect(tagCounts(favs)).toEqual([
+    { tag: "wifi", count: 2 },
+    { tag: "quiet", count: 1 },
+  ]);
+});
+
+test("loadLists always starts with the default list", () => {
+  expect(loadLists(memoryStorage())).toEqual([DEFAULT_LIST]);
+  expect(loadLists(memoryStorage({ [LISTS_KEY]: "{broken" }))).toEqual([DEFAULT_LIST]);
+
+  const storage = memoryStorage();
+  saveLists([{ ...DEFAULT_LIST, name: "Favorites" }, { id: "goa", name: "Goa" }, { id: 3 }], storage);
+  expect(loadLists(storage)).toEqual([
+    { id: "default", name: "Favorites" },
+    { id: "goa", name: "Goa" },
+  ]);
+});
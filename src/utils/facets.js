@@ -0,0 +1,80 @@
+// ✅ Attribute filters derived from OSM tags. Different facets combine with AND,
+// hotel star values combine with OR ("3★ or 4★").
+
+const isYes = (v) => ["yes", "only", "designated"].includes(String(v || "").toLowerCase());
+
+const CHEAP_PRICE = /^(\$|€|£|₹|low|cheap|budget|inexpensive|0|free)$/i;
+
+export function starsOf(tags = {}) {
+  const stars = parseFloat(tags.stars);
+  return Number.isFinite(stars) && stars >= 1 && stars <= 7 ? Math.round(stars) : null;
+}
+
+export function isBudget(tags = {}) {
+  if (tags.fee === "no" || tags.charge === "0" || tags.charge === "free") return true;
+  if ([tags.price, tags.price_range, tags["price:range"]].some((p) => p && CHEAP_PRICE.test(String(p).trim()))) {
+    return true;
+  }
+  const stars = starsOf(tags);
+  return stars !== null && stars <= 2;
+}
+
+export const FACETS = [
+  {
+    key: "wifi",
+    label: "📶 Wi-Fi",
+    match: (t) => ["wlan", "yes", "wifi"].includes(String(t.internet_access || t.wifi || "").toLowerCase()),
+  },
+  { key: "wheelchair", label: "♿ Wheelchair", match: (t) => isYes(t.wheelchair) },
+  { key: "vegetarian", label: "🥗 Vegetarian", match: (t) => isYes(t["diet:vegetarian"]) || isYes(t["diet:vegan"]) },
+  { key: "vegan", label: "🌱 Vegan", match: (t) => isYes(t["diet:vegan"]) },
+  { key: "outdoor", label: "🌤️ Outdoor seating", match: (t) => isYes(t.outdoor_seating) },
+  { key: "takeaway", label: "🥡 Takeaway", match: (t) => isYes(t.takeaway) },
+  { key: "delivery", label: "🛵 Delivery", match: (t) => isYes(t.delivery) },
+  { key: "free", label: "🆓 Free entry", match: (t) => t.fee === "no" },
+  { key: "budget", label: "💸 Budget-friendly", match: isBudget },
+];
+
+const STAR_PREFIX = "stars:";
+
+// selected: ["wifi", "stars:3", ...]
+export function applyFacets(places, selected = []) {
+  if (!selected.length) return places;
+
+  const facets = FACETS.filter((f) => selected.includes(f.key));
+  const stars = selected.filter((k) => k.startsWith(STAR_PREFIX)).map((k) => Number(k.slice(STAR_PREFIX.length)));
+
+  return places.filter((p) => {
+    const tags = p.tags || {};
+    if (!facets.every((f) => f.match(tags))) return false;
+    return !stars.length || stars.includes(starsOf(tags));
+  });
+}
+
+// -> [{ key, label, count, selected }] where count is how many places match this
+// facet together with the rest of the current selection
+export function deriveFacets(places, selected = []) {
+  const withFacet = (key) => {
+    const next = selected.includes(key) ? selected : [...selected, key];
+    // star values are OR'ed, so each one is counted on its own
+    const others = key.startsWith(STAR_PREFIX) ? next.filter((k) => !k.startsWith(STAR_PREFIX) || k === key) : next;
+    return applyFacets(places, others).length;
+  };
+
+  const boolean = FACETS.map((f) => ({
+    key: f.key,
+    label: f.label,
+    count: withFacet(f.key),
+    selected: selected.includes(f.key),
+  }));
+
+  const starValues = [...new Set(places.map((p) => starsOf(p.tags)).filter((s) => s !== null))].sort();
+  const stars = starValues.map((s) => {
+    const key = `${STAR_PREFIX}${s}`;
+    return { key, label: `${"★".repeat(s)} hotel`, count: withFacet(key), selected: selected.includes(key) };
+  });
+
+  // hide facets that no loaded place has, unless they are selected
+  const present = (f) => f.selected || places.some((p) => applyFacets([p], [f.key]).length);
+  return [...boolean, ...stars].filter(present);
+}
@@ -0,0 +1,51 @@
+import { applyFacets, deriveFacets, isBudget, starsOf } from "./facets";
+
+const place = (id, tags) => ({ id, name: `P${id}`, tags });
+
+const places = [
+  place(1, { amenity: "cafe", internet_access: "wlan", outdoor_seating: "yes" }),
+  place(2, { amenity: "cafe", internet_access: "no", "diet:vegan": "yes" }),
+  place(3, { amenity: "restaurant", "diet:vegetarian": "only", takeaway: "yes", wheelchair: "yes" }),
+  place(4, { tourism: "hotel", stars: "3" }),
+  place(5, { tourism: "hotel", stars: "4", internet_access: "wlan" }),
+  place(6, { tourism: "hotel", stars: "2" }),
+  place(7, { tourism: "museum", fee: "no" }),
+];
+
+const ids = (list) => list.map((p) => p.id);
+
+test("starsOf ignores junk values", () => {
+  expect(starsOf({ stars: "4S" })).toBe(4);
+  expect(starsOf({ stars: "yes" })).toBeNull();
+  expect(starsOf({})).toBeNull();
+});
+
+test("budget picks up free entry, cheap price hints and low-star hotels", () => {
+  expect(isBudget({ fee: "no" })).toBe(true);
+  expect(isBudget({ price_range: "$" })).toBe(true);
+  expect(isBudget({ stars: "2" })).toBe(true);
+  expect(isBudget({ stars: "4", fee: "yes" })).toBe(false);
+});
+
+test("different facets combine with AND, vegan counts as vegetarian", () => {
+  expect(ids(applyFacets(places, ["vegetarian"]))).toEqual([2, 3]);
+  expect(ids(applyFacets(places, ["vegetarian", "wheelchair"]))).toEqual([3]);
+  expect(ids(applyFacets(places, []))).toEqual(ids(places));
+});
+
+test("star values combine with OR and with other facets by AND", () => {
+  expect(ids(applyFacets(places, ["stars:3", "stars:4"]))).toEqual([4, 5]);
+  expect(ids(applyFacets(places, ["stars:3", "stars:4", "wifi"]))).toEqual([5]);
+});
+
+test("deriveFacets lists only present facets with counts under the current selection", () => {
+  const facets = deriveFacets(places, ["wifi"]);
+  const count = Object.fromEntries(facets.map((f) => [f.key, f.count]));
+
+  expect(count.wifi).toBe(2);
+  expect(count.outdoor).toBe(1);
+  expect(count["stars:4"]).toBe(1);
+  expect(count["stars:3"]).toBe(0);
+  expect(count.delivery).toBeUndefined();
+  expect(facets.find((f) => f.key === "wifi").selected).toBe(true);
+});
@@ -0,0 +1,25 @@
+// ✅ Small helpers for files the user exports (backups, GPX, moods).
+
+export const escapeXml = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// saves `text` through a temporary link, as a normal browser download.
+// Firefox / Safari need the link in the document, and cancel the download if
+// the URL is revoked before it has started.
+export function downloadFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.style.display = "none";
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    a.remove();
+    URL.revokeObjectURL(a.href);
+  }, 0);
+}
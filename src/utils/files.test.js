@@ -0,0 +1,26 @@
+import { downloadFile, escapeXml } from "./files";
+
+test("escapeXml escapes markup and quotes, and tolerates missing values", () => {
+  expect(escapeXml(`<a href="x">Tom & Jerry</a>`)).toBe("&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;");
+  expect(escapeXml(undefined)).toBe("");
+  expect(escapeXml(3)).toBe("3");
+});
+
+test("downloadFile clicks an attached link and revokes the URL afterwards", () => {
+  jest.useFakeTimers();
+  URL.createObjectURL = jest.fn(() => "blob:test");
+  URL.revokeObjectURL = jest.fn();
+  const clicked = [];
+  jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+    clicked.push({ attached: document.body.contains(this), download: this.download });
+  });
+
+  downloadFile("hello", "a.txt", "text/plain");
+  expect(clicked).toEqual([{ attached: true, download: "a.txt" }]);
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+  jest.runAllTimers();
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:test");
+  expect(document.querySelector("a")).toBeNull();
+  jest.useRealTimers();
+});
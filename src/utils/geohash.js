@@ -0,0 +1,34 @@
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+// ✅ Standard geohash (precision 7 ≈ 150 m cells)
+export function encodeGeohash(lat, lng, precision = 7) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    ch <<= 1;
+    if (value >= mid) {
+      ch |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[ch];
+      bits = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+}
@@ -0,0 +1,49 @@
+import { haversineMeters } from "./geo";
+
+// ✅ Geolocation helpers shared by the one-shot locate and "follow me" mode
+
+export const GEO_OPTIONS = { enableHighAccuracy: false, timeout: 15000, maximumAge: 60000 };
+export const FOLLOW_OPTIONS = { enableHighAccuracy: true, timeout: 20000, maximumAge: 5000 };
+
+const MIN_MOVE_METERS = 10; // smaller jumps are GPS jitter
+const MIN_REQUERY_METERS = 300;
+
+export function toPosition(pos) {
+  return {
+    lat: pos.coords.latitude,
+    lng: pos.coords.longitude,
+    accuracy: Math.round(pos.coords.accuracy || 0),
+    at: pos.timestamp || Date.now(),
+  };
+}
+
+// GeolocationPositionError (or "unsupported") -> what to tell the user
+export function geoErrorInfo(err) {
+  if (err === "unsupported" || !err) {
+    return { state: "unsupported", message: "This browser can't share your location. Pick a place to search near." };
+  }
+  if (err.code === 1) {
+    return {
+      state: "denied",
+      message: "Location permission was denied. Allow it in the browser's site settings, or pick a place manually.",
+    };
+  }
+  if (err.code === 3) {
+    return { state: "timeout", message: "Finding your location took too long. Try again, or pick a place manually." };
+  }
+  return { state: "unavailable", message: "Your location is unavailable right now. Try again, or pick a place manually." };
+}
+
+// ignore jitter, but always take a fix that's notably more accurate
+export function movedEnough(prev, next) {
+  if (!prev) return true;
+  const d = haversineMeters(prev.lat, prev.lng, next.lat, next.lng);
+  return d >= Math.max(MIN_MOVE_METERS, next.accuracy / 2) || next.accuracy < prev.accuracy / 2;
+}
+
+// the distance filter circle around the user must stay inside the loaded search circle
+export function needsRequery(position, loaded, distanceLimit) {
+  if (!loaded) return true;
+  const d = haversineMeters(position.lat, position.lng, loaded.center.lat, loaded.center.lng);
+  return d > Math.max(MIN_REQUERY_METERS, loaded.radius - distanceLimit);
+}
@@ -0,0 +1,35 @@
+import { geoErrorInfo, movedEnough, needsRequery, toPosition } from "./geolocation";
+
+const at = (lat, lng, accuracy = 20) => ({ lat, lng, accuracy });
+
+test("toPosition flattens a GeolocationPosition", () => {
+  expect(toPosition({ coords: { latitude: 1, longitude: 2, accuracy: 12.6 }, timestamp: 5 })).toEqual({
+    lat: 1,
+    lng: 2,
+    accuracy: 13,
+    at: 5,
+  });
+});
+
+test("geoErrorInfo explains denied, timeout and unavailable states", () => {
+  expect(geoErrorInfo({ code: 1 }).state).toBe("denied");
+  expect(geoErrorInfo({ code: 2 }).state).toBe("unavailable");
+  expect(geoErrorInfo({ code: 3 }).state).toBe("timeout");
+  expect(geoErrorInfo("unsupported").message).toMatch(/Pick a place/);
+});
+
+test("movedEnough ignores jitter but takes real moves and better fixes", () => {
+  const start = at(17.385, 78.4867, 20);
+  expect(movedEnough(null, start)).toBe(true);
+  expect(movedEnough(start, at(17.38503, 78.4867, 20))).toBe(false); // ~3 m
+  expect(movedEnough(start, at(17.3855, 78.4867, 20))).toBe(true); // ~55 m
+  expect(movedEnough(at(17.385, 78.4867, 200), at(17.38503, 78.4867, 15))).toBe(true);
+});
+
+test("needsRequery once the distance circle leaves the loaded area", () => {
+  const loaded = { center: { lat: 17.385, lng: 78.4867 }, radius: 3000 };
+  expect(needsRequery(at(17.395, 78.4867), loaded, 1000)).toBe(false); // ~1.1 km of 2 km slack
+  expect(needsRequery(at(17.405, 78.4867), loaded, 1000)).toBe(true); // ~2.2 km
+  expect(needsRequery(at(17.3875, 78.4867), { ...loaded, radius: 5000 }, 5000)).toBe(false); // 280 m
+  expect(needsRequery(at(17.385, 78.4867), null, 1000)).toBe(true);
+});
@@ -0,0 +1,173 @@
+// ✅ OSM opening_hours (common subset):
+//   "24/7" · "Mo-Fr 08:00-18:00; Sa 09:00-13:00; Su off" · "Mo,We 10:00-12:00,14:00-18:00"
+//   overnight "Fr-Sa 18:00-02:00" · open end "18:00+" · "PH off" · "off"/"closed"
+// Later ";" rules replace earlier ones for their days, "," between rules adds to them.
+// Anything else (months, weeks, sunrise, ...) -> null (unknown).
+
+export const DAYS = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+const DAY_TOKEN = "(?:Mo|Tu|We|Th|Fr|Sa|Su|PH|SH)";
+const DAY_SELECTOR_RE = new RegExp(`^${DAY_TOKEN}(?:-${DAY_TOKEN})?(?:,${DAY_TOKEN}(?:-${DAY_TOKEN})?)*$`);
+const TIME_RANGE_RE = /^(\d{1,2}):(\d{2})(?:-(\d{1,2}):(\d{2})|(\+))$/;
+
+const DAY_MINUTES = 24 * 60;
+const parsedCache = new Map();
+
+function parseDays(selector) {
+  const days = new Set();
+  let holidays = false;
+
+  for (const part of selector.split(",")) {
+    if (part === "PH" || part === "SH") {
+      holidays = true;
+      continue;
+    }
+    const [from, to] = part.split("-").map((d) => DAYS.indexOf(d));
+    if (from < 0 || (to !== undefined && to < 0)) return null;
+    // ranges may wrap around the week (Sa-Mo)
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (to === undefined || d === to) break;
+    }
+  }
+  return { days: [...days], holidays };
+}
+
+function parseTimes(text) {
+  const intervals = [];
+  for (const part of text.split(",").map((t) => t.trim())) {
+    const m = TIME_RANGE_RE.exec(part);
+    if (!m) return null;
+    const start = Number(m[1]) * 60 + Number(m[2]);
+    let end = m[5] ? DAY_MINUTES : Number(m[3]) * 60 + Number(m[4]);
+    if (start > DAY_MINUTES || end > DAY_MINUTES) return null;
+    if (end <= start) end += DAY_MINUTES; // past midnight
+    intervals.push([start, end]);
+  }
+  return intervals;
+}
+
+// commas that start a new day selector: "...12:00, Sa ..." / "...off, Su ..." (no lookbehind:
+// older Safari can't parse it and Babel doesn't transpile it)
+const DAY_COMMA_RE = new RegExp(`,\\s*(?=${DAY_TOKEN}\\b)`, "g");
+const RULE_END_RE = /(?:\d|off|closed)$/;
+
+function splitAtDays(rule) {
+  const parts = [];
+  let from = 0;
+  for (const m of rule.matchAll(DAY_COMMA_RE)) {
+    if (!RULE_END_RE.test(rule.slice(from, m.index))) continue;
+    parts.push(rule.slice(from, m.index));
+    from = m.index + m[0].length;
+  }
+  return [...parts, rule.slice(from)];
+}
+
+// "Mo-Fr 08:00-12:00, Sa 10:00-14:00" -> two rules, the second additive
+function splitRules(value) {
+  return value
+    .split(/\s*(?:;|\|\|)\s*/)
+    .filter(Boolean)
+    .flatMap((rule) => splitAtDays(rule).map((r, i) => ({ text: r.trim(), additive: i > 0 })));
+}
+
+// -> { week: [[start, end] x n] per day (Mo..Su, minutes), holidays, alwaysOpen } or null
+export function parseOpeningHours(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const clean = value.replace(/"[^"]*"/g, "").trim();
+  if (parsedCache.has(clean)) return parsedCache.get(clean);
+
+  let result = null;
+  if (clean === "24/7") {
+    result = { week: DAYS.map(() => [[0, DAY_MINUTES]]), holidays: null, alwaysOpen: true };
+  } else {
+    const week = DAYS.map(() => []);
+    let holidays = null;
+    let ok = true;
+
+    for (const { text, additive } of splitRules(clean)) {
+      const [first, ...rest] = text.split(/\s+/);
+      const hasDays = DAY_SELECTOR_RE.test(first);
+      const sel = hasDays ? parseDays(first) : { days: [0, 1, 2, 3, 4, 5, 6], holidays: false };
+      const timeText = (hasDays ? rest : [first, ...rest]).join(" ").trim();
+      const closed = timeText === "off" || timeText === "closed";
+      const intervals = closed ? [] : parseTimes(timeText.replace(/\s*,\s*/g, ","));
+
+      if (!sel || !intervals) {
+        ok = false;
+        break;
+      }
+      sel.days.forEach((d) => {
+        week[d] = additive ? [...week[d], ...intervals] : intervals;
+      });
+      if (sel.holidays) holidays = intervals;
+    }
+
+    if (ok) result = { week, holidays, alwaysOpen: false };
+  }
+
+  parsedCache.set(clean, result);
+  return result;
+}
+
+const osmDay = (date) => (date.getDay() + 6) % 7;
+const minutesOf = (date) => date.getHours() * 60 + date.getMinutes();
+
+// open intervals on a timeline starting at today's midnight (yesterday's overnight spill included)
+function timeline(schedule, date, days = 8) {
+  const today = osmDay(date);
+  const out = [];
+  for (let offset = -1; offset < days; offset++) {
+    const day = (today + offset + 7) % 7;
+    schedule.week[day].forEach(([s, e]) => out.push([s + offset * DAY_MINUTES, e + offset * DAY_MINUTES]));
+  }
+  return out.sort((a, b) => a[0] - b[0]);
+}
+
+// -> { known, open, closesInMin, opensInMin } (public holidays are not detected)
+export function openingStatus(value, date = new Date()) {
+  const schedule = parseOpeningHours(value);
+  if (!schedule) return { known: false };
+  if (schedule.alwaysOpen) return { known: true, open: true, closesInMin: null, opensInMin: null };
+
+  const now = minutesOf(date);
+  const spans = timeline(schedule, date);
+
+  // merge touching intervals so "closes in" spans midnight correctly
+  const merged = [];
+  spans.forEach(([s, e]) => {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  });
+
+  const current = merged.find(([s, e]) => s <= now && now < e);
+  if (current) return { known: true, open: true, closesInMin: current[1] - now, opensInMin: null };
+
+  const next = merged.find(([s]) => s > now);
+  return { known: true, open: false, closesInMin: null, opensInMin: next ? next[0] - now : null };
+}
+
+const fmt = (m) => {
+  const mins = m % DAY_MINUTES;
+  if (m === DAY_MINUTES) return "24:00";
+  return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+};
+
+// -> [{ day: "Mo", text: "08:00–12:00, 13:00–17:00" | "Closed" }] or null
+export function describeWeek(value) {
+  const schedule = parseOpeningHours(value);
+  if (!schedule) return null;
+  const text = (intervals) =>
+    intervals.length ? intervals.map(([s, e]) => `${fmt(s)}–${fmt(e)}`).join(", ") : "Closed";
+
+  const rows = DAYS.map((day, i) => ({ day, text: schedule.alwaysOpen ? "Open 24 hours" : text(schedule.week[i]) }));
+  if (schedule.holidays) rows.push({ day: "PH", text: text(schedule.holidays) });
+  return rows;
+}
+
+export function formatDuration(min) {
+  if (min < 60) return `${min} min`;
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
@@ -0,0 +1,71 @@
+import { describeWeek, openingStatus, parseOpeningHours } from "./openingHours";
+
+// 2026-10-19 is a Monday
+const at = (day, hh, mm = 0) => new Date(2026, 9, 19 + day, hh, mm);
+
+test("24/7 is always open", () => {
+  expect(openingStatus("24/7", at(6, 3))).toMatchObject({ known: true, open: true });
+});
+
+test("day ranges, multiple intervals and off days", () => {
+  const oh = "Mo-Fr 08:00-12:00,13:00-17:30; Sa 09:00-13:00; Su off";
+
+  expect(openingStatus(oh, at(0, 9))).toMatchObject({ open: true, closesInMin: 180 });
+  expect(openingStatus(oh, at(0, 12, 30))).toMatchObject({ open: false, opensInMin: 30 });
+  expect(openingStatus(oh, at(4, 17, 10))).toMatchObject({ open: true, closesInMin: 20 });
+  expect(openingStatus(oh, at(6, 12))).toMatchObject({ open: false });
+  expect(openingStatus(oh, at(5, 12, 59))).toMatchObject({ open: true, closesInMin: 1 });
+});
+
+test("later rules override earlier ones for their days", () => {
+  const oh = "Mo-Su 10:00-20:00; We off";
+  expect(openingStatus(oh, at(2, 12)).open).toBe(false);
+  expect(openingStatus(oh, at(3, 12)).open).toBe(true);
+});
+
+test("comma separated rules add to each other", () => {
+  const oh = "Mo-Fr 08:00-12:00, Sa 10:00-14:00";
+  expect(openingStatus(oh, at(5, 11)).open).toBe(true);
+  expect(openingStatus(oh, at(0, 11)).open).toBe(true);
+  expect(openingStatus(oh, at(6, 11)).open).toBe(false);
+
+  // commas inside a day list don't start a new rule
+  const { week } = parseOpeningHours("Mo,We 09:00-10:00, Su 10:00-11:00");
+  expect(week.map((d) => d.length)).toEqual([1, 0, 1, 0, 0, 0, 1]);
+  expect(week[6]).toEqual([[600, 660]]);
+});
+
+test("overnight intervals and wrapping day ranges", () => {
+  const oh = "Fr-Sa 18:00-02:00";
+  expect(openingStatus(oh, at(5, 1))).toMatchObject({ open: true, closesInMin: 60 }); // Sat 01:00 (from Fri)
+  expect(openingStatus(oh, at(6, 1)).open).toBe(true); // Sun 01:00 (from Sat)
+  expect(openingStatus(oh, at(0, 1)).open).toBe(false);
+
+  expect(openingStatus("Sa-Mo 10:00-12:00", at(0, 11)).open).toBe(true);
+  expect(openingStatus("Sa-Mo 10:00-12:00", at(1, 11)).open).toBe(false);
+});
+
+test("open end and times without day selector", () => {
+  expect(openingStatus("18:00+", at(2, 23))).toMatchObject({ open: true });
+  expect(openingStatus("07:00-22:00", at(6, 8)).open).toBe(true);
+});
+
+test("PH rules are parsed but do not affect normal days", () => {
+  const parsed = parseOpeningHours("Mo-Sa 09:00-18:00; PH off");
+  expect(parsed.holidays).toEqual([]);
+  expect(openingStatus("Mo-Sa 09:00-18:00; PH off", at(0, 10)).open).toBe(true);
+});
+
+test("unsupported syntax is unknown rather than wrong", () => {
+  expect(parseOpeningHours("Jan-Mar Mo-Fr 08:00-12:00")).toBeNull();
+  expect(parseOpeningHours("sunrise-sunset")).toBeNull();
+  expect(openingStatus(undefined)).toEqual({ known: false });
+});
+
+test("describeWeek lists each day", () => {
+  const rows = describeWeek("Mo-Fr 08:00-17:00; Sa 10:00-14:00; Su off; PH off");
+  expect(rows[0]).toEqual({ day: "Mo", text: "08:00–17:00" });
+  expect(rows[6]).toEqual({ day: "Su", text: "Closed" });
+  expect(rows[7]).toEqual({ day: "PH", text: "Closed" });
+  expect(describeWeek("Fr 18:00-02:00")[4].text).toBe("18:00–02:00");
+});
@@ -0,0 +1,121 @@
+// ✅ OSM tags -> things worth showing in the details panel
+
+const YES = ["yes", "designated", "only", "free", "wlan", "wifi"];
+const NO = ["no", "none"];
+
+// "yes" / "no" / "limited" / raw value
+function tone(value) {
+  const v = String(value).toLowerCase();
+  if (YES.includes(v)) return "yes";
+  if (NO.includes(v)) return "no";
+  if (v === "limited" || v === "partial" || v === "customers") return "limited";
+  return "info";
+}
+
+const pretty = (v) => String(v).replace(/_/g, " ").replace(/;/g, ", ");
+
+export function formatAddress(tags = {}) {
+  if (tags["addr:full"]) return tags["addr:full"];
+
+  const street = [tags["addr:housenumber"], tags["addr:street"] || tags["addr:place"]].filter(Boolean).join(" ");
+  const area = [tags["addr:suburb"], tags["addr:city"], tags["addr:postcode"]].filter(Boolean).join(", ");
+  const line = [tags["addr:housename"], street, area].filter(Boolean).join(", ");
+  return line || null;
+}
+
+export function websiteUrl(value) {
+  if (!value) return null;
+  const url = String(value).split(";")[0].trim();
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+export function contactInfo(tags = {}) {
+  const phone = tags.phone || tags["contact:phone"] || tags["contact:mobile"] || null;
+  return {
+    phone: phone ? String(phone).split(";")[0].trim() : null,
+    website: websiteUrl(tags.website || tags["contact:website"] || tags.url),
+    email: tags.email || tags["contact:email"] || null,
+  };
+}
+
+// "en:Charminar" -> https://en.wikipedia.org/wiki/Charminar
+export function wikipediaUrl(value) {
+  if (!value) return null;
+  const match = String(value).match(/^([a-z-]{2,12}):(.+)$/i);
+  const [lang, title] = match ? [match[1], match[2]] : ["en", value];
+  return `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(title.trim().replace(/ /g, "_"))}`;
+}
+
+export function wikidataUrl(value) {
+  return /^Q\d+$/.test(value || "") ? `https://www.wikidata.org/wiki/${value}` : null;
+}
+
+function wifiFact(tags) {
+  const access = tags.internet_access || tags.wifi;
+  if (!access) return null;
+  const fee = tags["internet_access:fee"];
+  const value = tone(access) === "yes" ? `Wi-Fi${fee === "yes" ? " (paid)" : fee === "no" ? " (free)" : ""}` : pretty(access);
+  return { key: "wifi", icon: "📶", label: "Internet", value, tone: tone(access) };
+}
+
+// socket:*=<count>, power_supply=yes|no
+function powerFact(tags) {
+  const sockets = Object.keys(tags).filter((k) => /^socket:/.test(k) && !NO.includes(String(tags[k])));
+  if (sockets.length) {
+    const kinds = sockets.map((k) => k.split(":")[1]).join(", ");
+    return { key: "power", icon: "🔌", label: "Power outlets", value: `yes (${kinds})`, tone: "yes" };
+  }
+  const supply = tags.power_supply;
+  if (!supply) return null;
+  return { key: "power", icon: "🔌", label: "Power outlets", value: pretty(supply), tone: tone(supply) };
+}
+
+function priceFact(tags) {
+  const hints = [];
+  if (tags.fee) hints.push(tags.fee === "no" ? "free entry" : tags.fee === "yes" ? "entry fee" : `fee: ${tags.fee}`);
+  if (tags.charge) hints.push(tags.charge);
+  if (tags.price) hints.push(tags.price);
+  if (tags.price_range || tags["price:range"]) hints.push(tags.price_range || tags["price:range"]);
+  if (tags.stars) hints.push(`${tags.stars}★ hotel`);
+  if (!hints.length) return null;
+  return { key: "price", icon: "💰", label: "Price", value: hints.join(" · "), tone: "info" };
+}
+
+const simple = (key, icon, label) => (tags) =>
+  tags[key] ? { key, icon, label, value: pretty(tags[key]), tone: tone(tags[key]) } : null;
+
+const FACTS = [
+  wifiFact,
+  powerFact,
+  simple("cuisine", "🍽️", "Cuisine"),
+  simple("diet:vegetarian", "🥗", "Vegetarian"),
+  simple("diet:vegan", "🌱", "Vegan"),
+  simple("wheelchair", "♿", "Wheelchair"),
+  simple("outdoor_seating", "🌤️", "Outdoor seating"),
+  simple("takeaway", "🥡", "Takeaway"),
+  simple("delivery", "🛵", "Delivery"),
+  simple("air_conditioning", "❄️", "Air conditioning"),
+  simple("smoking", "🚬", "Smoking"),
+  priceFact,
+];
+
+// Wi-Fi and outlets matter most when picking a place to work from
+const WORK_FIRST = ["wifi", "power"];
+
+// -> [{ key, icon, label, value, tone, highlight }]
+export function placeFacts(tags = {}, moodId) {
+  const facts = FACTS.map((fact) => fact(tags)).filter(Boolean);
+  if (moodId !== "work") return facts;
+
+  const missing = WORK_FIRST.filter((key) => !facts.some((f) => f.key === key)).map((key) => ({
+    key,
+    icon: key === "wifi" ? "📶" : "🔌",
+    label: key === "wifi" ? "Internet" : "Power outlets",
+    value: "not mapped",
+    tone: "unknown",
+  }));
+
+  return [...missing, ...facts]
+    .map((f) => ({ ...f, highlight: WORK_FIRST.includes(f.key) }))
+    .sort((a, b) => Number(b.highlight) - Number(a.highlight));
+}
@@ -0,0 +1,57 @@
+import { contactInfo, formatAddress, placeFacts, websiteUrl, wikidataUrl, wikipediaUrl } from "./placeDetails";
+
+test("formatAddress joins addr:* parts and prefers addr:full", () => {
+  expect(
+    formatAddress({
+      "addr:housenumber": "12",
+      "addr:street": "MG Road",
+      "addr:city": "Hyderabad",
+      "addr:postcode": "500001",
+    })
+  ).toBe("12 MG Road, Hyderabad, 500001");
+  expect(formatAddress({ "addr:full": "Near Charminar", "addr:street": "X" })).toBe("Near Charminar");
+  expect(formatAddress({})).toBeNull();
+});
+
+test("contactInfo falls back to contact:* and normalises websites", () => {
+  expect(contactInfo({ "contact:phone": "+91 40 1234;+91 40 5678", "contact:website": "example.com" })).toEqual({
+    phone: "+91 40 1234",
+    website: "https://example.com",
+    email: null,
+  });
+  expect(websiteUrl("http://a.b")).toBe("http://a.b");
+});
+
+test("wikipedia and wikidata tags become links", () => {
+  expect(wikipediaUrl("en:Golconda Fort")).toBe("https://en.wikipedia.org/wiki/Golconda_Fort");
+  expect(wikipediaUrl("te:చార్మినార్")).toMatch(/^https:\/\/te\.wikipedia\.org\/wiki\/%E0/);
+  expect(wikidataUrl("Q214315")).toBe("https://www.wikidata.org/wiki/Q214315");
+  expect(wikidataUrl("nope")).toBeNull();
+});
+
+test("placeFacts reads accessibility, wifi, sockets and price hints", () => {
+  const facts = placeFacts({
+    wheelchair: "limited",
+    internet_access: "wlan",
+    "internet_access:fee": "no",
+    "socket:type_c": "4",
+    cuisine: "coffee_shop;indian",
+    fee: "yes",
+  });
+  const byKey = Object.fromEntries(facts.map((f) => [f.key, f]));
+
+  expect(byKey.wifi).toMatchObject({ value: "Wi-Fi (free)", tone: "yes" });
+  expect(byKey.power).toMatchObject({ value: "yes (type_c)", tone: "yes" });
+  expect(byKey.cuisine.value).toBe("coffee shop, indian");
+  expect(byKey.wheelchair.tone).toBe("limited");
+  expect(byKey.price.value).toBe("entry fee");
+});
+
+test("work mood puts wifi and power first, even when unmapped", () => {
+  const facts = placeFacts({ cuisine: "coffee_shop", internet_access: "no" }, "work");
+  expect(facts.slice(0, 2).map((f) => [f.key, f.tone])).toEqual([
+    ["power", "unknown"],
+    ["wifi", "no"],
+  ]);
+  expect(facts.every((f) => f.highlight === ["wifi", "power"].includes(f.key))).toBe(true);
+});
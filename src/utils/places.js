@@ -0,0 +1,39 @@
+import { haversineMeters } from "./geo";
+import { placeTypeFor } from "../moods";
+
+// ✅ Overpass element -> place (center independent, safe to cache)
+export function elementToPlace(el, mood) {
+  const lat = el.lat || el.center?.lat;
+  const lon = el.lon || el.center?.lon;
+  if (!lat || !lon) return null;
+
+  return {
+    id: el.id,
+    osmType: el.type || "node",
+    name: el.tags?.name || "Unnamed Place",
+    type: placeTypeFor(el.tags, mood),
+    lat,
+    lon,
+    tags: el.tags || {},
+  };
+}
+
+// numeric OSM ids read back from text (files, links) become numbers again,
+// so they match the ids stored by the app
+export const restoreId = (id) => (typeof id === "string" && /^\d+$/.test(id) ? Number(id) : id);
+
+// ✅ distance from the search center (ranking: src/ranking/score.js)
+export function placeFromCenter(place, center) {
+  const dist = haversineMeters(center.lat, center.lng, place.lat, place.lon);
+  return { ...place, distance: dist };
+}
+
+export function formatAge(ms) {
+  const min = Math.floor(ms / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  const hours = Math.floor(min / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days > 1 ? "s" : ""} ago`;
+}
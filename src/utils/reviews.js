@@ -0,0 +1,6 @@
+export function reviewStatsFor(reviews, placeId) {
+  const list = reviews[placeId] || [];
+  if (!list.length) return { avg: 0, count: 0 };
+  const sum = list.reduce((acc, r) => acc + (r.stars || 0), 0);
+  return { avg: sum / list.length, count: list.length };
+}
@@ -0,0 +1,39 @@
+// ✅ Recent and pinned search locations (kept through src/storage). Pinned ones never expire;
+// recents keep the last few picks, newest first.
+
+export const LOCATIONS_KEY = "saved_locations";
+const MAX_RECENT = 8;
+
+export const sameLocation = (a, b) => Math.abs(a.lat - b.lat) < 1e-4 && Math.abs(a.lng - b.lng) < 1e-4;
+
+const pick = ({ lat, lng, label, name, type, country }) => ({ lat, lng, label, name, type, country });
+
+// pinned first, then by last use
+export function orderLocations(list) {
+  return [...list].sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned) || b.usedAt - a.usedAt);
+}
+
+export function rememberLocation(list, loc, now = Date.now()) {
+  const old = list.find((l) => sameLocation(l, loc));
+  const entry = { ...pick(loc), pinned: !!old?.pinned, usedAt: now };
+  const rest = list.filter((l) => !sameLocation(l, loc));
+  const recent = rest.filter((l) => !l.pinned).slice(0, MAX_RECENT - 1);
+  return orderLocations([entry, ...rest.filter((l) => l.pinned), ...recent]);
+}
+
+export function togglePin(list, loc) {
+  return orderLocations(list.map((l) => (sameLocation(l, loc) ? { ...l, pinned: !l.pinned } : l)));
+}
+
+export function forgetLocation(list, loc) {
+  return list.filter((l) => !sameLocation(l, loc));
+}
+
+// `storage` is src/storage: broken entries are dropped and reported there
+export function loadLocations(storage) {
+  return storage.read(LOCATIONS_KEY);
+}
+
+export function saveLocations(list, storage) {
+  storage.write(LOCATIONS_KEY, list);
+}
@@ -0,0 +1,50 @@
+import { SCHEMA_VERSION, VERSION_KEY } from "../storage/schema";
+import { createStorage } from "../storage/storage";
+import { forgetLocation, loadLocations, LOCATIONS_KEY, rememberLocation, togglePin } from "./savedLocations";
+
+// src/storage over an in-memory backend that is already up to date
+const memoryStorage = (initial = {}) => {
+  const data = { [VERSION_KEY]: String(SCHEMA_VERSION), ...initial };
+  return createStorage({
+    backend: {
+      getItem: (k) => (k in data ? data[k] : null),
+      setItem: (k, v) => (data[k] = String(v)),
+      removeItem: (k) => delete data[k],
+    },
+  });
+};
+
+const loc = (n) => ({ lat: 17 + n / 100, lng: 78, label: `Place ${n}` });
+
+test("remembering moves a location to the front without duplicates", () => {
+  let list = [];
+  list = rememberLocation(list, loc(1), 1);
+  list = rememberLocation(list, loc(2), 2);
+  list = rememberLocation(list, { ...loc(1), lat: loc(1).lat + 0.00001 }, 3);
+  expect(list.map((l) => l.label)).toEqual(["Place 1", "Place 2"]);
+  expect(list[0].usedAt).toBe(3);
+});
+
+test("only the last 8 recents are kept but pinned locations stay", () => {
+  let list = rememberLocation([], loc(0), 0);
+  list = togglePin(list, loc(0));
+  for (let n = 1; n <= 12; n++) list = rememberLocation(list, loc(n), n);
+
+  expect(list[0]).toMatchObject({ label: "Place 0", pinned: true });
+  expect(list.filter((l) => !l.pinned)).toHaveLength(8);
+  expect(list[1].label).toBe("Place 12");
+});
+
+test("pins survive being picked again and can be forgotten", () => {
+  let list = togglePin(rememberLocation([], loc(1), 1), loc(1));
+  list = rememberLocation(list, loc(1), 5);
+  expect(list[0].pinned).toBe(true);
+  expect(forgetLocation(list, loc(1))).toEqual([]);
+});
+
+test("loadLocations drops broken entries and reports them", () => {
+  const storage = memoryStorage({ [LOCATIONS_KEY]: JSON.stringify([loc(1), { lat: "x" }, null]) });
+  expect(loadLocations(storage)).toEqual([loc(1)]);
+  expect(storage.problems()[0].message).toMatch(/2 of your saved locations couldn't be read/);
+  expect(loadLocations(memoryStorage({ [LOCATIONS_KEY]: "{" }))).toEqual([]);
+});
@@ -0,0 +1,29 @@
+// ✅ Which rows of a variable-height list intersect the viewport.
+// sizes: measured (or estimated) row heights in px.
+// -> { start, end (exclusive), before, after } with before/after as spacer heights
+export function visibleWindow(sizes, scrollTop, viewportHeight, overscan = 4) {
+  let offset = 0;
+  let first = sizes.length;
+  let last = sizes.length;
+
+  for (let i = 0; i < sizes.length; i++) {
+    const bottom = offset + sizes[i];
+    if (first === sizes.length && bottom > scrollTop) first = i;
+    if (offset >= scrollTop + viewportHeight) {
+      last = i;
+      break;
+    }
+    offset = bottom;
+  }
+
+  const start = Math.max(0, Math.min(first, sizes.length) - overscan);
+  const end = Math.min(sizes.length, last + overscan);
+  const sum = (from, to) => sizes.slice(from, to).reduce((acc, s) => acc + s, 0);
+
+  return { start, end, before: sum(0, start), after: sum(end, sizes.length) };
+}
+
+// top offset of row `index`, used to scroll a row into view
+export function offsetOf(sizes, index) {
+  return sizes.slice(0, index).reduce((acc, s) => acc + s, 0);
+}
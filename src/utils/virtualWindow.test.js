@@ -0,0 +1,20 @@
+import { offsetOf, visibleWindow } from "./virtualWindow";
+
+const sizes = Array(1000).fill(100);
+
+test("renders only the rows in view plus overscan", () => {
+  expect(visibleWindow(sizes, 0, 450, 2)).toEqual({ start: 0, end: 7, before: 0, after: 99300 });
+  expect(visibleWindow(sizes, 1050, 300, 2)).toEqual({ start: 8, end: 16, before: 800, after: 98400 });
+});
+
+test("handles the end of the list and short lists", () => {
+  expect(visibleWindow(sizes, 99800, 400, 2)).toMatchObject({ start: 996, end: 1000, after: 0 });
+  expect(visibleWindow([50, 50], 0, 500)).toEqual({ start: 0, end: 2, before: 0, after: 0 });
+  expect(visibleWindow([], 0, 500)).toEqual({ start: 0, end: 0, before: 0, after: 0 });
+});
+
+test("uses the real heights of measured rows", () => {
+  const mixed = [300, 40, 40, 40, 300, 40];
+  expect(visibleWindow(mixed, 310, 100, 0)).toEqual({ start: 1, end: 4, before: 300, after: 340 });
+  expect(offsetOf(mixed, 4)).toBe(420);
+});